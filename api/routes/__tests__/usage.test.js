@@ -0,0 +1,86 @@
+jest.mock('../../../utils/database', () => ({ query: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { query } = require('../../../utils/database');
+const { errorHandler } = require('../../../middleware/error-handler');
+const CharacterAPI = require('../characters');
+
+const OWN_KEY = '00000000-0000-4000-8000-000000000001';
+const OTHER_KEY = '00000000-0000-4000-8000-000000000002';
+
+describe('GET /api/usage', () => {
+  const originalAdminKey = process.env.ADMIN_API_KEY;
+  let app;
+  let getUsageSummary;
+
+  beforeAll(() => {
+    process.env.ADMIN_API_KEY = 'admin-secret';
+  });
+
+  afterAll(() => {
+    if (originalAdminKey === undefined) {
+      delete process.env.ADMIN_API_KEY;
+    } else {
+      process.env.ADMIN_API_KEY = originalAdminKey;
+    }
+  });
+
+  beforeEach(() => {
+    query.mockReset().mockResolvedValue({ rows: [{ count: 3 }] });
+    getUsageSummary = jest.fn().mockResolvedValue({
+      totals: { calls: 1 },
+      byModel: [],
+      byCharacter: [],
+      byApiKey: []
+    });
+
+    const characterManager = { characters: new Map(), modelRouter: { usageTracker: { getUsageSummary } } };
+    app = express();
+    // Stands in for identifyApiKey
+    app.use((req, res, next) => {
+      if (req.get('X-API-Key')) req.apiKey = { id: OWN_KEY };
+      next();
+    });
+    app.use('/api', new CharacterAPI(characterManager, null).setupRoutes());
+    app.use(errorHandler);
+  });
+
+  test('requires an API key or the admin key', async () => {
+    const response = await request(app).get('/api/usage');
+
+    expect(response.status).toBe(401);
+    expect(getUsageSummary).not.toHaveBeenCalled();
+  });
+
+  test('limits API key holders to their own key', async () => {
+    const response = await request(app).get('/api/usage?period=7d').set('X-API-Key', 'key');
+
+    expect(response.status).toBe(200);
+    expect(getUsageSummary).toHaveBeenCalledWith({ period: '7d', characterId: undefined, apiKeyId: OWN_KEY });
+    expect(query.mock.calls[0][1]).toEqual(['7 days', OWN_KEY]);
+  });
+
+  test('lets API key holders name their own key but not another one', async () => {
+    expect((await request(app).get(`/api/usage?apiKeyId=${OWN_KEY}`).set('X-API-Key', 'key')).status).toBe(200);
+
+    const response = await request(app).get(`/api/usage?apiKeyId=${OTHER_KEY}`).set('X-API-Key', 'key');
+    expect(response.status).toBe(403);
+    expect(getUsageSummary).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives admins the platform-wide summary or any key', async () => {
+    await request(app).get('/api/usage').set('X-Admin-Key', 'admin-secret').expect(200);
+    expect(getUsageSummary).toHaveBeenLastCalledWith({ period: '24h', characterId: undefined, apiKeyId: undefined });
+    expect(query.mock.calls[0][1]).toEqual(['24 hours', null]);
+
+    await request(app).get(`/api/usage?apiKeyId=${OTHER_KEY}`).set('X-Admin-Key', 'admin-secret').expect(200);
+    expect(getUsageSummary).toHaveBeenLastCalledWith({ period: '24h', characterId: undefined, apiKeyId: OTHER_KEY });
+  });
+
+  test('rejects a wrong admin key and malformed filters', async () => {
+    expect((await request(app).get('/api/usage').set('X-Admin-Key', 'wrong')).status).toBe(401);
+    expect((await request(app).get('/api/usage?apiKeyId=nope').set('X-API-Key', 'key')).status).toBe(400);
+    expect((await request(app).get('/api/usage?period=1y').set('X-API-Key', 'key')).status).toBe(400);
+  });
+});
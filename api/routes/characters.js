@@ -1,16 +1,58 @@
 // Character API Routes
 const express = require('express');
-const { asyncHandler } = require('../../middleware/error-handler');
+const multer = require('multer');
+const { asyncHandler, AppError } = require('../../middleware/error-handler');
 const logger = require('../../utils/logger');
+const { query } = require('../../utils/database');
+const UsageTracker = require('../../model-router/usage-tracker');
+const { isAdmin } = require('../../middleware/admin-auth');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 class CharacterAPI {
   constructor(characterManager, elizaBridge) {
     this.characterManager = characterManager;
     this.elizaBridge = elizaBridge;
     this.router = express.Router();
+
+    // Eliza character files are small JSON documents, parsed in memory
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: 1024 * 1024, files: 50 },
+      fileFilter: (req, file, callback) => {
+        if (file.mimetype === 'application/json' || file.originalname.toLowerCase().endsWith('.json')) {
+          return callback(null, true);
+        }
+        callback(new AppError(`Unsupported file type ${file.mimetype}; send Eliza character.json files`, 415));
+      }
+    });
+
     logger.info('CharacterAPI initialized');
   }
 
+  // An uploaded file as an import entry; files that aren't JSON are reported rather than rejecting the batch
+  parseCharacterFile(file) {
+    try {
+      return { source: file.originalname, data: JSON.parse(file.buffer.toString('utf8')) };
+    } catch (error) {
+      return { source: file.originalname, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+
+  // Import entries from the request: uploaded files, or a JSON body with one character, an array or { characters }
+  getImportEntries(req) {
+    if (req.files?.length > 0) {
+      return req.files.map(file => this.parseCharacterFile(file));
+    }
+
+    const body = req.body;
+    const characters = Array.isArray(body) ? body : Array.isArray(body?.characters) ? body.characters : [body];
+    if (!body || (characters.length === 1 && Object.keys(characters[0] || {}).length === 0)) {
+      throw new AppError('Send Eliza character files in the "files" field, or character JSON as the body', 400);
+    }
+    return characters.map((data, index) => ({ source: `body[${index}]`, data }));
+  }
+
   setupRoutes() {
     // List all characters
     this.router.get('/characters', asyncHandler(async (req, res) => {
@@ -28,6 +70,26 @@ class CharacterAPI {
       });
     }));
 
+    // Import Eliza character.json files (multipart "files", or JSON). With ?dryRun=true they are only validated
+    this.router.post('/characters/import', this.upload.array('files'), asyncHandler(async (req, res) => {
+      const report = await this.characterManager.importCharacters(this.getImportEntries(req), {
+        dryRun: req.query.dryRun === 'true'
+      });
+
+      if (report.failed === report.total) {
+        return res.status(400).json({
+          success: false,
+          error: 'No characters could be imported',
+          data: report
+        });
+      }
+
+      res.status(report.created > 0 ? 201 : 200).json({
+        success: report.failed === 0,
+        data: report
+      });
+    }));
+
     // Get character by ID
     this.router.get('/characters/:id', asyncHandler(async (req, res) => {
       const character = await this.characterManager.getCharacter(req.params.id);
@@ -66,6 +128,16 @@ class CharacterAPI {
       });
     }));
 
+    // Download a character as an Eliza character.json
+    this.router.get('/characters/:id/export', asyncHandler(async (req, res) => {
+      const elizaCharacter = await this.characterManager.exportCharacter(req.params.id, req.query.format || 'eliza');
+      const slug = elizaCharacter.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'character';
+
+      res.attachment(`${slug}.character.json`);
+      res.type('application/json');
+      res.send(JSON.stringify(elizaCharacter, null, 2));
+    }));
+
     // Update character
     this.router.put('/characters/:id', asyncHandler(async (req, res) => {
       const updates = req.body;
@@ -99,10 +171,21 @@ class CharacterAPI {
         });
       }
 
+      const wantsStream = (req.get('Accept') || '').includes('text/event-stream');
+      if (wantsStream) {
+        return this.streamInteraction(req, res, message, context || {});
+      }
+
       const result = await this.characterManager.interact(
         req.params.id,
         message,
-        context || {}
+        context || {},
+        {
+          generation: this.characterManager.pickGenerationOptions(req.body),
+          apiKeyId: req.apiKey?.id,
+          userId: req.apiKey?.userId,
+          sessionId: req.body.sessionId
+        }
       );
       
       res.json({
@@ -111,23 +194,40 @@ class CharacterAPI {
       });
     }));
 
-    // Start autonomous operations
+    // Start autonomous operations; also creates the character's Eliza agent or pushes its profile to it
     this.router.post('/characters/:id/start', asyncHandler(async (req, res) => {
       const result = await this.characterManager.startAutonomousOperations(req.params.id);
       
       res.json({
         success: result.success,
-        message: result.message
+        message: result.message,
+        agent: result.agent
       });
     }));
 
-    // Stop autonomous operations
+    // Stop autonomous operations and the character's Eliza agent
     this.router.post('/characters/:id/stop', asyncHandler(async (req, res) => {
       const result = await this.characterManager.stopAutonomousOperations(req.params.id);
       
       res.json({
         success: result.success,
-        message: result.message
+        message: result.message,
+        agent: result.agent
+      });
+    }));
+
+    // Regenerate the avatar from the character's visual profile
+    this.router.post('/characters/:id/avatar', asyncHandler(async (req, res) => {
+      const result = await this.characterManager.regenerateAvatar(req.params.id, {
+        prompt: req.body.prompt,
+        seed: req.body.seed,
+        userId: req.apiKey?.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Avatar regenerated',
+        data: result
       });
     }));
 
@@ -233,31 +333,72 @@ class CharacterAPI {
       });
     }));
 
-    // Model status endpoint
-    this.router.get('/models', asyncHandler(async (req, res) => {
-      const models = this.characterManager.modelRouter 
-        ? this.characterManager.modelRouter.getAvailableModels()
-        : [];
+    // Tools characters can enable through settings.tools
+    this.router.get('/tools', asyncHandler(async (req, res) => {
+      const tools = this.characterManager.toolExecutor ? this.characterManager.toolExecutor.listTools() : [];
 
       res.json({
         success: true,
-        count: models.length,
-        data: models
+        count: tools.length,
+        data: tools
       });
     }));
 
-    // Usage statistics
+    // Usage statistics: model tokens and cost broken down by model, character and API key
     this.router.get('/usage', asyncHandler(async (req, res) => {
-      // Mock usage statistics for Phase 1
+      const period = req.query.period || '24h';
+      const modelRouter = this.characterManager.modelRouter;
+
+      if (!UsageTracker.PERIODS[period]) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported period. Use one of: ${Object.keys(UsageTracker.PERIODS).join(', ')}`
+        });
+      }
+
+      for (const param of ['characterId', 'apiKeyId']) {
+        if (req.query[param] !== undefined && !UUID_PATTERN.test(req.query[param])) {
+          return res.status(400).json({ success: false, error: `${param} must be a UUID` });
+        }
+      }
+
+      // Admins see every key's usage; API key holders see only their own
+      const admin = isAdmin(req);
+      if (!admin && !req.apiKey) {
+        throw new AppError('API key or admin key required', 401);
+      }
+      if (!admin && req.query.apiKeyId && req.query.apiKeyId !== req.apiKey.id) {
+        throw new AppError('Only admins can view usage for another API key', 403);
+      }
+
+      const apiKeyId = admin ? req.query.apiKeyId : req.apiKey.id;
+
+      const [modelUsage, apiCalls] = await Promise.all([
+        modelRouter
+          ? modelRouter.usageTracker.getUsageSummary({ period, characterId: req.query.characterId, apiKeyId })
+          : null,
+        query(
+          `SELECT COUNT(*)::int AS count FROM api_usage
+           WHERE timestamp >= NOW() - $1::interval AND ($2::uuid IS NULL OR api_key_id = $2::uuid)`,
+          [UsageTracker.PERIODS[period], apiKeyId || null]
+        )
+      ]);
+
+      const characters = Array.from(this.characterManager.characters.values());
+
       res.json({
         success: true,
         data: {
-          totalCharacters: this.characterManager.characters.size,
-          activeCharacters: Array.from(this.characterManager.characters.values())
-            .filter(c => c.status === 'active').length,
-          totalInteractions: 0,
-          apiCalls: 0,
-          period: '24h'
+          totalCharacters: characters.length,
+          activeCharacters: characters.filter(c => c.status === 'active').length,
+          totalInteractions: characters.reduce((sum, c) => sum + (c.metadata?.interactions || 0), 0),
+          apiCalls: apiCalls.rows[0].count,
+          modelCalls: modelUsage ? modelUsage.totals.calls : 0,
+          tokens: modelUsage ? modelUsage.totals : null,
+          byModel: modelUsage ? modelUsage.byModel : [],
+          byCharacter: modelUsage ? modelUsage.byCharacter : [],
+          byApiKey: modelUsage ? modelUsage.byApiKey : [],
+          period
         }
       });
     }));
@@ -278,6 +419,43 @@ class CharacterAPI {
 
     return this.router;
   }
+
+  // Stream a character reply as Server-Sent Events: token events, then a done or error event
+  async streamInteraction(req, res, message, context) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop generating if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+      const result = await this.characterManager.interact(req.params.id, message, context, {
+        generation: this.characterManager.pickGenerationOptions(req.body),
+        onToken: (token) => sendEvent('token', { token }),
+        signal: controller.signal,
+        apiKeyId: req.apiKey?.id,
+        userId: req.apiKey?.userId,
+        sessionId: req.body.sessionId
+      });
+
+      sendEvent('done', result);
+    } catch (error) {
+      logger.error('Streaming interaction failed', { characterId: req.params.id, error: error.message });
+      sendEvent('error', { error: error.message });
+    }
+
+    res.end();
+  }
 }
 
 module.exports = CharacterAPI;
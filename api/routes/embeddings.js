@@ -0,0 +1,94 @@
+// Embedding API Routes - Text embeddings and namespaced vector search
+const express = require('express');
+const { asyncHandler } = require('../../middleware/error-handler');
+const logger = require('../../utils/logger');
+
+class EmbeddingAPI {
+  constructor(embeddingService) {
+    this.embeddingService = embeddingService;
+    this.router = express.Router();
+    logger.info('EmbeddingAPI initialized');
+  }
+
+  // Usage attribution for the calling API key
+  getCaller(req) {
+    return {
+      apiKeyId: req.apiKey?.id,
+      userId: req.apiKey?.userId
+    };
+  }
+
+  setupRoutes() {
+    // Embed one text or a list of texts
+    this.router.post('/embeddings', asyncHandler(async (req, res) => {
+      const { input, model } = req.body;
+
+      const result = await this.embeddingService.embed(input, {
+        model,
+        ...this.getCaller(req)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          model: result.model,
+          dimensions: result.dimensions,
+          embeddings: result.embeddings,
+          usage: result.usage
+        }
+      });
+    }));
+
+    // Embed and store items in a namespace
+    this.router.post('/embeddings/:namespace/items', asyncHandler(async (req, res) => {
+      const result = await this.embeddingService.index(req.params.namespace, req.body.items, {
+        model: req.body.model,
+        ...this.getCaller(req)
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+    }));
+
+    // Nearest stored items to a query text
+    this.router.post('/embeddings/:namespace/search', asyncHandler(async (req, res) => {
+      const { query, limit, minScore, model } = req.body;
+
+      const result = await this.embeddingService.search(req.params.namespace, query, {
+        limit,
+        minScore,
+        model,
+        ...this.getCaller(req)
+      });
+
+      res.json({
+        success: true,
+        count: result.matches.length,
+        data: result
+      });
+    }));
+
+    // Remove an item from a namespace
+    this.router.delete('/embeddings/:namespace/items/:id', asyncHandler(async (req, res) => {
+      const removed = await this.embeddingService.remove(req.params.namespace, req.params.id);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Item not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Item removed'
+      });
+    }));
+
+    return this.router;
+  }
+}
+
+module.exports = EmbeddingAPI;
@@ -0,0 +1,129 @@
+// Image API Routes - Generated and uploaded images with platform variants
+const express = require('express');
+const { validate: isUuid } = require('uuid');
+const { asyncHandler, AppError } = require('../../middleware/error-handler');
+const logger = require('../../utils/logger');
+
+const OPTION_FIELDS = ['presets', 'format', 'quality', 'watermark'];
+const GENERATION_FIELDS = ['prompt', 'negativePrompt', 'width', 'height', 'steps', 'seed', 'count', 'useVisualProfile'];
+
+class ImageAPI {
+  constructor(imagePipeline, characterManager) {
+    this.imagePipeline = imagePipeline;
+    this.characterManager = characterManager;
+    this.router = express.Router();
+    logger.info('ImageAPI initialized');
+  }
+
+  pick(body, fields) {
+    return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+  }
+
+  // The character an image belongs to, if the request names one
+  async getCharacter(characterId) {
+    if (!characterId) return null;
+
+    const character = await this.characterManager.getCharacter(characterId);
+    if (!character) {
+      throw new AppError('Character not found', 404);
+    }
+    return character;
+  }
+
+  checkId(id) {
+    if (!isUuid(id)) {
+      throw new AppError('Image not found', 404);
+    }
+  }
+
+  setupRoutes() {
+    // Available platform presets
+    this.router.get('/images/presets', (req, res) => {
+      res.json({
+        success: true,
+        data: this.imagePipeline.getPresets()
+      });
+    });
+
+    // Generate images from a prompt, post-process and store them
+    this.router.post('/images/generate', asyncHandler(async (req, res) => {
+      const character = await this.getCharacter(req.body.characterId);
+
+      const images = await this.imagePipeline.generate(
+        {
+          ...this.pick(req.body, GENERATION_FIELDS),
+          ...this.pick(req.body, OPTION_FIELDS)
+        },
+        { character, userId: req.apiKey?.userId }
+      );
+
+      res.status(201).json({
+        success: true,
+        count: images.length,
+        data: images
+      });
+    }));
+
+    // Post-process and store an image sent as base64 or a data URI
+    this.router.post('/images/process', asyncHandler(async (req, res) => {
+      const character = await this.getCharacter(req.body.characterId);
+
+      const image = await this.imagePipeline.process(
+        req.body.image,
+        this.pick(req.body, OPTION_FIELDS),
+        { character, userId: req.apiKey?.userId }
+      );
+
+      res.status(201).json({
+        success: true,
+        data: image
+      });
+    }));
+
+    // Get an image with its variants
+    this.router.get('/images/:id', asyncHandler(async (req, res) => {
+      this.checkId(req.params.id);
+      const image = await this.imagePipeline.getImage(req.params.id);
+
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          error: 'Image not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: image
+      });
+    }));
+
+    // Delete an image and its variants
+    this.router.delete('/images/:id', asyncHandler(async (req, res) => {
+      this.checkId(req.params.id);
+      const result = await this.imagePipeline.deleteImage(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Image deleted',
+        data: result
+      });
+    }));
+
+    // A character's images, newest first
+    this.router.get('/characters/:id/images', asyncHandler(async (req, res) => {
+      await this.getCharacter(req.params.id);
+      const images = await this.imagePipeline.listImages(req.params.id, { limit: req.query.limit });
+
+      res.json({
+        success: true,
+        count: images.length,
+        data: images
+      });
+    }));
+
+    return this.router;
+  }
+}
+
+module.exports = ImageAPI;
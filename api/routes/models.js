@@ -0,0 +1,153 @@
+// Model API Routes - Model listing, runtime registry administration and A/B experiments
+const express = require('express');
+const { asyncHandler } = require('../../middleware/error-handler');
+const { requireAdmin } = require('../../middleware/admin-auth');
+const logger = require('../../utils/logger');
+
+class ModelAPI {
+  constructor(modelRouter) {
+    this.modelRouter = modelRouter;
+    this.router = express.Router();
+    logger.info('ModelAPI initialized');
+  }
+
+  setupRoutes() {
+    // Model status endpoint
+    this.router.get('/models', asyncHandler(async (req, res) => {
+      const models = this.modelRouter ? this.modelRouter.getAvailableModels() : [];
+
+      res.json({
+        success: true,
+        count: models.length,
+        data: models
+      });
+    }));
+
+    // Full model configs (admin)
+    this.router.get('/models/config', requireAdmin, asyncHandler(async (req, res) => {
+      const models = this.modelRouter.listModelConfigs();
+
+      res.json({
+        success: true,
+        count: models.length,
+        data: models
+      });
+    }));
+
+    // Re-read the model config file and saved admin changes (admin)
+    this.router.post('/models/reload', requireAdmin, asyncHandler(async (req, res) => {
+      const models = await this.modelRouter.reloadModels();
+
+      res.json({
+        success: true,
+        message: 'Model config reloaded',
+        count: models.length,
+        data: models
+      });
+    }));
+
+    // A/B experiments splitting traffic between models
+    this.router.get('/experiments', asyncHandler(async (req, res) => {
+      const experiments = this.modelRouter.experiments.list();
+
+      res.json({
+        success: true,
+        count: experiments.length,
+        data: experiments
+      });
+    }));
+
+    // Start an experiment (admin)
+    this.router.post('/experiments', requireAdmin, asyncHandler(async (req, res) => {
+      const experiment = this.modelRouter.experiments.add(req.body, this.modelRouter.models);
+
+      res.status(201).json({
+        success: true,
+        message: 'Experiment created',
+        data: experiment
+      });
+    }));
+
+    // Stop an experiment (admin); recorded results stay in the database
+    this.router.delete('/experiments/:name', requireAdmin, asyncHandler(async (req, res) => {
+      this.modelRouter.experiments.remove(req.params.name);
+
+      res.json({
+        success: true,
+        message: 'Experiment removed'
+      });
+    }));
+
+    // Compare latency, error rate and conversation scores per variant
+    this.router.get('/experiments/:name/report', asyncHandler(async (req, res) => {
+      const report = await this.modelRouter.experiments.getReport(req.params.name, {
+        period: req.query.period || '7d'
+      });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    }));
+
+    // Get a single model's status
+    this.router.get('/models/:name', asyncHandler(async (req, res) => {
+      const status = this.modelRouter.getModelStatus(req.params.name);
+
+      if (status.status === 'not-found') {
+        return res.status(404).json({
+          success: false,
+          error: 'Model not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: status
+      });
+    }));
+
+    // Register a model (admin)
+    this.router.post('/models', requireAdmin, asyncHandler(async (req, res) => {
+      const model = await this.modelRouter.persistModelChange(req.body.name, () => this.modelRouter.addModel(req.body));
+
+      // Probe right away so the new model can be routed to without waiting for the next health run
+      if (this.modelRouter.healthCheckInterval) {
+        await this.modelRouter.checkModelHealth(this.modelRouter.models.get(model.name));
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Model registered successfully',
+        data: this.modelRouter.getModelStatus(model.name)
+      });
+    }));
+
+    // Update a model (admin)
+    this.router.put('/models/:name', requireAdmin, asyncHandler(async (req, res) => {
+      const model = await this.modelRouter.persistModelChange(req.params.name, () =>
+        this.modelRouter.updateModel(req.params.name, req.body)
+      );
+
+      res.json({
+        success: true,
+        message: 'Model updated successfully',
+        data: this.modelRouter.getModelStatus(model.name)
+      });
+    }));
+
+    // Remove a model (admin)
+    this.router.delete('/models/:name', requireAdmin, asyncHandler(async (req, res) => {
+      await this.modelRouter.persistModelChange(req.params.name, () => this.modelRouter.removeModel(req.params.name));
+
+      res.json({
+        success: true,
+        message: 'Model removed'
+      });
+    }));
+
+    return this.router;
+  }
+}
+
+module.exports = ModelAPI;
@@ -0,0 +1,187 @@
+// Prompt Template API Routes - Versioned prompt templates, previews and per-character pins
+const express = require('express');
+const { asyncHandler, AppError } = require('../../middleware/error-handler');
+const { requireAdmin } = require('../../middleware/admin-auth');
+const logger = require('../../utils/logger');
+const PromptTemplateManager = require('../../services/prompt-template-manager');
+
+class PromptTemplateAPI {
+  constructor(templateManager, characterManager) {
+    this.templateManager = templateManager;
+    this.characterManager = characterManager;
+    this.router = express.Router();
+    logger.info('PromptTemplateAPI initialized');
+  }
+
+  // Version from a route or body value; undefined means latest
+  parseVersion(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 0) {
+      throw new AppError('version must be a non-negative integer', 400);
+    }
+    return version;
+  }
+
+  async getCharacterOr404(id) {
+    const character = await this.characterManager.getCharacter(id);
+    if (!character) {
+      throw new AppError('Character not found', 404);
+    }
+    return character;
+  }
+
+  setupRoutes() {
+    // List templates (latest version of each)
+    this.router.get('/prompt-templates', asyncHandler(async (req, res) => {
+      let templates = await this.templateManager.listTemplates();
+      if (req.query.contentType) {
+        templates = templates.filter(template => template.contentType === req.query.contentType);
+      }
+
+      res.json({
+        success: true,
+        count: templates.length,
+        data: templates
+      });
+    }));
+
+    // Latest version of a template, with its version history
+    this.router.get('/prompt-templates/:name', asyncHandler(async (req, res) => {
+      const template = await this.templateManager.getTemplate(req.params.name);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Prompt template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...template,
+          versions: await this.templateManager.listVersions(req.params.name)
+        }
+      });
+    }));
+
+    // A specific version (0 is the built-in)
+    this.router.get('/prompt-templates/:name/versions/:version', asyncHandler(async (req, res) => {
+      const template = await this.templateManager.getTemplate(req.params.name, this.parseVersion(req.params.version));
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Prompt template version not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    }));
+
+    // Create a template (admin)
+    this.router.post('/prompt-templates', requireAdmin, asyncHandler(async (req, res) => {
+      const { name, ...data } = req.body;
+      const template = await this.templateManager.saveVersion(name, data, { create: true });
+
+      res.status(201).json({
+        success: true,
+        message: 'Prompt template created',
+        data: template
+      });
+    }));
+
+    // Save a new version of a template (admin); omitted fields carry over from the latest version
+    this.router.put('/prompt-templates/:name', requireAdmin, asyncHandler(async (req, res) => {
+      const template = await this.templateManager.saveVersion(req.params.name, req.body);
+
+      res.json({
+        success: true,
+        message: `Prompt template saved as version ${template.version}`,
+        data: template
+      });
+    }));
+
+    // Delete all saved versions of a template (admin)
+    this.router.delete('/prompt-templates/:name', requireAdmin, asyncHandler(async (req, res) => {
+      const result = await this.templateManager.deleteTemplate(req.params.name);
+
+      res.json({
+        success: true,
+        message: 'Prompt template deleted',
+        data: result
+      });
+    }));
+
+    // Preview a template rendered for a character and request variables
+    this.router.post('/prompt-templates/:name/render', asyncHandler(async (req, res) => {
+      const { version, characterId, variables } = req.body;
+      const template = await this.templateManager.getTemplate(req.params.name, this.parseVersion(version));
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Prompt template not found'
+        });
+      }
+
+      const character = characterId ? await this.getCharacterOr404(characterId) : undefined;
+
+      res.json({
+        success: true,
+        data: this.templateManager.render(template, { character, variables: variables || {} })
+      });
+    }));
+
+    // Pin a template version for one of a character's content types
+    this.router.put('/characters/:id/prompt-templates/:contentType', asyncHandler(async (req, res) => {
+      const { contentType } = req.params;
+      if (!PromptTemplateManager.CONTENT_TYPES.includes(contentType)) {
+        throw new AppError(`contentType must be one of: ${PromptTemplateManager.CONTENT_TYPES.join(', ')}`, 400);
+      }
+
+      await this.getCharacterOr404(req.params.id);
+
+      // Without a version, pin whatever is latest right now
+      let version = this.parseVersion(req.body.version);
+      if (version === undefined) {
+        const latest = await this.templateManager.getTemplate(req.body.name);
+        if (!latest) {
+          throw new AppError(`Prompt template ${req.body.name} not found`, 400);
+        }
+        version = latest.version;
+      }
+
+      // updateCharacter checks that the pinned version exists and matches the content type
+      const pin = { name: req.body.name, version };
+      const character = await this.characterManager.pinPromptTemplate(req.params.id, contentType, pin);
+
+      res.json({
+        success: true,
+        message: `Pinned ${pin.name} v${pin.version} for ${contentType}`,
+        data: character.settings.promptTemplates
+      });
+    }));
+
+    // Unpin, falling back to the content type's default template
+    this.router.delete('/characters/:id/prompt-templates/:contentType', asyncHandler(async (req, res) => {
+      await this.getCharacterOr404(req.params.id);
+      const character = await this.characterManager.pinPromptTemplate(req.params.id, req.params.contentType, null);
+
+      res.json({
+        success: true,
+        message: 'Prompt template unpinned',
+        data: character.settings.promptTemplates
+      });
+    }));
+
+    return this.router;
+  }
+}
+
+module.exports = PromptTemplateAPI;
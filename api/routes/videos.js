@@ -0,0 +1,105 @@
+// Video API Routes - Short-form video jobs assembled with ffmpeg
+const express = require('express');
+const { asyncHandler, AppError } = require('../../middleware/error-handler');
+const logger = require('../../utils/logger');
+
+const JOB_FIELDS = ['clips', 'audioId', 'captions', 'transition', 'transitionDuration', 'watermark'];
+
+class VideoAPI {
+  constructor(videoAssembler, characterManager) {
+    this.videoAssembler = videoAssembler;
+    this.characterManager = characterManager;
+    this.router = express.Router();
+    logger.info('VideoAPI initialized');
+  }
+
+  pick(body, fields) {
+    return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+  }
+
+  // The character a video belongs to, if the request names one
+  async getCharacter(characterId) {
+    if (!characterId) return null;
+
+    const character = await this.characterManager.getCharacter(characterId);
+    if (!character) {
+      throw new AppError('Character not found', 404);
+    }
+    return character;
+  }
+
+  setupRoutes() {
+    // Queue a video; progress is reported on the job and as video-job events in the character's Socket.IO room
+    this.router.post('/videos/jobs', asyncHandler(async (req, res) => {
+      const character = await this.getCharacter(req.body.characterId);
+
+      const job = await this.videoAssembler.createJob(
+        this.pick(req.body, JOB_FIELDS),
+        { character, userId: req.apiKey?.userId }
+      );
+
+      res.status(202).json({
+        success: true,
+        data: job
+      });
+    }));
+
+    // Recent video jobs, optionally for one character or status
+    this.router.get('/videos/jobs', (req, res) => {
+      const jobs = this.videoAssembler.listJobs({
+        characterId: req.query.characterId,
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        count: jobs.length,
+        data: jobs
+      });
+    });
+
+    // A video job's status and progress, with the stored file once completed
+    this.router.get('/videos/jobs/:jobId', (req, res) => {
+      const job = this.videoAssembler.getJob(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    });
+
+    // Cancel a queued or rendering job
+    this.router.post('/videos/jobs/:jobId/cancel', (req, res) => {
+      const job = this.videoAssembler.cancel(req.params.jobId);
+
+      res.json({
+        success: true,
+        message: 'Video job cancelled',
+        data: job
+      });
+    });
+
+    // A character's rendered videos, newest first
+    this.router.get('/characters/:id/videos', asyncHandler(async (req, res) => {
+      await this.getCharacter(req.params.id);
+      const videos = await this.videoAssembler.listVideos(req.params.id, { limit: req.query.limit });
+
+      res.json({
+        success: true,
+        count: videos.length,
+        data: videos
+      });
+    }));
+
+    return this.router;
+  }
+}
+
+module.exports = VideoAPI;
@@ -0,0 +1,123 @@
+// Voice API Routes - Character speech from voice_config and voice messages from fans
+const express = require('express');
+const multer = require('multer');
+const { asyncHandler, AppError } = require('../../middleware/error-handler');
+const logger = require('../../utils/logger');
+
+const VOICE_FIELDS = ['model', 'speaker', 'speed', 'pitch'];
+// Browsers record voice notes as audio/webm or, in some, video/webm with only an audio track
+const EXTRA_AUDIO_TYPES = ['video/webm', 'video/mp4', 'application/ogg'];
+
+class VoiceAPI {
+  constructor(voicePipeline, characterManager) {
+    this.voicePipeline = voicePipeline;
+    this.characterManager = characterManager;
+    this.router = express.Router();
+
+    // Voice messages are kept in memory; they are transcoded and stored by the voice pipeline
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: parseInt(process.env.VOICE_UPLOAD_MAX_BYTES) || 25 * 1024 * 1024,
+        files: 1
+      },
+      fileFilter: (req, file, callback) => {
+        if (file.mimetype.startsWith('audio/') || EXTRA_AUDIO_TYPES.includes(file.mimetype)) {
+          return callback(null, true);
+        }
+        callback(new AppError(`Unsupported file type ${file.mimetype}; send an audio file`, 415));
+      }
+    });
+
+    logger.info('VoiceAPI initialized');
+  }
+
+  // Multipart fields arrive as strings; context may be sent as JSON
+  parseContext(value) {
+    if (value == null || value === '') return {};
+    if (typeof value === 'object') return value;
+    try {
+      const context = JSON.parse(value);
+      if (context && typeof context === 'object' && !Array.isArray(context)) return context;
+    } catch (error) {
+      // Reported below
+    }
+    throw new AppError('context must be a JSON object', 400);
+  }
+
+  pick(body, fields) {
+    return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+  }
+
+  async getCharacter(characterId) {
+    const character = await this.characterManager.getCharacter(characterId);
+    if (!character) {
+      throw new AppError('Character not found', 404);
+    }
+    return character;
+  }
+
+  setupRoutes() {
+    // Speak text in the character's voice. Returns the audio itself, or with store: true the stored file as JSON
+    this.router.post('/characters/:id/speak', asyncHandler(async (req, res) => {
+      const { text, format, normalize, store } = req.body;
+      const character = await this.getCharacter(req.params.id);
+
+      const result = await this.voicePipeline.speak(character, text, {
+        format,
+        normalize: normalize !== false,
+        store: store === true,
+        voice: this.pick(req.body, VOICE_FIELDS),
+        userId: req.apiKey?.userId,
+        apiKeyId: req.apiKey?.id
+      });
+
+      if (result.file) {
+        const { audio, ...data } = result;
+        return res.status(201).json({
+          success: true,
+          data
+        });
+      }
+
+      res.set({
+        'Content-Type': result.mimeType,
+        'Content-Length': result.audio.length,
+        'X-Audio-Duration': result.duration ?? '',
+        'X-Model': result.model
+      });
+      res.send(result.audio);
+    }));
+
+    // Send a voice message (multipart field "audio"); it is transcribed and answered like a text message
+    this.router.post('/characters/:id/voice-messages', this.upload.single('audio'), asyncHandler(async (req, res) => {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'An audio file is required in the "audio" field'
+        });
+      }
+
+      const result = await this.characterManager.interactByVoice(
+        req.params.id,
+        req.file,
+        this.parseContext(req.body.context),
+        {
+          language: req.body.language || undefined,
+          sessionId: req.body.sessionId || undefined,
+          userId: req.apiKey?.userId,
+          apiKeyId: req.apiKey?.id
+        }
+      );
+
+      res.json({
+        success: true,
+        data: result
+      });
+    }));
+
+    return this.router;
+  }
+}
+
+module.exports = VoiceAPI;
@@ -47,9 +47,12 @@ CREATE TABLE IF NOT EXISTS characters (
     name VARCHAR(100) NOT NULL,
     display_name VARCHAR(100),
     eliza_agent_id VARCHAR(100) UNIQUE,
+    eliza_config JSONB,
     personality JSONB NOT NULL,
     voice JSONB,
+    voice_config JSONB,
     avatar JSONB,
+    visual_config JSONB DEFAULT '{}',
     settings JSONB DEFAULT '{}',
     status VARCHAR(20) DEFAULT 'active',
     visibility VARCHAR(20) DEFAULT 'public',
@@ -86,6 +89,13 @@ CREATE TABLE IF NOT EXISTS conversations (
     platform VARCHAR(50) DEFAULT 'xcreator-pro',
     sentiment_score DECIMAL(3,2),
     engagement_score DECIMAL(3,2),
+    model VARCHAR(100),
+    experiment VARCHAR(100),
+    variant VARCHAR(50),
+    -- Voice messages keep the uploaded audio (a files row) and the transcript details
+    input_type VARCHAR(20) DEFAULT 'text',
+    audio_file_id UUID,
+    transcript JSONB,
     timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -251,9 +261,15 @@ CREATE TABLE IF NOT EXISTS usage_tracking (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     character_id UUID REFERENCES characters(id) ON DELETE CASCADE,
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
     tool VARCHAR(50) NOT NULL,
     action VARCHAR(100) NOT NULL,
     amount INTEGER DEFAULT 1,
+    model VARCHAR(100),
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    latency_ms INTEGER,
+    cost_usd DECIMAL(12,6) DEFAULT 0,
     metadata JSONB DEFAULT '{}',
     date DATE DEFAULT CURRENT_DATE,
     timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -275,6 +291,65 @@ CREATE TABLE IF NOT EXISTS files (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create prompt templates table (versions are immutable; updates insert the next version)
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    system_template TEXT,
+    user_template TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(name, version)
+);
+
+-- Create experiment events table (one row per request routed through a model A/B experiment)
+CREATE TABLE IF NOT EXISTS experiment_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    experiment VARCHAR(100) NOT NULL,
+    variant VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    served_by VARCHAR(100),
+    character_id UUID REFERENCES characters(id) ON DELETE SET NULL,
+    session_id UUID,
+    success BOOLEAN NOT NULL,
+    latency_ms INTEGER,
+    error_message TEXT,
+    timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create model overrides table (models registered, changed or removed through the admin API)
+CREATE TABLE IF NOT EXISTS model_overrides (
+    name VARCHAR(100) PRIMARY KEY,
+    config JSONB,
+    removed BOOLEAN DEFAULT false,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The embeddings table for vector search needs the pgvector extension, so services/vector-store.js
+-- creates it when VECTOR_STORE=pgvector; plain Postgres works with the in-memory store
+
+-- Bring tables created by earlier versions of this script up to date; CREATE TABLE IF NOT EXISTS
+-- leaves existing tables alone, so every column added to one is also added here
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS eliza_config JSONB;
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS voice_config JSONB;
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS visual_config JSONB DEFAULT '{}';
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS experiment VARCHAR(100);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS variant VARCHAR(50);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS input_type VARCHAR(20) DEFAULT 'text';
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS audio_file_id UUID;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS transcript JSONB;
+
+ALTER TABLE usage_tracking ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+ALTER TABLE usage_tracking ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+ALTER TABLE usage_tracking ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER DEFAULT 0;
+ALTER TABLE usage_tracking ADD COLUMN IF NOT EXISTS completion_tokens INTEGER DEFAULT 0;
+ALTER TABLE usage_tracking ADD COLUMN IF NOT EXISTS latency_ms INTEGER;
+ALTER TABLE usage_tracking ADD COLUMN IF NOT EXISTS cost_usd DECIMAL(12,6) DEFAULT 0;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -290,6 +365,13 @@ CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
 CREATE INDEX IF NOT EXISTS idx_affiliate_links_user_id ON affiliate_links(user_id);
 CREATE INDEX IF NOT EXISTS idx_usage_tracking_user_id ON usage_tracking(user_id);
 CREATE INDEX IF NOT EXISTS idx_usage_tracking_date ON usage_tracking(date);
+CREATE INDEX IF NOT EXISTS idx_usage_tracking_timestamp ON usage_tracking(timestamp);
+CREATE INDEX IF NOT EXISTS idx_usage_tracking_api_key_id ON usage_tracking(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_api_usage_api_key_id ON api_usage(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_experiment ON conversations(experiment, variant);
+CREATE INDEX IF NOT EXISTS idx_experiment_events_experiment ON experiment_events(experiment, timestamp);
+CREATE INDEX IF NOT EXISTS idx_files_character_id ON files(character_id);
+CREATE INDEX IF NOT EXISTS idx_files_parent_id ON files((metadata->>'parentId'));
 
 -- Create functions for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -0,0 +1,7 @@
+// Jest setup - Silence the winston logger, which would otherwise write to logs/ on every test run
+jest.mock('./utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
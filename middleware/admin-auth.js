@@ -0,0 +1,40 @@
+// Admin authentication middleware
+const crypto = require('crypto');
+const { AppError } = require('./error-handler');
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Whether the X-Admin-Key header (or a Bearer token) matches ADMIN_API_KEY
+function isAdmin(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+
+  const authorization = req.get('Authorization') || '';
+  const provided = req.get('X-Admin-Key') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+
+  return !!provided && safeEqual(provided, adminKey);
+}
+
+// Require the X-Admin-Key header (or a Bearer token) to match ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return next(new AppError('Admin API disabled: ADMIN_API_KEY is not set', 503));
+  }
+
+  if (!isAdmin(req)) {
+    return next(new AppError('Admin key required', 401));
+  }
+
+  next();
+}
+
+module.exports = {
+  isAdmin,
+  requireAdmin
+};
@@ -0,0 +1,49 @@
+// API key identification middleware
+const { query } = require('../utils/database');
+const { AppError } = require('./error-handler');
+const logger = require('../utils/logger');
+
+// Resolve an optional X-API-Key header to req.apiKey ({ id, userId, tier }) and log the call to api_usage.
+// Requests without a key pass through anonymously; an unknown or inactive key is rejected.
+function identifyApiKey(req, res, next) {
+  const key = req.get('X-API-Key');
+  if (!key) {
+    return next();
+  }
+
+  const startTime = Date.now();
+
+  (async () => {
+    const result = await query(
+      `SELECT id, user_id, tier FROM api_keys
+       WHERE key = $1 AND is_active = true AND (expires_at IS NULL OR expires_at > NOW())`,
+      [key]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new AppError('Invalid API key', 401));
+    }
+
+    const row = result.rows[0];
+    req.apiKey = { id: row.id, userId: row.user_id, tier: row.tier };
+
+    res.on('finish', () => {
+      Promise.all([
+        query(
+          `INSERT INTO api_usage (api_key_id, endpoint, method, status_code, response_time, user_agent, ip_address)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [row.id, req.originalUrl.split('?')[0], req.method, res.statusCode, Date.now() - startTime, req.get('User-Agent'), req.ip]
+        ),
+        query('UPDATE api_keys SET last_used = NOW(), usage_count = usage_count + 1 WHERE id = $1', [row.id])
+      ]).catch(error => {
+        logger.warn('Failed to record API usage', { apiKeyId: row.id, error: error.message });
+      });
+    });
+
+    next();
+  })().catch(next);
+}
+
+module.exports = {
+  identifyApiKey
+};
@@ -58,6 +58,12 @@ function errorHandler(err, req, res, next) {
     error = new AppError(message, 401);
   }
 
+  // Upload errors (multer)
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File too large' : err.message;
+    error = new AppError(message, err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+  }
+
   // PostgreSQL errors
   if (err.code === '23505') { // Unique violation
     const message = 'Duplicate entry';
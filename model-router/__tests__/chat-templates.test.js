@@ -0,0 +1,80 @@
+const { renderChatTemplate, injectSystemPrompt, listChatTemplates, getChatTemplateStops } = require('../chat-templates');
+
+const messages = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'Hi' },
+  { role: 'assistant', content: 'Hello!' },
+  { role: 'user', content: 'Bye' }
+];
+
+describe('chat templates', () => {
+  test('renders ChatML with an open assistant turn', () => {
+    expect(renderChatTemplate(messages, 'chatml')).toEqual({
+      prompt: '<|im_start|>system\nBe brief.<|im_end|>\n' +
+        '<|im_start|>user\nHi<|im_end|>\n' +
+        '<|im_start|>assistant\nHello!<|im_end|>\n' +
+        '<|im_start|>user\nBye<|im_end|>\n' +
+        '<|im_start|>assistant\n',
+      stop: ['<|im_end|>']
+    });
+  });
+
+  test('renders Llama 3 headers', () => {
+    const { prompt, stop } = renderChatTemplate([{ role: 'user', content: 'Hi' }], 'llama3');
+    expect(prompt).toBe('<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n\nHi<|eot_id|>' +
+      '<|start_header_id|>assistant<|end_header_id|>\n\n');
+    expect(stop).toEqual(['<|eot_id|>']);
+  });
+
+  test('folds the system prompt into the first user turn for Gemma', () => {
+    expect(renderChatTemplate(messages, 'gemma').prompt).toBe(
+      '<bos><start_of_turn>user\nBe brief.\n\nHi<end_of_turn>\n' +
+      '<start_of_turn>model\nHello!<end_of_turn>\n' +
+      '<start_of_turn>user\nBye<end_of_turn>\n' +
+      '<start_of_turn>model\n'
+    );
+  });
+
+  test('wraps user turns in [INST] for Mistral', () => {
+    expect(renderChatTemplate(messages, 'mistral').prompt)
+      .toBe('<s>[INST] Be brief.\n\nHi [/INST] Hello!</s>[INST] Bye [/INST]');
+  });
+
+  test('gives a system-only conversation its own user turn when folding', () => {
+    expect(renderChatTemplate([{ role: 'system', content: 'Rules' }], 'gemma').prompt)
+      .toBe('<bos><start_of_turn>user\nRules<end_of_turn>\n<start_of_turn>model\n');
+  });
+
+  test('treats unknown roles as user and missing content as empty', () => {
+    expect(renderChatTemplate([{ role: 'tool', content: 'result' }, { role: 'user' }], 'plain'))
+      .toEqual({ prompt: 'user: result\nuser: \nassistant:', stop: [] });
+  });
+
+  test('rejects unknown templates', () => {
+    expect(() => renderChatTemplate(messages, 'alpaca')).toThrow('Unknown chat template: alpaca');
+    expect(() => getChatTemplateStops('alpaca')).toThrow('Unknown chat template: alpaca');
+  });
+
+  test('lists templates and their stop sequences', () => {
+    expect(listChatTemplates()).toEqual(['chatml', 'llama3', 'gemma', 'mistral', 'plain']);
+    expect(getChatTemplateStops('mistral')).toEqual(['</s>']);
+    expect(getChatTemplateStops()).toEqual([]);
+  });
+
+  describe('injectSystemPrompt', () => {
+    test('prepends a system message', () => {
+      expect(injectSystemPrompt([{ role: 'user', content: 'Hi' }], 'Persona')).toEqual([
+        { role: 'system', content: 'Persona' },
+        { role: 'user', content: 'Hi' }
+      ]);
+    });
+
+    test('puts the system prompt ahead of an existing system message', () => {
+      expect(injectSystemPrompt(messages, 'Persona')[0]).toEqual({ role: 'system', content: 'Persona\n\nBe brief.' });
+    });
+
+    test('leaves messages alone without a system prompt', () => {
+      expect(injectSystemPrompt(messages, '')).toBe(messages);
+    });
+  });
+});
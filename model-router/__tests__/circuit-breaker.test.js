@@ -0,0 +1,83 @@
+const CircuitBreaker = require('../circuit-breaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stays closed below the failure threshold', () => {
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('opens at the failure threshold and refuses requests during the cool-down', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+
+    now += 99;
+    expect(breaker.isAvailable()).toBe(false);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('lets a single trial request through once the cool-down has passed', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now += 100;
+
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.trialInFlight).toBe(true);
+
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.isAvailable()).toBe(false);
+  });
+
+  test('closes after a successful trial', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now += 100;
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.getState()).toEqual({ state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('re-opens immediately after a failed trial', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now += 100;
+    breaker.canRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.trialInFlight).toBe(false);
+    expect(breaker.openedAt).toBe(now);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('allows a new trial when the previous one never reported back within a cool-down', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now += 100;
+    breaker.canRequest();
+
+    now += 99;
+    expect(breaker.canRequest()).toBe(false);
+    now += 1;
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
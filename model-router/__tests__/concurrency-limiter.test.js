@@ -0,0 +1,76 @@
+
+const ConcurrencyLimiter = require('../concurrency-limiter');
+
+describe('ConcurrencyLimiter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('grants slots immediately up to maxConcurrency', async () => {
+    const limiter = new ConcurrencyLimiter({ maxConcurrency: 2 });
+    await limiter.acquire();
+    await limiter.acquire();
+
+    expect(limiter.getStats()).toMatchObject({ active: 2, queueDepth: 0 });
+  });
+
+  test('serves queued requests by priority, first come first served within a priority', async () => {
+    const limiter = new ConcurrencyLimiter({ maxConcurrency: 1 });
+    const release = await limiter.acquire();
+    const order = [];
+
+    const waiters = [
+      ['background', 'b1'],
+      ['normal', 'n1'],
+      ['interactive', 'i1'],
+      ['normal', 'n2'],
+      ['interactive', 'i2']
+    ].map(([priority, name]) => limiter.acquire(priority).then((next) => {
+      order.push(name);
+      next();
+    }));
+
+    release();
+    await Promise.all(waiters);
+
+    expect(order).toEqual(['i1', 'i2', 'n1', 'n2', 'b1']);
+    expect(limiter.getStats()).toMatchObject({ active: 0, queueDepth: 0 });
+  });
+
+  test('rejects with MODEL_BUSY when the queue is full', async () => {
+    const limiter = new ConcurrencyLimiter({ maxConcurrency: 1, maxQueue: 1 });
+    const release = await limiter.acquire();
+    const queued = limiter.acquire();
+
+    await expect(limiter.acquire()).rejects.toMatchObject({ statusCode: 503, code: 'MODEL_BUSY' });
+    expect(limiter.getStats().rejected).toBe(1);
+
+    release();
+    (await queued)();
+  });
+
+  test('rejects a queued request after the queue timeout and drops it from the queue', async () => {
+    jest.useFakeTimers();
+    const limiter = new ConcurrencyLimiter({ maxConcurrency: 1, queueTimeout: 1000 });
+    const release = await limiter.acquire();
+
+    const waiting = limiter.acquire();
+    jest.advanceTimersByTime(1000);
+
+    await expect(waiting).rejects.toMatchObject({ code: 'MODEL_BUSY', message: expect.stringContaining('Timed out after 1000ms') });
+    expect(limiter.getStats()).toMatchObject({ queueDepth: 0, rejected: 1 });
+
+    release();
+    expect(limiter.getStats().active).toBe(0);
+  });
+
+  test('ignores a second call to the same release()', async () => {
+    const limiter = new ConcurrencyLimiter({ maxConcurrency: 2 });
+    const release = await limiter.acquire();
+    await limiter.acquire();
+
+    release();
+    release();
+    expect(limiter.getStats().active).toBe(1);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../../utils/database', () => ({ query: jest.fn() }));
+
+const ExperimentManager = require('../experiments');
+
+const models = new Map([['model-a', {}], ['model-b', {}]]);
+
+function createManager(variants = [{ name: 'a', model: 'model-a' }, { name: 'b', model: 'model-b' }]) {
+  const manager = new ExperimentManager();
+  manager.add({ name: 'tone', capability: 'conversation', variants }, models);
+  return manager;
+}
+
+describe('ExperimentManager', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps a session on the same variant', () => {
+    const manager = createManager();
+    const first = manager.assign({ capability: 'conversation', sessionId: 'session-1' });
+
+    for (let i = 0; i < 20; i++) {
+      expect(manager.assign({ capability: 'conversation', sessionId: 'session-1' })).toEqual(first);
+    }
+    expect(first).toEqual({ experiment: 'tone', variant: expect.stringMatching(/^[ab]$/), model: expect.stringMatching(/^model-[ab]$/) });
+  });
+
+  test('spreads sessions across variants by weight', () => {
+    const manager = createManager([{ name: 'a', model: 'model-a', weight: 3 }, { name: 'b', model: 'model-b', weight: 1 }]);
+    const counts = { a: 0, b: 0 };
+
+    for (let i = 0; i < 2000; i++) {
+      counts[manager.assign({ capability: 'conversation', sessionId: `session-${i}` }).variant] += 1;
+    }
+
+    expect(counts.a / 2000).toBeGreaterThan(0.7);
+    expect(counts.a / 2000).toBeLessThan(0.8);
+  });
+
+  test('assigns requests without a session at random', () => {
+    const manager = createManager();
+    jest.spyOn(Math, 'random').mockReturnValueOnce(0.1).mockReturnValueOnce(0.9);
+
+    expect(manager.assign({ capability: 'conversation' }).variant).toBe('a');
+    expect(manager.assign({ capability: 'conversation' }).variant).toBe('b');
+  });
+
+  test('leaves requests outside any enabled experiment alone', () => {
+    const manager = createManager();
+    expect(manager.assign({ capability: 'text-generation', sessionId: 'session-1' })).toBeNull();
+
+    manager.get('tone').enabled = false;
+    expect(manager.assign({ capability: 'conversation', sessionId: 'session-1' })).toBeNull();
+  });
+
+  test('prefers a character-specific experiment over a capability-wide one', () => {
+    const manager = createManager();
+    manager.add({ name: 'ava', characterId: 'char-1', variants: [{ name: 'x', model: 'model-b' }, { name: 'y', model: 'model-b' }] }, models);
+
+    expect(manager.assign({ capability: 'conversation', characterId: 'char-1', sessionId: 's' }).experiment).toBe('ava');
+    expect(manager.assign({ capability: 'conversation', characterId: 'char-2', sessionId: 's' }).experiment).toBe('tone');
+  });
+
+  test('rejects invalid experiments with every problem listed', () => {
+    const manager = new ExperimentManager();
+
+    expect(() => manager.add({ name: 'bad name', variants: [{ name: 'a', model: 'unknown', weight: 0 }] }, models))
+      .toThrow(/name must be.*capability or characterId is required.*at least two variants.*not a registered model.*weight must be a positive number/);
+  });
+});
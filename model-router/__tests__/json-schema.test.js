@@ -0,0 +1,78 @@
+const { validateSchema, extractJson, sampleFromSchema } = require('../json-schema');
+
+const schema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 10 },
+    tags: { type: 'array', items: { type: 'string', pattern: '^#' }, minItems: 1, maxItems: 2 },
+    score: { type: 'integer', minimum: 0, maximum: 5 },
+    mood: { enum: ['happy', 'sad'] }
+  },
+  required: ['title', 'tags'],
+  additionalProperties: false
+};
+
+describe('validateSchema', () => {
+  test('accepts a matching value', () => {
+    expect(validateSchema({ title: 'Post', tags: ['#ai'], score: 3, mood: 'happy' }, schema)).toEqual([]);
+  });
+
+  test('reports every problem with its path', () => {
+    const errors = validateSchema({ title: '', tags: ['ai', '#x', '#y'], score: 6, mood: 'meh', extra: true }, schema);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^\$\.title: /),
+      expect.stringMatching(/^\$\.tags\[0\]: /),
+      expect.stringMatching(/^\$\.tags: /),
+      expect.stringMatching(/^\$\.score: /),
+      expect.stringMatching(/^\$\.mood: must be one of/),
+      expect.stringMatching(/extra/)
+    ]));
+  });
+
+  test('reports missing required properties', () => {
+    expect(validateSchema({ title: 'Post' }, schema).join('\n')).toMatch(/tags/);
+  });
+
+  test('stops at a type mismatch', () => {
+    expect(validateSchema('text', schema)).toEqual(['$: expected object, got string']);
+  });
+
+  test('counts integers as numbers but not the other way round', () => {
+    expect(validateSchema(3, { type: 'number' })).toEqual([]);
+    expect(validateSchema(3.5, { type: 'integer' })).toEqual(['$: expected integer, got number']);
+  });
+
+  test('accepts a value matching any anyOf option', () => {
+    const anyOf = { anyOf: [{ type: 'string' }, { type: 'null' }] };
+    expect(validateSchema(null, anyOf)).toEqual([]);
+    expect(validateSchema(1, anyOf)).toEqual(['$: does not match any allowed schema']);
+  });
+});
+
+describe('extractJson', () => {
+  test('parses bare JSON', () => {
+    expect(extractJson('{"a":1}')).toEqual({ value: { a: 1 } });
+  });
+
+  test('parses JSON inside a ``` fence', () => {
+    expect(extractJson('Here you go:\n```json\n[1, 2]\n```\nEnjoy')).toEqual({ value: [1, 2] });
+  });
+
+  test('falls back to the outermost object in prose', () => {
+    expect(extractJson('Sure! {"a": {"b": true}} Hope that helps.')).toEqual({ value: { a: { b: true } } });
+  });
+
+  test('reports output without JSON', () => {
+    expect(extractJson('')).toEqual({ error: 'no JSON found in model output' });
+    expect(extractJson('no json here').error).toMatch(/^invalid JSON: /);
+    expect(extractJson('{"a": }').error).toMatch(/^invalid JSON: /);
+  });
+});
+
+describe('sampleFromSchema', () => {
+  test('builds the smallest valid value', () => {
+    const sample = sampleFromSchema(schema);
+    expect(sample).toEqual({ title: 'x', tags: ['mock'], score: 0, mood: 'happy' });
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../../utils/database', () => ({ query: jest.fn() }));
+
+const { query } = require('../../utils/database');
+const ModelRouter = require('../index');
+
+describe('ModelRouter admin model changes', () => {
+  const configJson = JSON.stringify({
+    models: {
+      primary: { endpoint: 'http://primary/v1/completions', capabilities: ['all'], priority: 1 },
+      secondary: { endpoint: 'http://secondary/v1/completions', capabilities: ['all'], priority: 2 }
+    }
+  });
+  let table;
+
+  // model_overrides kept in memory
+  beforeEach(() => {
+    table = new Map();
+    query.mockReset().mockImplementation(async (sql, params) => {
+      if (sql.startsWith('SELECT')) {
+        return { rows: Array.from(table, ([name, row]) => ({ name, ...row })) };
+      }
+      table.set(params[0], { config: params[1] && JSON.parse(params[1]), removed: params[2] });
+      return { rows: [] };
+    });
+  });
+
+  function createRouter() {
+    return new ModelRouter({ mock: true, trackUsage: false, configJson });
+  }
+
+  async function applyChanges(router) {
+    await router.persistModelChange('extra', () => router.addModel({
+      name: 'extra',
+      endpoint: 'http://extra/v1/completions',
+      capabilities: ['all'],
+      priority: 3
+    }));
+    await router.persistModelChange('primary', () => router.updateModel('primary', { priority: 5 }));
+    await router.persistModelChange('secondary', () => router.removeModel('secondary'));
+  }
+
+  test('keeps registered, updated and removed models across a reload', async () => {
+    const router = createRouter();
+    await applyChanges(router);
+
+    await router.reloadModels();
+
+    expect(Array.from(router.models.keys()).sort()).toEqual(['extra', 'primary']);
+    expect(router.models.get('primary').priority).toBe(5);
+  });
+
+  test('applies saved changes to a new router on startup', async () => {
+    await applyChanges(createRouter());
+
+    const restarted = createRouter();
+    expect(restarted.models.has('secondary')).toBe(true);
+    await restarted.reloadModels();
+
+    expect(Array.from(restarted.models.keys()).sort()).toEqual(['extra', 'primary']);
+    expect(restarted.models.get('primary').priority).toBe(5);
+  });
+
+  test('undoes a change that could not be saved', async () => {
+    const router = createRouter();
+    query.mockRejectedValue(new Error('connection refused'));
+
+    await expect(router.persistModelChange('primary', () => router.updateModel('primary', { priority: 5 })))
+      .rejects.toMatchObject({ statusCode: 503 });
+    await expect(router.persistModelChange('secondary', () => router.removeModel('secondary')))
+      .rejects.toMatchObject({ statusCode: 503 });
+
+    expect(router.models.get('primary').priority).toBe(1);
+    expect(router.models.has('secondary')).toBe(true);
+  });
+
+  test('keeps the last known changes when the database is unavailable on reload', async () => {
+    const router = createRouter();
+    await applyChanges(router);
+    query.mockRejectedValue(new Error('connection refused'));
+
+    await router.reloadModels();
+
+    expect(Array.from(router.models.keys()).sort()).toEqual(['extra', 'primary']);
+  });
+
+  test('does not expose model endpoints in the public status', () => {
+    const router = createRouter();
+
+    expect(router.getModelStatus('primary')).not.toHaveProperty('endpoint');
+    expect(router.getAllModelStatuses().primary).not.toHaveProperty('endpoint');
+  });
+});
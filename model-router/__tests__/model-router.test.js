@@ -0,0 +1,184 @@
+jest.mock('../../utils/database', () => ({ query: jest.fn() }));
+
+const http = require('http');
+const ModelRouter = require('../index');
+
+// A stand-in model server; each test sets how it answers
+function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      const { status = 200, data } = server.reply(req.url);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  server.requests = [];
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('ModelRouter', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = await startServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    server.requests = [];
+  });
+
+  function createRouter(models, options = {}) {
+    return new ModelRouter({ mock: false, trackUsage: false, cache: false, configJson: JSON.stringify({ models }), ...options });
+  }
+
+  describe('route', () => {
+    test('sends completion requests to the highest-priority model and normalizes the reply', async () => {
+      server.reply = () => ({
+        data: {
+          model: 'served-model',
+          choices: [{ text: '  Hello there  ', finish_reason: 'stop' }],
+          usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 }
+        }
+      });
+      const router = createRouter({
+        primary: { endpoint: `${baseUrl}/primary/v1/completions`, modelId: 'primary-model', capabilities: ['all'], priority: 1 },
+        secondary: { endpoint: `${baseUrl}/secondary/v1/completions`, capabilities: ['all'], priority: 2 }
+      });
+
+      const result = await router.route({ prompt: 'Hi', maxTokens: 50, temperature: 0.2 });
+
+      expect(server.requests).toHaveLength(1);
+      expect(server.requests[0].url).toBe('/primary/v1/completions');
+      expect(server.requests[0].body).toMatchObject({ model: 'primary-model', prompt: 'Hi', max_tokens: 50, temperature: 0.2 });
+      expect(result).toMatchObject({
+        model: 'primary',
+        text: 'Hello there',
+        confidence: 0.9,
+        source: 'primary',
+        toolCalls: [],
+        metadata: { modelId: 'served-model', provider: 'openai-compatible', finishReason: 'stop' },
+        usage: { promptTokens: 4, completionTokens: 2, estimated: false },
+        routing: { capability: 'text-generation', answeredBy: 'primary', tried: ['primary'], failures: [] },
+        cache: { status: 'bypass', hit: false }
+      });
+      expect(router.models.get('primary').status).toBe('healthy');
+    });
+
+    test('falls back to fallback models when the primary fails', async () => {
+      server.reply = url => url.startsWith('/primary')
+        ? { status: 500, data: { error: 'overloaded' } }
+        : { data: { choices: [{ text: 'From the fallback', finish_reason: 'length' }] } };
+      const router = createRouter({
+        primary: { endpoint: `${baseUrl}/primary/v1/completions`, capabilities: ['all'], priority: 1 },
+        secondary: { endpoint: `${baseUrl}/secondary/v1/completions`, capabilities: ['all'], priority: 2, fallback: true }
+      });
+
+      const result = await router.route({ prompt: 'Hi' });
+
+      expect(result.text).toBe('From the fallback');
+      // A reply cut off at max_tokens is less trustworthy
+      expect(result.confidence).toBe(0.6);
+      expect(result.routing.answeredBy).toBe('secondary');
+      expect(result.routing.tried).toEqual(['primary', 'secondary']);
+      expect(result.routing.failures[0]).toMatchObject({ model: 'primary' });
+      expect(router.models.get('primary').status).toBe('unhealthy');
+    });
+
+    test('throws with the routing details when every model fails', async () => {
+      server.reply = () => ({ status: 502, data: {} });
+      const router = createRouter({
+        only: { endpoint: `${baseUrl}/only/v1/completions`, capabilities: ['all'], priority: 1 }
+      });
+
+      const error = await router.route({ prompt: 'Hi' }).catch(e => e);
+
+      expect(error.message).toBe('All models failed for capability: text-generation');
+      expect(error.routing).toMatchObject({ answeredBy: null, tried: ['only'] });
+    });
+
+    test('skips models that lack the capability', async () => {
+      const router = createRouter({
+        embedder: { endpoint: `${baseUrl}/v1/embeddings`, capabilities: ['embeddings'], priority: 1 }
+      });
+
+      await expect(router.route({ prompt: 'Hi' })).rejects.toThrow('No model available for capability: text-generation');
+      expect(server.requests).toHaveLength(0);
+    });
+  });
+
+  describe('callModel', () => {
+    test('sends chat messages to chat endpoints with the API key', async () => {
+      server.reply = () => ({
+        data: { choices: [{ message: { role: 'assistant', content: 'Sure!' }, finish_reason: 'stop' }] }
+      });
+      const router = createRouter({
+        chat: { endpoint: `${baseUrl}/v1/chat/completions`, apiKey: 'secret', capabilities: ['all'], priority: 1 }
+      });
+      const messages = [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Help?' }];
+
+      const result = await router.callModel(router.models.get('chat'), { messages });
+
+      expect(server.requests[0].body.messages).toEqual(messages);
+      expect(server.requests[0].headers.authorization).toBe('Bearer secret');
+      expect(result).toMatchObject({ model: 'chat', text: 'Sure!', metadata: { finishReason: 'stop' } });
+    });
+
+    test('records a failure on the model circuit', async () => {
+      server.reply = () => ({ data: { choices: [] } });
+      const router = createRouter({
+        empty: { endpoint: `${baseUrl}/v1/completions`, capabilities: ['all'], priority: 1 }
+      });
+      const model = router.models.get('empty');
+
+      await expect(router.callModel(model, { prompt: 'Hi' })).rejects.toThrow('Model empty returned no choices');
+      expect(model.status).toBe('unhealthy');
+      expect(model.circuit.failures).toBe(1);
+    });
+  });
+
+  describe('mock mode', () => {
+    const originalMock = process.env.MODEL_ROUTER_MOCK;
+
+    afterEach(() => {
+      if (originalMock === undefined) {
+        delete process.env.MODEL_ROUTER_MOCK;
+      } else {
+        process.env.MODEL_ROUTER_MOCK = originalMock;
+      }
+    });
+
+    const models = { local: { endpoint: 'http://127.0.0.1:1/v1/completions', capabilities: ['all'], priority: 1 } };
+
+    test('is off unless MODEL_ROUTER_MOCK=true', () => {
+      delete process.env.MODEL_ROUTER_MOCK;
+      expect(new ModelRouter({ configJson: JSON.stringify({ models }) }).mockMode).toBe(false);
+
+      process.env.MODEL_ROUTER_MOCK = 'true';
+      expect(new ModelRouter({ configJson: JSON.stringify({ models }) }).mockMode).toBe(true);
+    });
+
+    test('the mock option overrides the environment', () => {
+      process.env.MODEL_ROUTER_MOCK = 'true';
+      expect(new ModelRouter({ mock: false, configJson: JSON.stringify({ models }) }).mockMode).toBe(false);
+    });
+
+    test('answers without calling any endpoint', async () => {
+      const router = createRouter(models, { mock: true });
+
+      const result = await router.route({ prompt: 'Hi', type: 'character-interaction' });
+
+      expect(result.model).toBe('mock-model');
+      expect(result.source).toBe('mock');
+      expect(result.text).toContain('"Hi"');
+      expect(router.models.get('local').status).toBe('mock');
+      expect(server.requests).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../../utils/redis', () => ({ setCache: jest.fn(), getCache: jest.fn() }));
+jest.mock('../../utils/database', () => ({ query: jest.fn() }));
+
+const { setCache, getCache } = require('../../utils/redis');
+const ResponseCache = require('../response-cache');
+const ModelRouter = require('../index');
+
+describe('ResponseCache', () => {
+  let store;
+  let cache;
+
+  beforeEach(() => {
+    store = new Map();
+    getCache.mockReset().mockImplementation(async key => store.get(key) ?? null);
+    setCache.mockReset().mockImplementation(async (key, value) => { store.set(key, value); });
+    cache = new ResponseCache({ ttl: 60 });
+  });
+
+  describe('buildKey', () => {
+    test('ignores whitespace differences in the prompt', () => {
+      expect(cache.buildKey({ prompt: 'Hello   world ' }, 'text-generation'))
+        .toBe(cache.buildKey({ prompt: ' Hello world' }, 'text-generation'));
+    });
+
+    test('differs by model, capability, messages and sampling parameters', () => {
+      const base = cache.buildKey({ prompt: 'Hi' }, 'text-generation');
+
+      expect(cache.buildKey({ prompt: 'Hi', model: 'other' }, 'text-generation')).not.toBe(base);
+      expect(cache.buildKey({ prompt: 'Hi' }, 'conversation')).not.toBe(base);
+      expect(cache.buildKey({ prompt: 'Hi', temperature: 0.2 }, 'text-generation')).not.toBe(base);
+      expect(cache.buildKey({ prompt: 'Hi', seed: 7 }, 'text-generation')).not.toBe(base);
+      expect(cache.buildKey({ messages: [{ role: 'user', content: 'Hi' }] }, 'text-generation')).not.toBe(base);
+      expect(base.startsWith('model-cache:')).toBe(true);
+    });
+  });
+
+  describe('wrap', () => {
+    test('stores a miss and serves the next call from the cache', async () => {
+      const fn = jest.fn().mockResolvedValue({ text: 'Hello' });
+
+      const first = await cache.wrap('key', fn);
+      const second = await cache.wrap('key', fn);
+
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(setCache).toHaveBeenCalledWith('key', { text: 'Hello' }, 60);
+      expect(first).toEqual({ text: 'Hello', cache: { status: 'miss', hit: false, key: 'key', ttl: 60 } });
+      expect(second).toEqual({ text: 'Hello', cache: { status: 'hit', hit: true, key: 'key' } });
+    });
+
+    test('runs concurrent identical requests once', async () => {
+      let finish;
+      const fn = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+      const first = cache.wrap('key', fn);
+      const second = cache.wrap('key', fn);
+      await new Promise(resolve => setImmediate(resolve));
+      finish({ text: 'Shared' });
+
+      const results = await Promise.all([first, second]);
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.cache.status).sort()).toEqual(['miss', 'shared']);
+      expect(results.every(result => result.text === 'Shared')).toBe(true);
+      expect(cache.inflight.size).toBe(0);
+    });
+
+    test('does not cache failures and lets the next call retry', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(new Error('model down'))
+        .mockResolvedValueOnce({ text: 'Recovered' });
+
+      await expect(cache.wrap('key', fn)).rejects.toThrow('model down');
+      await expect(cache.wrap('key', fn)).resolves.toMatchObject({ text: 'Recovered' });
+      expect(cache.inflight.size).toBe(0);
+    });
+
+    test('still answers when storing the response fails', async () => {
+      setCache.mockRejectedValue(new Error('redis down'));
+
+      await expect(cache.wrap('key', async () => ({ text: 'Hello' }))).resolves.toMatchObject({ text: 'Hello' });
+    });
+  });
+});
+
+describe('ModelRouter response caching', () => {
+  const configJson = JSON.stringify({
+    models: { local: { endpoint: 'http://127.0.0.1:1/v1/completions', capabilities: ['all'], priority: 1 } }
+  });
+  let router;
+
+  beforeEach(() => {
+    const store = new Map();
+    getCache.mockReset().mockImplementation(async key => store.get(key) ?? null);
+    setCache.mockReset().mockImplementation(async (key, value) => { store.set(key, value); });
+    router = new ModelRouter({ mock: false, trackUsage: false, configJson });
+    jest.spyOn(router, 'routeToModels').mockImplementation(async () => ({ model: 'local', text: 'Hello', metadata: {} }));
+  });
+
+  test('only caches requests that opt in unless caching is on by default', async () => {
+    await router.route({ prompt: 'Hi' });
+    await router.route({ prompt: 'Hi' });
+    expect(router.routeToModels).toHaveBeenCalledTimes(2);
+
+    await router.route({ prompt: 'Hi', cache: true });
+    const cached = await router.route({ prompt: 'Hi', cache: true });
+    expect(router.routeToModels).toHaveBeenCalledTimes(3);
+    expect(cached.cache).toMatchObject({ status: 'hit', hit: true });
+  });
+
+  test('never caches streamed or tool-calling requests', async () => {
+    router.cacheByDefault = true;
+
+    for (const request of [
+      { prompt: 'Hi', onToken: () => {} },
+      { prompt: 'Hi', tools: [{ type: 'function', function: { name: 'now' } }] }
+    ]) {
+      await router.route(request);
+      const result = await router.route(request);
+      expect(result.cache).toEqual({ status: 'bypass', hit: false });
+    }
+    expect(router.routeToModels).toHaveBeenCalledTimes(4);
+    expect(getCache).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../utils/database', () => ({ query: jest.fn() }));
+
+const http = require('http');
+const ModelRouter = require('../index');
+
+// A stand-in model server that answers with Server-Sent Events; each test sets the events
+function startServer() {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      server.respond(req.url, event => res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`), res);
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('ModelRouter streaming', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = await startServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  function createRouter(models, options = {}) {
+    return new ModelRouter({ mock: false, trackUsage: false, configJson: JSON.stringify({ models }), ...options });
+  }
+
+  test('passes each token to onToken and returns the assembled reply', async () => {
+    server.respond = (url, send, res) => {
+      send({ model: 'served-model', choices: [{ delta: { content: 'Hello' } }] });
+      send({ choices: [{ delta: { content: ' world' } }] });
+      send({ choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 3, completion_tokens: 2 } });
+      send('[DONE]');
+      res.end();
+    };
+    const router = createRouter({ chat: { endpoint: `${baseUrl}/v1/chat/completions`, capabilities: ['all'], priority: 1 } });
+    const tokens = [];
+
+    const result = await router.route({ messages: [{ role: 'user', content: 'Hi' }], onToken: token => tokens.push(token) });
+
+    expect(tokens).toEqual(['Hello', ' world']);
+    expect(result).toMatchObject({
+      model: 'chat',
+      text: 'Hello world',
+      metadata: { modelId: 'served-model', finishReason: 'stop', streamed: true },
+      usage: { promptTokens: 3, completionTokens: 2 },
+      cache: { status: 'bypass' }
+    });
+  });
+
+  test('assembles native tool calls from streamed fragments', async () => {
+    server.respond = (url, send, res) => {
+      send({ choices: [{ delta: { content: 'Let me check. ' } }] });
+      send({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '' } }] } }] });
+      send({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] } }] });
+      send({ choices: [{ delta: { tool_calls: [{ index: 1, id: 'call_2', function: { name: 'now', arguments: '{}' } }] } }] });
+      send({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] } }] });
+      send({ choices: [{ delta: {}, finish_reason: 'tool_calls' }] });
+      send('[DONE]');
+      res.end();
+    };
+    const router = createRouter({ chat: { endpoint: `${baseUrl}/v1/chat/completions`, capabilities: ['all'], priority: 1 } });
+
+    const result = await router.route({ messages: [{ role: 'user', content: 'Weather?' }], onToken: () => {} });
+
+    expect(result.text).toBe('Let me check.');
+    expect(result.toolCalls).toEqual([
+      { id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } },
+      { id: 'call_2', name: 'now', arguments: {} }
+    ]);
+  });
+
+  test('aborts a stream that goes quiet and does not fall back once tokens were sent', async () => {
+    server.respond = (url, send) => {
+      send({ choices: [{ delta: { content: 'Hel' } }] });
+      // ...and then nothing more
+    };
+    const router = createRouter({
+      stalled: { endpoint: `${baseUrl}/stalled/v1/chat/completions`, capabilities: ['all'], priority: 1 },
+      backup: { endpoint: `${baseUrl}/backup/v1/chat/completions`, capabilities: ['all'], priority: 2, fallback: true }
+    }, { streamIdleTimeout: 100 });
+    const tokens = [];
+
+    const error = await router.route({ messages: [{ role: 'user', content: 'Hi' }], onToken: token => tokens.push(token) })
+      .catch(e => e);
+
+    expect(error.message).toBe('Model stalled stream sent nothing for 100ms');
+    expect(error.streamStarted).toBe(true);
+    expect(error.routing).toMatchObject({ answeredBy: null, tried: ['stalled'] });
+    expect(tokens).toEqual(['Hel']);
+    expect(router.models.get('stalled').status).toBe('unhealthy');
+  });
+
+  test('falls back when a stream fails before its first token', async () => {
+    server.respond = (url, send, res) => {
+      if (url.startsWith('/broken')) {
+        res.destroy();
+        return;
+      }
+      send({ choices: [{ delta: { content: 'From the backup' } }] });
+      send('[DONE]');
+      res.end();
+    };
+    const router = createRouter({
+      broken: { endpoint: `${baseUrl}/broken/v1/chat/completions`, capabilities: ['all'], priority: 1 },
+      backup: { endpoint: `${baseUrl}/backup/v1/chat/completions`, capabilities: ['all'], priority: 2, fallback: true }
+    });
+    const tokens = [];
+
+    const result = await router.route({ messages: [{ role: 'user', content: 'Hi' }], onToken: token => tokens.push(token) });
+
+    expect(tokens).toEqual(['From the backup']);
+    expect(result.routing).toMatchObject({ answeredBy: 'backup', tried: ['broken', 'backup'] });
+  });
+
+  test('streams the mock reply word by word in mock mode', async () => {
+    const router = createRouter({ chat: { endpoint: `${baseUrl}/v1/chat/completions`, capabilities: ['all'], priority: 1 } }, { mock: true });
+    const tokens = [];
+
+    const result = await router.route({ prompt: 'Hi', onToken: token => tokens.push(token) });
+
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe(result.text);
+  });
+});
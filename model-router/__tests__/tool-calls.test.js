@@ -0,0 +1,102 @@
+const {
+  validateTools,
+  buildToolPrompt,
+  fromNativeToolCalls,
+  parseToolCalls,
+  toAssistantMessage,
+  flattenToolMessages
+} = require('../tool-calls');
+
+const weatherTool = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: { type: 'object', properties: { city: { type: 'string' } } }
+  }
+};
+
+describe('validateTools', () => {
+  test('accepts OpenAI-style tool definitions', () => {
+    expect(validateTools([weatherTool])).toEqual([]);
+  });
+
+  test('reports malformed tools by index', () => {
+    expect(validateTools('nope')).toEqual(['tools must be an array']);
+    expect(validateTools([
+      { type: 'function' },
+      { type: 'function', function: { name: 'bad name' } },
+      { type: 'function', function: { name: 'ok', parameters: 'schema' } }
+    ])).toEqual([
+      "tools[0] must be { type: 'function', function: { name, description, parameters } }",
+      'tools[1].function.name must be 1-64 letters, digits, _ or -',
+      'tools[2].function.parameters must be a JSON schema object'
+    ]);
+  });
+});
+
+describe('buildToolPrompt', () => {
+  test('describes each tool and the <tool_call> format', () => {
+    const prompt = buildToolPrompt([weatherTool]);
+    expect(prompt).toContain('"name":"get_weather"');
+    expect(prompt).toContain('<tool_call>{"name": "tool_name", "arguments": {...}}</tool_call>');
+  });
+});
+
+describe('parseToolCalls', () => {
+  test('pulls calls out of the text and keeps the rest', () => {
+    const { text, toolCalls } = parseToolCalls(
+      'Checking.\n<tool_call>{"name": "get_weather", "arguments": {"city": "Paris"}}</tool_call>'
+    );
+
+    expect(text).toBe('Checking.');
+    expect(toolCalls).toEqual([{ id: expect.stringMatching(/^call_/), name: 'get_weather', arguments: { city: 'Paris' } }]);
+  });
+
+  test('accepts a call cut off before its closing tag', () => {
+    const { toolCalls } = parseToolCalls('<tool_call>{"name": "now"}');
+    expect(toolCalls).toEqual([{ id: expect.any(String), name: 'now', arguments: {} }]);
+  });
+
+  test('leaves malformed calls in the text', () => {
+    const reply = '<tool_call>{not json}</tool_call>';
+    expect(parseToolCalls(reply)).toEqual({ text: reply, toolCalls: [] });
+  });
+});
+
+describe('fromNativeToolCalls', () => {
+  test('parses argument strings and skips calls without a name', () => {
+    expect(fromNativeToolCalls([
+      { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } },
+      { id: 'call_2', type: 'function', function: { name: 'broken', arguments: '{"city":' } },
+      { id: 'call_3', type: 'function', function: { arguments: '{}' } }
+    ])).toEqual([
+      { id: 'call_1', name: 'get_weather', arguments: { city: 'Oslo' } },
+      { id: 'call_2', name: 'broken', arguments: { _raw: '{"city":' } }
+    ]);
+  });
+});
+
+describe('tool messages', () => {
+  const call = { id: 'call_1', name: 'get_weather', arguments: { city: 'Oslo' } };
+
+  test('records calls on an assistant message in wire format', () => {
+    expect(toAssistantMessage('', [call])).toEqual({
+      role: 'assistant',
+      content: '',
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }]
+    });
+  });
+
+  test('flattens calls and results into plain turns', () => {
+    expect(flattenToolMessages([
+      { role: 'user', content: 'Weather?' },
+      toAssistantMessage('Checking.', [call]),
+      { role: 'tool', name: 'get_weather', tool_call_id: 'call_1', content: '12C' }
+    ])).toEqual([
+      { role: 'user', content: 'Weather?' },
+      { role: 'assistant', content: 'Checking.\n<tool_call>{"name": "get_weather", "arguments": {"city":"Oslo"}}</tool_call>' },
+      { role: 'user', content: '<tool_response name="get_weather">\n12C\n</tool_response>' }
+    ]);
+  });
+});
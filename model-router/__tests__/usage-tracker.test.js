@@ -0,0 +1,122 @@
+jest.mock('../../utils/database', () => ({ query: jest.fn() }));
+
+const { query } = require('../../utils/database');
+const UsageTracker = require('../usage-tracker');
+
+describe('UsageTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    query.mockReset();
+    tracker = new UsageTracker();
+  });
+
+  describe('buildEntry', () => {
+    const model = { name: 'local', pricing: { prompt: 2, completion: 6 } };
+
+    test('uses the token counts the provider reports and prices them per million tokens', () => {
+      const entry = tracker.buildEntry(model, { prompt: 'Hi', characterId: 'c1', apiKeyId: 'k1' }, {
+        model: 'local',
+        text: 'Hello',
+        responseTime: 120.4,
+        metadata: { usage: { prompt_tokens: 1000, completion_tokens: 500 } }
+      }, 'conversation');
+
+      expect(entry).toEqual({
+        model: 'local',
+        capability: 'conversation',
+        characterId: 'c1',
+        apiKeyId: 'k1',
+        userId: null,
+        promptTokens: 1000,
+        completionTokens: 500,
+        latency: 120,
+        cost: 0.005,
+        estimated: false,
+        cached: false
+      });
+    });
+
+    test('estimates tokens at four characters each when the provider reports none', () => {
+      const entry = tracker.buildEntry(model, {
+        messages: [{ role: 'system', content: 'Be kind' }, { role: 'user', content: 'Hello!' }]
+      }, { model: 'local', text: 'Hi there', metadata: {} }, 'conversation');
+
+      // "Be kind\nHello!" is 14 characters
+      expect(entry).toMatchObject({ promptTokens: 4, completionTokens: 2, estimated: true });
+    });
+
+    test('charges nothing for cached replies or unpriced models', () => {
+      const result = { model: 'local', text: 'Hi', metadata: { usage: { prompt_tokens: 10, completion_tokens: 10 } } };
+
+      expect(tracker.buildEntry(model, { prompt: 'Hi' }, { ...result, cache: { status: 'hit' } }, 'chat'))
+        .toMatchObject({ cost: 0, cached: true });
+      expect(tracker.buildEntry(model, { prompt: 'Hi' }, { ...result, cache: { status: 'shared' } }, 'chat'))
+        .toMatchObject({ cost: 0, cached: true });
+      expect(tracker.buildEntry({ name: 'free' }, { prompt: 'Hi' }, result, 'chat').cost).toBe(0);
+    });
+  });
+
+  describe('record', () => {
+    test('inserts a usage_tracking row', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await tracker.record({
+        model: 'local',
+        capability: 'conversation',
+        characterId: 'c1',
+        apiKeyId: 'k1',
+        userId: null,
+        promptTokens: 10,
+        completionTokens: 5,
+        latency: 80,
+        cost: 0.001,
+        estimated: false,
+        cached: false
+      });
+
+      expect(query.mock.calls[0][0]).toContain('INSERT INTO usage_tracking');
+      expect(query.mock.calls[0][1]).toEqual([
+        null, 'c1', 'k1', 'conversation', 15, 'local', 10, 5, 80, 0.001,
+        JSON.stringify({ estimated: false, cached: false })
+      ]);
+    });
+
+    test('swallows database errors', async () => {
+      query.mockRejectedValue(new Error('connection refused'));
+
+      await expect(tracker.record({ model: 'local', promptTokens: 0, completionTokens: 0 })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('getUsageSummary', () => {
+    const row = { calls: 2, prompt_tokens: 30, completion_tokens: 12, cost_usd: 0.0012345678, avg_latency_ms: 95 };
+
+    test('filters by character and API key and formats each breakdown', async () => {
+      query.mockImplementation(async (sql) => {
+        if (!sql.includes('GROUP BY')) return { rows: [row] };
+        return { rows: [{ key: sql.includes('GROUP BY model') ? 'local' : 'id-1', ...row }] };
+      });
+
+      const summary = await tracker.getUsageSummary({ period: '7d', characterId: 'c1', apiKeyId: 'k1' });
+
+      for (const [sql, params] of query.mock.calls) {
+        expect(sql).toContain('AND character_id = $2 AND api_key_id = $3');
+        expect(params).toEqual(['7 days', 'c1', 'k1']);
+      }
+      const formatted = { calls: 2, promptTokens: 30, completionTokens: 12, totalTokens: 42, costUsd: 0.001235, avgLatencyMs: 95 };
+      expect(summary).toEqual({
+        period: '7d',
+        totals: formatted,
+        byModel: [{ model: 'local', ...formatted }],
+        byCharacter: [{ characterId: 'id-1', ...formatted }],
+        byApiKey: [{ apiKeyId: 'id-1', ...formatted }]
+      });
+    });
+
+    test('rejects unknown periods', async () => {
+      await expect(tracker.getUsageSummary({ period: '1y' })).rejects.toThrow('Unsupported period: 1y');
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// Chat Templates - Render chat messages into the prompt format an instruction-tuned model was trained on.
+// Also used by runpod-integration (its image copies this file), so it must not require anything
+
+// Roles are normalised to system / user / assistant before rendering
+const templates = {
+  chatml: {
+    stop: ['<|im_end|>'],
+    render(messages) {
+      const turns = messages.map(m => `<|im_start|>${m.role}\n${m.content}<|im_end|>\n`);
+      return `${turns.join('')}<|im_start|>assistant\n`;
+    }
+  },
+
+  llama3: {
+    stop: ['<|eot_id|>'],
+    render(messages) {
+      const turns = messages.map(m =>
+        `<|start_header_id|>${m.role}<|end_header_id|>\n\n${m.content}<|eot_id|>`
+      );
+      return `<|begin_of_text|>${turns.join('')}<|start_header_id|>assistant<|end_header_id|>\n\n`;
+    }
+  },
+
+  // Gemma has no system role; the system prompt is folded into the first user turn
+  gemma: {
+    stop: ['<end_of_turn>'],
+    render(messages) {
+      const turns = foldSystemIntoFirstUser(messages).map(m =>
+        `<start_of_turn>${m.role === 'assistant' ? 'model' : 'user'}\n${m.content}<end_of_turn>\n`
+      );
+      return `<bos>${turns.join('')}<start_of_turn>model\n`;
+    }
+  },
+
+  // Mistral instruct wraps user turns in [INST] and has no system role either
+  mistral: {
+    stop: ['</s>'],
+    render(messages) {
+      let prompt = '<s>';
+      for (const m of foldSystemIntoFirstUser(messages)) {
+        prompt += m.role === 'assistant' ? ` ${m.content}</s>` : `[INST] ${m.content} [/INST]`;
+      }
+      return prompt;
+    }
+  },
+
+  // Untemplated "role: content" transcript for base models and mock mode
+  plain: {
+    stop: [],
+    render(messages) {
+      const lines = messages.map(m => `${m.role}: ${m.content}`);
+      return `${lines.join('\n')}\nassistant:`;
+    }
+  }
+};
+
+function normalizeRole(role) {
+  if (role === 'system' || role === 'assistant') return role;
+  return 'user';
+}
+
+// Merge any system messages into the first user message
+function foldSystemIntoFirstUser(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content);
+  const rest = messages.filter(m => m.role !== 'system');
+  if (system.length === 0) return rest;
+
+  const firstUser = rest.findIndex(m => m.role === 'user');
+  if (firstUser === -1) {
+    return [{ role: 'user', content: system.join('\n\n') }, ...rest];
+  }
+
+  return rest.map((m, i) => (i === firstUser
+    ? { ...m, content: `${system.join('\n\n')}\n\n${m.content}` }
+    : m));
+}
+
+// Prepend a system prompt; an existing system message is kept after it
+function injectSystemPrompt(messages, systemPrompt) {
+  if (!systemPrompt) return messages;
+
+  const existing = messages.find(m => m.role === 'system');
+  if (!existing) {
+    return [{ role: 'system', content: systemPrompt }, ...messages];
+  }
+
+  return messages.map(m => (m === existing
+    ? { ...m, content: `${systemPrompt}\n\n${m.content}` }
+    : m));
+}
+
+function listChatTemplates() {
+  return Object.keys(templates);
+}
+
+// Stop sequences a template adds to every rendered prompt
+function getChatTemplateStops(templateName = 'plain') {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown chat template: ${templateName}`);
+  }
+  return template.stop;
+}
+
+// Render messages with a named template; returns { prompt, stop }
+function renderChatTemplate(messages, templateName = 'plain') {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown chat template: ${templateName}`);
+  }
+
+  const normalized = messages.map(m => ({ role: normalizeRole(m.role), content: m.content ?? '' }));
+  return {
+    prompt: template.render(normalized),
+    stop: template.stop
+  };
+}
+
+module.exports = {
+  renderChatTemplate,
+  injectSystemPrompt,
+  listChatTemplates,
+  getChatTemplateStops
+};
@@ -0,0 +1,71 @@
+// Circuit Breaker - Stops routing to a model endpoint after repeated failures
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    // Half-open lets exactly one trial request through until it succeeds or fails
+    this.trialInFlight = false;
+    this.trialStartedAt = null;
+  }
+
+  // Whether a request could go through right now, without claiming the half-open trial
+  isAvailable() {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open') return Date.now() - this.openedAt >= this.cooldown;
+    return !this.trialInFlight || this.trialExpired();
+  }
+
+  // Whether a request may go through; moves an open circuit to half-open once the cool-down has passed
+  // and claims its single trial request, so call it right before the request is sent
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldown) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'open') return false;
+    if (this.state === 'closed') return true;
+
+    // A trial that never reported back stops blocking after another cool-down
+    if (this.trialInFlight && !this.trialExpired()) return false;
+    this.trialInFlight = true;
+    this.trialStartedAt = Date.now();
+    return true;
+  }
+
+  trialExpired() {
+    return Date.now() - this.trialStartedAt >= this.cooldown;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.trialStartedAt = null;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+
+    // A failed trial request in half-open re-opens immediately
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+    this.trialStartedAt = null;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      trialInFlight: this.trialInFlight
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,117 @@
+// Concurrency Limiter - Caps in-flight requests per model with a bounded priority queue
+const { AppError } = require('../middleware/error-handler');
+
+// Lower rank is served first: interactive chat ahead of autonomous/background work
+const PRIORITY_RANKS = {
+  interactive: 0,
+  normal: 1,
+  background: 2
+};
+
+const WAIT_SAMPLE_SIZE = 100;
+
+function busyError(message) {
+  const error = new AppError(message, 503);
+  error.code = 'MODEL_BUSY';
+  return error;
+}
+
+class ConcurrencyLimiter {
+  constructor(options = {}) {
+    this.active = 0;
+    this.queue = [];
+    this.waits = [];
+    this.rejected = 0;
+    this.configure(options);
+  }
+
+  // Apply limits; unset maxConcurrency means unlimited
+  configure({ maxConcurrency, maxQueue, queueTimeout } = {}) {
+    this.maxConcurrency = maxConcurrency > 0 ? maxConcurrency : Infinity;
+    this.maxQueue = maxQueue >= 0 ? maxQueue : 20;
+    this.queueTimeout = queueTimeout > 0 ? queueTimeout : 30000;
+    this.drain();
+  }
+
+  // Resolves to a release() function once a slot is free; rejects with MODEL_BUSY when the queue is full or the wait times out
+  acquire(priority = 'normal') {
+    if (this.active < this.maxConcurrency) {
+      this.active += 1;
+      return Promise.resolve(this.createRelease(0));
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.rejected += 1;
+      return Promise.reject(busyError('Model queue is full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        rank: PRIORITY_RANKS[priority] ?? PRIORITY_RANKS.normal,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      };
+
+      entry.timer = setTimeout(() => {
+        this.queue = this.queue.filter(item => item !== entry);
+        this.rejected += 1;
+        reject(busyError(`Timed out after ${this.queueTimeout}ms waiting for a model slot`));
+      }, this.queueTimeout);
+
+      // Insert after every entry of the same or higher priority (FIFO within a priority)
+      const index = this.queue.findIndex(item => item.rank > entry.rank);
+      if (index === -1) {
+        this.queue.push(entry);
+      } else {
+        this.queue.splice(index, 0, entry);
+      }
+    });
+  }
+
+  createRelease(waitMs) {
+    this.waits.push(waitMs);
+    if (this.waits.length > WAIT_SAMPLE_SIZE) {
+      this.waits.shift();
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active -= 1;
+      this.drain();
+    };
+  }
+
+  // Hand free slots to queued requests
+  drain() {
+    while (this.active < this.maxConcurrency && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      clearTimeout(entry.timer);
+      this.active += 1;
+      entry.resolve(this.createRelease(Date.now() - entry.enqueuedAt));
+    }
+  }
+
+  getStats() {
+    const totalWait = this.waits.reduce((sum, wait) => sum + wait, 0);
+
+    return {
+      active: this.active,
+      maxConcurrency: Number.isFinite(this.maxConcurrency) ? this.maxConcurrency : null,
+      queueDepth: this.queue.length,
+      maxQueue: this.maxQueue,
+      avgWaitMs: this.waits.length > 0 ? Math.round(totalWait / this.waits.length) : 0,
+      maxWaitMs: this.waits.length > 0 ? Math.max(...this.waits) : 0,
+      oldestQueuedMs: this.queue.length > 0
+        ? Date.now() - Math.min(...this.queue.map(entry => entry.enqueuedAt))
+        : 0,
+      rejected: this.rejected
+    };
+  }
+}
+
+ConcurrencyLimiter.PRIORITY_RANKS = PRIORITY_RANKS;
+
+module.exports = ConcurrencyLimiter;
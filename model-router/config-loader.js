@@ -0,0 +1,89 @@
+// Model config loader - Reads model and experiment definitions from a JSON/YAML file or the environment
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config', 'models.yml');
+
+// Replace ${VAR} and ${VAR:-default} placeholders in every string value
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{([A-Z0-9_]+)(?::-([^}]*))?\}$/i);
+    if (whole) {
+      // A lone placeholder for an unset variable means "not configured"
+      const resolved = process.env[whole[1]] || whole[2];
+      return resolved === undefined || resolved === '' ? undefined : resolved;
+    }
+    return value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/gi, (match, name, fallback) =>
+      process.env[name] || fallback || ''
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, inner] of Object.entries(value)) {
+      const resolved = interpolateEnv(inner);
+      if (resolved !== undefined) result[key] = resolved;
+    }
+    return result;
+  }
+  return value;
+}
+
+// Accept either { models: { name: {...} } }, { models: [...] }, a bare map or a bare array
+function normalizeModelList(raw) {
+  const models = raw?.models ?? raw;
+  if (Array.isArray(models)) {
+    return models;
+  }
+  if (models && typeof models === 'object') {
+    return Object.entries(models).map(([name, config]) => ({ name, ...config }));
+  }
+  throw new Error('Model config must contain a "models" map or array');
+}
+
+function parseConfig(text, format) {
+  return format === 'json' ? JSON.parse(text) : yaml.load(text);
+}
+
+// Read the raw config. MODEL_CONFIG_JSON wins over MODEL_CONFIG_PATH, which wins over the default file.
+function readConfig(options = {}) {
+  const inline = options.json ?? process.env.MODEL_CONFIG_JSON;
+  if (inline) {
+    return { raw: interpolateEnv(parseConfig(inline, 'json')), source: 'MODEL_CONFIG_JSON' };
+  }
+
+  const configPath = options.path || process.env.MODEL_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+  const format = path.extname(configPath) === '.json' ? 'json' : 'yaml';
+  return { raw: interpolateEnv(parseConfig(fs.readFileSync(configPath, 'utf8'), format)), source: configPath };
+}
+
+// Load the enabled model configs
+function loadModelConfigs(options = {}) {
+  const { raw, source } = readConfig(options);
+  const configs = normalizeModelList(raw)
+    .filter(config => config.enabled !== false);
+
+  logger.info('Model configs loaded', { source, count: configs.length });
+  return configs;
+}
+
+// Load A/B experiment definitions from the optional "experiments" map
+function loadExperimentConfigs(options = {}) {
+  const experiments = readConfig(options).raw?.experiments;
+  if (!experiments) return [];
+
+  return Array.isArray(experiments)
+    ? experiments
+    : Object.entries(experiments).map(([name, config]) => ({ name, ...config }));
+}
+
+module.exports = {
+  loadModelConfigs,
+  loadExperimentConfigs,
+  interpolateEnv,
+  DEFAULT_CONFIG_PATH
+};
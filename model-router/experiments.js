@@ -0,0 +1,226 @@
+// Experiments - Weighted A/B traffic splits between models, sticky per conversation session
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/error-handler');
+
+const NAME_PATTERN = /^[a-zA-Z0-9_.-]{1,100}$/;
+
+const PERIODS = {
+  '24h': '24 hours',
+  '7d': '7 days',
+  '30d': '30 days',
+  '90d': '90 days'
+};
+
+class ExperimentManager {
+  constructor() {
+    this.experiments = new Map();
+  }
+
+  // Check and normalise an experiment definition; throws a 400 AppError listing every problem
+  normalize(config, models) {
+    const errors = [];
+
+    if (!NAME_PATTERN.test(config.name || '')) {
+      errors.push('name must be 1-100 letters, digits, _ . or -');
+    }
+    if (!config.capability && !config.characterId) {
+      errors.push('capability or characterId is required');
+    }
+
+    const variants = Array.isArray(config.variants) ? config.variants : [];
+    if (variants.length < 2) {
+      errors.push('at least two variants are required');
+    }
+
+    const seen = new Set();
+    variants.forEach((variant, i) => {
+      if (!variant?.name || seen.has(variant.name)) {
+        errors.push(`variants[${i}].name must be set and unique`);
+      }
+      seen.add(variant?.name);
+
+      if (!models.has(variant?.model)) {
+        errors.push(`variants[${i}].model "${variant?.model}" is not a registered model`);
+      }
+      if (!(Number(variant?.weight ?? 1) > 0)) {
+        errors.push(`variants[${i}].weight must be a positive number`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid experiment${config.name ? ` ${config.name}` : ''}: ${errors.join('; ')}`, 400);
+    }
+
+    return {
+      name: config.name,
+      description: config.description || null,
+      capability: config.capability || null,
+      characterId: config.characterId || null,
+      enabled: config.enabled !== false,
+      variants: variants.map(variant => ({
+        name: variant.name,
+        model: variant.model,
+        weight: Number(variant.weight ?? 1)
+      })),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Replace all experiments, skipping invalid ones
+  load(configs, models) {
+    this.experiments.clear();
+    for (const config of configs) {
+      try {
+        this.add(config, models);
+      } catch (error) {
+        logger.warn('Skipping invalid experiment config', { experiment: config.name, error: error.message });
+      }
+    }
+  }
+
+  add(config, models) {
+    if (this.experiments.has(config.name)) {
+      throw new AppError(`Experiment ${config.name} already exists`, 409);
+    }
+
+    const experiment = this.normalize(config, models);
+    this.experiments.set(experiment.name, experiment);
+    logger.info('Experiment registered', { experiment: experiment.name, variants: experiment.variants.map(v => v.name) });
+    return experiment;
+  }
+
+  remove(name) {
+    if (!this.experiments.delete(name)) {
+      throw new AppError(`Experiment ${name} not found`, 404);
+    }
+    logger.info('Experiment removed', { experiment: name });
+  }
+
+  get(name) {
+    return this.experiments.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.experiments.values());
+  }
+
+  // The enabled experiment covering a request; a character-specific split wins over a capability-wide one
+  find({ capability, characterId }) {
+    const enabled = this.list().filter(experiment => experiment.enabled);
+    return (characterId && enabled.find(experiment =>
+      experiment.characterId === characterId && (!experiment.capability || experiment.capability === capability)
+    )) || enabled.find(experiment => !experiment.characterId && experiment.capability === capability) || null;
+  }
+
+  // Pick a variant. The same session always hashes to the same variant, so a conversation
+  // stays on one model; requests without a session are assigned at random
+  assign({ capability, characterId, sessionId }) {
+    const experiment = this.find({ capability, characterId });
+    if (!experiment) return null;
+
+    const point = sessionId
+      ? crypto.createHash('sha256').update(`${experiment.name}:${sessionId}`).digest().readUInt32BE(0) / 0x100000000
+      : Math.random();
+
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let cumulative = 0;
+    const variant = experiment.variants.find((candidate) => {
+      cumulative += candidate.weight / total;
+      return point < cumulative;
+    }) || experiment.variants[experiment.variants.length - 1];
+
+    return { experiment: experiment.name, variant: variant.name, model: variant.model };
+  }
+
+  // Persist the outcome of one routed request; failures are logged and never break the request
+  async recordEvent(assignment, { request, result, error, latency }) {
+    try {
+      await query(
+        `INSERT INTO experiment_events (experiment, variant, model, served_by, character_id, session_id, success, latency_ms, error_message)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          assignment.experiment,
+          assignment.variant,
+          assignment.model,
+          result?.model || null,
+          request.characterId || null,
+          request.sessionId || null,
+          !error,
+          Math.round(latency),
+          error ? error.message.substring(0, 500) : null
+        ]
+      );
+    } catch (err) {
+      logger.warn('Failed to record experiment event', { experiment: assignment.experiment, error: err.message });
+    }
+  }
+
+  // Compare variants: latency and error rate from experiment_events, reply quality from conversations
+  async getReport(name, { period = '7d' } = {}) {
+    const experiment = this.get(name);
+    if (!experiment) {
+      throw new AppError(`Experiment ${name} not found`, 404);
+    }
+
+    const interval = PERIODS[period];
+    if (!interval) {
+      throw new AppError(`Unsupported period: ${period}. Use one of ${Object.keys(PERIODS).join(', ')}`, 400);
+    }
+
+    const [events, quality] = await Promise.all([
+      query(
+        `SELECT variant,
+                COUNT(*)::int AS requests,
+                COUNT(*) FILTER (WHERE NOT success)::int AS errors,
+                COUNT(*) FILTER (WHERE success AND served_by <> model)::int AS served_by_fallback,
+                COALESCE(AVG(latency_ms) FILTER (WHERE success), 0)::float AS avg_latency_ms,
+                COALESCE(PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY latency_ms) FILTER (WHERE success), 0)::float AS p95_latency_ms
+         FROM experiment_events
+         WHERE experiment = $1 AND timestamp >= NOW() - $2::interval
+         GROUP BY variant`,
+        [name, interval]
+      ),
+      query(
+        `SELECT variant,
+                COUNT(*)::int AS conversations,
+                AVG(sentiment_score)::float AS avg_sentiment_score,
+                AVG(engagement_score)::float AS avg_engagement_score,
+                COUNT(sentiment_score)::int AS scored
+         FROM conversations
+         WHERE experiment = $1 AND timestamp >= NOW() - $2::interval
+         GROUP BY variant`,
+        [name, interval]
+      )
+    ]);
+
+    const variants = experiment.variants.map((variant) => {
+      const stats = events.rows.find(row => row.variant === variant.name) || {};
+      const scores = quality.rows.find(row => row.variant === variant.name) || {};
+      const requests = stats.requests || 0;
+
+      return {
+        variant: variant.name,
+        model: variant.model,
+        weight: variant.weight,
+        requests,
+        errors: stats.errors || 0,
+        errorRate: requests > 0 ? stats.errors / requests : 0,
+        servedByFallback: stats.served_by_fallback || 0,
+        avgLatencyMs: Math.round(stats.avg_latency_ms || 0),
+        p95LatencyMs: Math.round(stats.p95_latency_ms || 0),
+        conversations: scores.conversations || 0,
+        scoredConversations: scores.scored || 0,
+        avgSentimentScore: scores.avg_sentiment_score ?? null,
+        avgEngagementScore: scores.avg_engagement_score ?? null
+      };
+    });
+
+    return { experiment, period, variants };
+  }
+}
+
+ExperimentManager.PERIODS = PERIODS;
+
+module.exports = ExperimentManager;
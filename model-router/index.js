@@ -1,67 +1,365 @@
-// Model Router Service - Phase 1 Mock Implementation
+// Model Router Service - Routes requests to model backends through provider adapters
 const logger = require('../utils/logger');
+const crypto = require('crypto');
+const { AppError } = require('../middleware/error-handler');
+const { query } = require('../utils/database');
+const CircuitBreaker = require('./circuit-breaker');
+const ConcurrencyLimiter = require('./concurrency-limiter');
+const ResponseCache = require('./response-cache');
+const UsageTracker = require('./usage-tracker');
+const ExperimentManager = require('./experiments');
+const { getProvider, listProviders } = require('./providers');
+const { loadModelConfigs, loadExperimentConfigs } = require('./config-loader');
+const { renderChatTemplate, injectSystemPrompt, listChatTemplates, getChatTemplateStops } = require('./chat-templates');
+const { validateSchema, extractJson, sampleFromSchema } = require('./json-schema');
+const { validateTools, buildToolPrompt, parseToolCalls, flattenToolMessages } = require('./tool-calls');
+
+const DEFAULT_EMBEDDING_BATCH_SIZE = 64;
+const MAX_EMBEDDING_INPUTS = 2048;
+const MOCK_EMBEDDING_DIMENSIONS = 256;
+const MAX_SPEECH_CHARACTERS = 4096;
+const SPEECH_FORMATS = ['wav', 'mp3', 'opus', 'aac', 'flac'];
+// OpenAI's transcription upload limit, which most compatible servers copy
+const MAX_TRANSCRIPTION_BYTES = 25 * 1024 * 1024;
+// Capabilities that need a dedicated endpoint, so 'all' (text models) doesn't cover them
+const DEDICATED_CAPABILITIES = ['embeddings', 'tts', 'stt'];
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object'];
+const TOOL_CALLING_MODES = ['native', 'prompt'];
+const TOOL_CHOICES = ['auto', 'none', 'required'];
 
 class ModelRouter {
-  constructor() {
+  constructor(options = {}) {
     this.models = new Map();
     this.healthCheckInterval = null;
+    // Mock mode is opt-in only; by default every request hits a real endpoint
+    this.mockMode = options.mock ?? process.env.MODEL_ROUTER_MOCK === 'true';
+    this.requestTimeout = options.requestTimeout || parseInt(process.env.MODEL_REQUEST_TIMEOUT) || 30000;
+    // Streams are aborted when no data arrives for this long
+    this.streamIdleTimeout = options.streamIdleTimeout || parseInt(process.env.MODEL_STREAM_IDLE_TIMEOUT) || this.requestTimeout;
+    this.healthCheckFrequency = options.healthCheckFrequency || parseInt(process.env.MODEL_HEALTH_CHECK_INTERVAL) || 30000;
+    this.healthCheckTimeout = options.healthCheckTimeout || parseInt(process.env.MODEL_HEALTH_CHECK_TIMEOUT) || 5000;
+    this.circuitOptions = {
+      failureThreshold: options.circuitFailureThreshold || parseInt(process.env.MODEL_CIRCUIT_FAILURE_THRESHOLD) || 3,
+      cooldown: options.circuitCooldown || parseInt(process.env.MODEL_CIRCUIT_COOLDOWN) || 30000
+    };
+    this.configOptions = { path: options.configPath, json: options.configJson };
+    this.queueDefaults = {
+      maxQueue: options.maxQueue ?? (parseInt(process.env.MODEL_QUEUE_MAX) || 20),
+      queueTimeout: options.queueTimeout || parseInt(process.env.MODEL_QUEUE_TIMEOUT) || 30000
+    };
+    // Response caching is opt-in per request (cache: true), or on by default with MODEL_CACHE_ENABLED=true
+    this.cacheByDefault = options.cache ?? process.env.MODEL_CACHE_ENABLED === 'true';
+    this.responseCache = new ResponseCache({
+      ttl: options.cacheTtl || parseInt(process.env.MODEL_CACHE_TTL) || 3600
+    });
+    this.trackUsageEnabled = options.trackUsage ?? process.env.MODEL_USAGE_TRACKING !== 'false';
+    this.usageTracker = new UsageTracker();
+    this.experiments = new ExperimentManager();
+    // Admin API changes saved in model_overrides, keyed by model name; null marks a removed model
+    this.modelOverrides = new Map();
     this.initializeModels();
-    logger.info('ModelRouter initialized (Phase 1 - Mock Mode)');
+    logger.info(`ModelRouter initialized (${this.mockMode ? 'mock' : 'live'} mode)`);
   }
 
+  // Load the model registry from config, with admin API changes applied on top
   initializeModels() {
-    // Mock model configurations for Phase 1
-    this.models.set('gemma3', {
-      name: 'gemma3',
-      endpoint: 'http://gemma3:8000/v1/completions',
-      status: 'mock',
-      capabilities: ['text-generation', 'analysis', 'code'],
-      priority: 1,
-      responseTime: 0
-    });
+    this.models.clear();
 
-    this.models.set('chatterbox', {
-      name: 'chatterbox',
-      endpoint: 'http://chatterbox:8000/v1/completions',
-      status: 'mock',
-      capabilities: ['conversation', 'roleplay', 'character-interaction'],
-      priority: 2,
-      responseTime: 0
-    });
+    for (const config of this.applyModelOverrides(loadModelConfigs(this.configOptions))) {
+      try {
+        this.addModel(config);
+      } catch (error) {
+        logger.warn('Skipping invalid model config', { model: config.name, error: error.message });
+      }
+    }
 
-    this.models.set('openrouter', {
-      name: 'openrouter',
-      endpoint: 'https://openrouter.ai/api/v1/chat/completions',
-      status: 'mock',
-      capabilities: ['all'],
-      priority: 3,
-      fallback: true,
-      responseTime: 0
+    logger.info('Models initialized', {
+      models: Array.from(this.models.keys())
     });
 
-    this.models.set('runpod', {
-      name: 'runpod',
-      endpoint: 'http://runpod-proxy:3000',
-      status: 'mock',
-      capabilities: ['all'],
-      priority: 4,
-      fallback: true,
-      responseTime: 0
-    });
+    // Experiments reference models, so they're (re)loaded with the registry
+    this.experiments.load(loadExperimentConfigs(this.configOptions), this.models);
+  }
 
-    logger.info('Mock models initialized', {
-      models: Array.from(this.models.keys())
+  // Replace file configs with saved admin API changes
+  applyModelOverrides(configs) {
+    const merged = new Map(configs.map(config => [config.name, config]));
+
+    for (const [name, config] of this.modelOverrides) {
+      if (config && config.enabled !== false) {
+        merged.set(name, config);
+      } else {
+        merged.delete(name);
+      }
+    }
+
+    return Array.from(merged.values());
+  }
+
+  // Read saved admin API changes; keeps the previous set when the database is unavailable
+  async loadModelOverrides() {
+    try {
+      const result = await query('SELECT name, config, removed FROM model_overrides');
+      this.modelOverrides = new Map(result.rows.map(row => [row.name, row.removed ? null : row.config]));
+    } catch (error) {
+      logger.error('Failed to load model overrides', { error: error.message });
+    }
+  }
+
+  // Save a model's current config (or its removal) so reloads and restarts keep admin API changes
+  async saveModelOverride(name) {
+    const model = this.models.get(name);
+    const config = model ? this.pickConfig(model) : null;
+
+    await query(
+      `INSERT INTO model_overrides (name, config, removed, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (name) DO UPDATE SET config = EXCLUDED.config, removed = EXCLUDED.removed, updated_at = NOW()`,
+      [name, config ? JSON.stringify(config) : null, !config]
+    );
+    this.modelOverrides.set(name, config);
+  }
+
+  // Apply an admin API change to the registry and save it; the registry is restored if saving fails
+  async persistModelChange(name, change) {
+    const previous = new Map(this.models);
+    const result = change();
+
+    try {
+      await this.saveModelOverride(name);
+    } catch (error) {
+      this.models.clear();
+      for (const [modelName, model] of previous) {
+        this.models.set(modelName, model);
+      }
+      // updateModel reconfigures the limiter it shares with the restored model
+      this.models.get(name)?.limiter.configure(this.getLimiterOptions(this.models.get(name)));
+      logger.error('Failed to save model change', { model: name, error: error.message });
+      throw new AppError(`Model change not saved: ${error.message}`, 503);
+    }
+
+    return result;
+  }
+
+  // Re-read the config file and saved admin API changes, keeping runtime state for models whose config is unchanged
+  async reloadModels() {
+    await this.loadModelOverrides();
+
+    const previous = new Map(this.models);
+    this.initializeModels();
+
+    for (const [name, model] of this.models) {
+      const old = previous.get(name);
+      if (old && old.endpoint === model.endpoint) {
+        Object.assign(model, this.pickRuntimeState(old));
+        model.limiter.configure(this.getLimiterOptions(model));
+      }
+    }
+
+    return this.listModelConfigs();
+  }
+
+  // Check a model config; throws a 400 AppError listing every problem
+  validateModelConfig(config) {
+    const errors = [];
+
+    if (!config.name || typeof config.name !== 'string') {
+      errors.push('name is required');
+    }
+
+    const provider = getProvider(config.provider);
+    if (!provider) {
+      errors.push(`provider must be one of: ${listProviders().join(', ')}`);
+    } else {
+      errors.push(...provider.validateConfig(config));
+    }
+
+    if (!Array.isArray(config.capabilities) || config.capabilities.length === 0) {
+      errors.push('capabilities must be a non-empty array');
+    }
+
+    if (typeof config.priority !== 'number' || Number.isNaN(config.priority)) {
+      errors.push('priority must be a number');
+    }
+
+    if (config.pricing && ['prompt', 'completion'].some(key =>
+      config.pricing[key] != null && Number.isNaN(Number(config.pricing[key]))
+    )) {
+      errors.push('pricing.prompt and pricing.completion must be numbers (USD per 1M tokens)');
+    }
+
+    for (const field of ['maxConcurrency', 'maxQueue']) {
+      if (config[field] != null && (!Number.isInteger(config[field]) || config[field] < 0)) {
+        errors.push(`${field} must be a non-negative integer`);
+      }
+    }
+
+    if (config.dimensions != null && !(Number.isInteger(Number(config.dimensions)) && Number(config.dimensions) > 0)) {
+      errors.push('dimensions must be a positive integer');
+    }
+
+    if (config.structuredOutput && !STRUCTURED_OUTPUT_MODES.includes(config.structuredOutput)) {
+      errors.push(`structuredOutput must be one of: ${STRUCTURED_OUTPUT_MODES.join(', ')}`);
+    }
+
+    if (config.toolCalling && !TOOL_CALLING_MODES.includes(config.toolCalling)) {
+      errors.push(`toolCalling must be one of: ${TOOL_CALLING_MODES.join(', ')}`);
+    }
+
+    if (config.chatTemplate && !listChatTemplates().includes(config.chatTemplate)) {
+      errors.push(`chatTemplate must be one of: ${listChatTemplates().join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid model config${config.name ? ` for ${config.name}` : ''}: ${errors.join('; ')}`, 400);
+    }
+  }
+
+  // Static fields of a model, as stored in config
+  pickConfig(model) {
+    const { status, responseTime, lastCheck, circuit, limiter, ...config } = model;
+    return config;
+  }
+
+  // Health and load fields tracked at runtime
+  pickRuntimeState(model) {
+    const { status, responseTime, lastCheck, circuit, limiter } = model;
+    return { status, responseTime, lastCheck, circuit, limiter };
+  }
+
+  // Concurrency settings for a model, with router-wide queue defaults
+  getLimiterOptions(config) {
+    return {
+      maxConcurrency: config.maxConcurrency,
+      maxQueue: config.maxQueue ?? this.queueDefaults.maxQueue,
+      queueTimeout: config.queueTimeout || this.queueDefaults.queueTimeout
+    };
+  }
+
+  // Register a new model
+  addModel(config) {
+    const normalized = {
+      provider: 'openai-compatible',
+      fallback: false,
+      ...config
+    };
+
+    if (this.models.has(normalized.name)) {
+      throw new AppError(`Model already exists: ${normalized.name}`, 409);
+    }
+
+    this.validateModelConfig(normalized);
+
+    const model = {
+      ...normalized,
+      status: this.mockMode ? 'mock' : 'unknown',
+      responseTime: 0,
+      lastCheck: null,
+      circuit: new CircuitBreaker(this.circuitOptions),
+      limiter: new ConcurrencyLimiter(this.getLimiterOptions(normalized))
+    };
+
+    this.models.set(model.name, model);
+    logger.info('Model registered', { model: model.name, provider: model.provider });
+    return this.pickConfig(model);
+  }
+
+  // Update a model's config in place; health state resets when the endpoint or provider changes
+  updateModel(name, changes) {
+    const model = this.models.get(name);
+    if (!model) {
+      throw new AppError(`Model not found: ${name}`, 404);
+    }
+
+    const { name: ignoredName, ...configChanges } = changes;
+    const updated = { ...this.pickConfig(model), ...configChanges, name };
+    this.validateModelConfig(updated);
+
+    const resetHealth = updated.endpoint !== model.endpoint || updated.provider !== model.provider;
+    const runtime = resetHealth
+      ? { status: this.mockMode ? 'mock' : 'unknown', responseTime: 0, lastCheck: null, circuit: new CircuitBreaker(this.circuitOptions), limiter: model.limiter }
+      : this.pickRuntimeState(model);
+
+    // Keep the limiter so requests already in flight are still counted
+    runtime.limiter.configure(this.getLimiterOptions(updated));
+
+    this.models.set(name, { ...updated, ...runtime });
+    logger.info('Model updated', { model: name, fields: Object.keys(configChanges) });
+    return this.pickConfig(this.models.get(name));
+  }
+
+  // Remove a model from the registry
+  removeModel(name) {
+    if (!this.models.delete(name)) {
+      throw new AppError(`Model not found: ${name}`, 404);
+    }
+    logger.info('Model removed', { model: name });
+    return true;
+  }
+
+  // Model configs without secrets, for the admin API
+  listModelConfigs() {
+    return Array.from(this.models.values()).map(model => {
+      const { apiKey, proxyApiKey, ...config } = this.pickConfig(model);
+      return { ...config, apiKeyConfigured: !!(apiKey || proxyApiKey) };
     });
   }
 
-  // Start health checks for models (no-op in Phase 1)
+  // Start periodic health checks for all model endpoints
   async startHealthChecks() {
-    logger.info('Health checks started (mock mode)');
-    // In Phase 1, we just log that health checks would run
-    // In Phase 2/3, this will actually ping the model endpoints
+    if (this.mockMode) {
+      logger.info('Health checks skipped (mock mode)');
+      return false;
+    }
+
+    this.stopHealthChecks();
+    await this.checkAllModels();
+
+    this.healthCheckInterval = setInterval(() => {
+      this.checkAllModels().catch(error => {
+        logger.error('Model health check run failed', { error: error.message });
+      });
+    }, this.healthCheckFrequency);
+
+    logger.info('Health checks started', { interval: `${this.healthCheckFrequency}ms` });
     return true;
   }
 
+  // Probe every model endpoint once
+  async checkAllModels() {
+    await Promise.all(Array.from(this.models.values()).map(model => this.checkModelHealth(model)));
+  }
+
+  // Probe a single model endpoint and update its status
+  async checkModelHealth(model) {
+    // An open circuit is left alone until its cool-down expires; the next probe is the half-open trial
+    // unless a request already claimed it
+    if (!model.circuit.canRequest()) {
+      model.status = 'unhealthy';
+      return;
+    }
+
+    const startTime = Date.now();
+    try {
+      await getProvider(model.provider).checkHealth(model, { timeout: this.healthCheckTimeout });
+      model.status = 'healthy';
+      model.responseTime = Date.now() - startTime;
+      model.circuit.recordSuccess();
+
+    } catch (error) {
+      model.status = 'unhealthy';
+      model.circuit.recordFailure();
+      logger.warn('Model health check failed', {
+        model: model.name,
+        error: error.message,
+        circuit: model.circuit.state
+      });
+
+    } finally {
+      model.lastCheck = new Date().toISOString();
+    }
+  }
+
   // Get available models
   getAvailableModels() {
     return Array.from(this.models.values()).map(model => ({
@@ -73,37 +371,540 @@ class ModelRouter {
     }));
   }
 
-  // Route a request to the best available model
+  // Check whether a model can serve a capability
+  supportsCapability(model, capability) {
+    if (DEDICATED_CAPABILITIES.includes(capability)) {
+      return model.capabilities.includes(capability);
+    }
+    return model.capabilities.includes(capability) || model.capabilities.includes('all');
+  }
+
+  // Build the ordered list of models to try for a capability:
+  // the highest-priority healthy capable model, then the fallback models by priority
+  getRoutingChain(capability) {
+    const byPriority = Array.from(this.models.values())
+      .filter(model => model.circuit.isAvailable())
+      .sort((a, b) => a.priority - b.priority);
+
+    const primary = byPriority.find(model =>
+      model.status !== 'unhealthy' && this.supportsCapability(model, capability)
+    );
+
+    const chain = primary ? [primary] : [];
+    for (const model of byPriority) {
+      if (model.fallback && model !== primary && this.supportsCapability(model, capability)) {
+        chain.push(model);
+      }
+    }
+
+    return chain;
+  }
+
+  // An experiment variant's model, then the fallback models; a reply from a fallback
+  // still counts against the variant in the experiment report
+  getVariantChain(modelName, capability) {
+    const model = this.models.get(modelName);
+    const chain = model && model.circuit.isAvailable() ? [model] : [];
+
+    const fallbacks = Array.from(this.models.values())
+      .filter(candidate => candidate.fallback && candidate !== model &&
+        candidate.circuit.isAvailable() && this.supportsCapability(candidate, capability))
+      .sort((a, b) => a.priority - b.priority);
+
+    return [...chain, ...fallbacks];
+  }
+
+  // The enabled A/B experiment that would split a request, if any
+  findExperiment({ capability, characterId }) {
+    return this.experiments.find({ capability, characterId });
+  }
+
+  // A caller-chosen model is used as-is, without falling back to another model
+  getExplicitChain(name) {
+    const model = this.models.get(name);
+    if (!model) {
+      throw new AppError(`Unknown model: ${name}`, 400);
+    }
+    if (!model.circuit.isAvailable()) {
+      throw new AppError(`Model ${name} is temporarily unavailable (circuit open)`, 503);
+    }
+    return [model];
+  }
+
+  // Route a request to the best available model, falling back on failure
   async route(request, capability = 'text-generation') {
+    const startTime = Date.now();
     try {
-      logger.debug('Routing request', { capability });
-
-      // For Phase 1, return mock response
-      const mockResponse = {
-        model: 'mock-model',
-        text: this.generateMockResponse(request),
-        confidence: 0.85,
-        responseTime: Math.random() * 100 + 50, // 50-150ms mock time
-        source: 'mock',
+      logger.debug('Routing request', { capability, experiment: request.experiment?.experiment });
+
+      // Streamed replies, tool-calling turns (whose tool results change) and experiment traffic
+      // (which must reach its variant) are never cached
+      const useCache = !this.mockMode && !request.onToken && !request.tools && !request.experiment &&
+        (request.cache ?? this.cacheByDefault);
+
+      let result;
+      if (this.mockMode) {
+        result = this.routeMock(request);
+      } else if (!useCache) {
+        result = await this.routeToModels(request, capability);
+        result.cache = { status: 'bypass', hit: false };
+      } else {
+        const key = this.responseCache.buildKey(request, capability);
+        result = await this.responseCache.wrap(
+          key,
+          () => this.routeToModels(request, capability),
+          request.cacheTtl
+        );
+      }
+
+      this.trackUsage(request, result, capability);
+
+      if (request.experiment) {
+        result.experiment = {
+          ...request.experiment,
+          servedByVariant: result.model === request.experiment.model
+        };
+        this.experiments.recordEvent(request.experiment, { request, result, latency: Date.now() - startTime });
+      }
+
+      return result;
+
+    } catch (error) {
+      if (request.experiment) {
+        this.experiments.recordEvent(request.experiment, { request, error, latency: Date.now() - startTime });
+      }
+      logger.error('Failed to route request', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Try each model in the routing chain until one answers; invoke overrides how a model is called
+  async routeToModels(request, capability, invoke = null) {
+    let chain;
+    if (request.model && request.model !== 'auto') {
+      chain = this.getExplicitChain(request.model);
+    } else if (request.experiment) {
+      chain = this.getVariantChain(request.experiment.model, capability);
+    } else {
+      chain = this.getRoutingChain(capability);
+    }
+    if (chain.length === 0) {
+      throw new Error(`No model available for capability: ${capability}`);
+    }
+
+    const tried = [];
+    const failures = [];
+
+    for (const model of chain) {
+      tried.push(model.name);
+
+      // Wait for a slot; a full queue spills the request over to the next model in the chain
+      let release;
+      try {
+        release = await model.limiter.acquire(request.priority);
+      } catch (error) {
+        failures.push({ model: model.name, error: error.message, busy: true });
+        continue;
+      }
+
+      // A half-open circuit lets a single trial through; concurrent requests move on
+      if (!model.circuit.canRequest()) {
+        release();
+        failures.push({ model: model.name, error: 'circuit open: trial request in flight' });
+        continue;
+      }
+
+      try {
+        let result;
+        if (invoke) {
+          result = await invoke(model, request);
+        } else if (request.onToken) {
+          result = await this.callModelStream(model, request);
+        } else {
+          result = await this.callModel(model, request);
+        }
+        result.routing = {
+          capability,
+          answeredBy: model.name,
+          tried,
+          failures
+        };
+
+        if (failures.length > 0) {
+          logger.info('Request served by fallback model', { model: model.name, tried });
+        }
+
+        return result;
+
+      } catch (error) {
+        failures.push({ model: model.name, error: error.message });
+
+        // Tokens already reached the caller, so another model can't take over mid-reply
+        if (error.streamStarted) {
+          error.routing = { capability, answeredBy: null, tried, failures };
+          throw error;
+        }
+      } finally {
+        release();
+      }
+    }
+
+    if (failures.every(failure => failure.busy)) {
+      const error = new AppError(`All models for ${capability} are at capacity; try again shortly`, 503);
+      error.code = 'MODEL_BUSY';
+      error.routing = { capability, answeredBy: null, tried, failures };
+      throw error;
+    }
+
+    const error = new Error(`All models failed for capability: ${capability}`);
+    error.routing = { capability, answeredBy: null, tried, failures };
+    throw error;
+  }
+
+  // Record tokens, latency and cost for a routed request and attach them to the result
+  trackUsage(request, result, capability) {
+    const entry = this.usageTracker.buildEntry(this.models.get(result.model), request, result, capability);
+    result.usage = {
+      promptTokens: entry.promptTokens,
+      completionTokens: entry.completionTokens,
+      estimatedCost: entry.cost,
+      estimated: entry.estimated
+    };
+
+    if (this.trackUsageEnabled) {
+      this.usageTracker.record(entry);
+    }
+  }
+
+  // Build a mock response (only used when mock mode is explicitly enabled)
+  routeMock(request) {
+    const mockResponse = {
+      model: 'mock-model',
+      text: request.jsonSchema
+        ? JSON.stringify(sampleFromSchema(request.jsonSchema))
+        : this.generateMockResponse(request),
+      confidence: 0.85,
+      responseTime: Math.random() * 100 + 50, // 50-150ms mock time
+      source: 'mock',
+      metadata: {
+        note: 'Mock mode is enabled (MODEL_ROUTER_MOCK=true); no model endpoint was called.'
+      }
+    };
+
+    if (request.onToken) {
+      mockResponse.text.split(/(\s+)/).filter(Boolean).forEach(token => request.onToken(token));
+    }
+
+    logger.info('Generated mock response', {
+      length: mockResponse.text.length,
+      responseTime: `${mockResponse.responseTime}ms`
+    });
+
+    return mockResponse;
+  }
+
+  // Shape a request for one model: chat messages go through as-is to chat endpoints,
+  // otherwise they're rendered with the model's chat template
+  prepareRequest(model, request) {
+    // Automatic routing can pick a model with a smaller output limit than requested
+    if (model.limits?.maxTokens && request.maxTokens > model.limits.maxTokens) {
+      request = { ...request, maxTokens: model.limits.maxTokens };
+    }
+
+    if (!request.messages) {
+      return request;
+    }
+
+    // The model's own system prompt only applies when the caller didn't send one
+    const messages = request.messages.some(m => m.role === 'system')
+      ? request.messages
+      : injectSystemPrompt(request.messages, model.systemPrompt);
+
+    const toolMode = request.tools?.length ? this.getToolMode(model) : null;
+    let prepared = { ...request, messages, toolMode };
+
+    // Prompt-based tool calling: describe the tools in the system prompt and
+    // turn earlier tool calls and results into ordinary turns
+    if (toolMode === 'prompt') {
+      const withTools = request.toolChoice === 'none'
+        ? messages
+        : injectSystemPrompt(messages, buildToolPrompt(request.tools));
+      prepared = { ...prepared, messages: flattenToolMessages(withTools), tools: undefined };
+    }
+
+    if (getProvider(model.provider).acceptsMessages(model)) {
+      return prepared;
+    }
+
+    const { prompt, stop } = renderChatTemplate(prepared.messages, model.chatTemplate || 'plain');
+    const { messages: ignored, ...rest } = prepared;
+    return {
+      ...rest,
+      prompt,
+      stop: [...new Set([...(request.stop || []), ...stop])]
+    };
+  }
+
+  // Stop sequences the model's chat template adds when prepareRequest renders messages into a prompt
+  getTemplateStops(model) {
+    if (getProvider(model.provider).acceptsMessages(model)) return [];
+    return getChatTemplateStops(model.chatTemplate || 'plain');
+  }
+
+  // Chat endpoints use the server's native tool calling unless toolCalling: prompt is configured;
+  // raw-prompt endpoints always use the <tool_call> prompt format
+  getToolMode(model) {
+    if (!getProvider(model.provider).acceptsMessages(model)) return 'prompt';
+    return model.toolCalling || 'native';
+  }
+
+  // Send a request to a model through its provider and normalize the reply
+  async callModel(model, request) {
+    const startTime = Date.now();
+    try {
+      const prepared = this.prepareRequest(model, request);
+      let raw = await getProvider(model.provider).complete(model, prepared, {
+        timeout: this.requestTimeout,
+        signal: request.signal
+      });
+
+      if (prepared.toolMode === 'prompt') {
+        raw = { ...raw, ...parseToolCalls(raw.text) };
+      }
+
+      const result = this.buildResult(model, raw, Date.now() - startTime);
+
+      logger.info('Model response received', {
+        model: model.name,
+        length: result.text.length,
+        responseTime: `${result.responseTime}ms`
+      });
+
+      return result;
+
+    } catch (error) {
+      this.recordModelFailure(model, error);
+      throw error;
+    }
+  }
+
+  // Stream a request through the model's provider, passing each token to request.onToken
+  async callModelStream(model, request) {
+    const startTime = Date.now();
+    let streamStarted = false;
+
+    try {
+      const raw = await getProvider(model.provider).stream(model, this.prepareRequest(model, request), (token) => {
+        streamStarted = true;
+        request.onToken(token);
+      }, {
+        timeout: this.requestTimeout,
+        idleTimeout: this.streamIdleTimeout,
+        signal: request.signal
+      });
+
+      const result = this.buildResult(model, raw, Date.now() - startTime);
+      result.metadata.streamed = true;
+
+      logger.info('Model stream completed', {
+        model: model.name,
+        length: result.text.length,
+        responseTime: `${result.responseTime}ms`
+      });
+
+      return result;
+
+    } catch (error) {
+      error.streamStarted = streamStarted;
+      this.recordModelFailure(model, error);
+      throw error;
+    }
+  }
+
+  // Embed request.input with one model, split into batches the endpoint accepts
+  async callEmbeddingModel(model, request) {
+    const startTime = Date.now();
+    const batchSize = model.limits?.maxBatchSize || DEFAULT_EMBEDDING_BATCH_SIZE;
+    const provider = getProvider(model.provider);
+
+    try {
+      const embeddings = [];
+      const usage = { prompt_tokens: 0, total_tokens: 0 };
+      let modelId = model.modelId;
+      let reportedUsage = true;
+
+      for (let i = 0; i < request.input.length; i += batchSize) {
+        const raw = await provider.embed(model, request.input.slice(i, i + batchSize), {
+          timeout: this.requestTimeout,
+          signal: request.signal
+        });
+
+        embeddings.push(...raw.embeddings);
+        modelId = raw.modelId || modelId;
+        if (raw.usage) {
+          usage.prompt_tokens += raw.usage.prompt_tokens || 0;
+          usage.total_tokens += raw.usage.total_tokens || 0;
+        } else {
+          reportedUsage = false;
+        }
+      }
+
+      const responseTime = Date.now() - startTime;
+      model.status = 'healthy';
+      model.responseTime = responseTime;
+      model.circuit.recordSuccess();
+
+      logger.info('Embeddings received', {
+        model: model.name,
+        count: embeddings.length,
+        responseTime: `${responseTime}ms`
+      });
+
+      return {
+        model: model.name,
+        embeddings,
+        dimensions: embeddings[0]?.length || 0,
+        responseTime,
+        source: model.name,
         metadata: {
-          phase: 'mvp-phase-1',
-          note: 'This is a mock response. Real AI models will be available in Phase 2/3.'
+          modelId,
+          provider: model.provider,
+          batches: Math.ceil(request.input.length / batchSize),
+          // Partial usage would under-count, so fall back to estimates unless every batch reported it
+          usage: reportedUsage ? usage : null
         }
       };
 
-      logger.info('Generated mock response', {
-        length: mockResponse.text.length,
-        responseTime: `${mockResponse.responseTime}ms`
+    } catch (error) {
+      this.recordModelFailure(model, error);
+      throw error;
+    }
+  }
+
+  // Synthesize request.input[0] with one tts model
+  async callSpeechModel(model, request) {
+    const startTime = Date.now();
+    try {
+      const raw = await getProvider(model.provider).synthesize(model, {
+        text: request.input[0],
+        voice: request.voice,
+        speed: request.speed,
+        format: request.format
+      }, {
+        timeout: this.requestTimeout,
+        signal: request.signal
       });
 
-      return mockResponse;
+      const responseTime = Date.now() - startTime;
+      model.status = 'healthy';
+      model.responseTime = responseTime;
+      model.circuit.recordSuccess();
+
+      logger.info('Speech received', {
+        model: model.name,
+        bytes: raw.audio.length,
+        responseTime: `${responseTime}ms`
+      });
+
+      return {
+        model: model.name,
+        audio: raw.audio,
+        format: request.format,
+        mimeType: raw.mimeType,
+        responseTime,
+        source: model.name,
+        metadata: {
+          modelId: raw.modelId || model.modelId,
+          provider: model.provider,
+          voice: request.voice || model.voice || null
+        }
+      };
 
     } catch (error) {
-      logger.error('Failed to route request', { error: error.message });
+      this.recordModelFailure(model, error);
+      throw error;
+    }
+  }
+
+  // Transcribe request.audio with one stt model
+  async callTranscriptionModel(model, request) {
+    const startTime = Date.now();
+    try {
+      const raw = await getProvider(model.provider).transcribe(model, {
+        audio: request.audio,
+        filename: request.filename,
+        mimeType: request.mimeType,
+        language: request.language,
+        prompt: request.prompt
+      }, {
+        timeout: this.requestTimeout,
+        signal: request.signal
+      });
+
+      const responseTime = Date.now() - startTime;
+      model.status = 'healthy';
+      model.responseTime = responseTime;
+      model.circuit.recordSuccess();
+
+      logger.info('Transcript received', {
+        model: model.name,
+        length: raw.text.length,
+        responseTime: `${responseTime}ms`
+      });
+
+      return {
+        model: model.name,
+        text: raw.text,
+        language: raw.language,
+        responseTime,
+        source: model.name,
+        metadata: {
+          modelId: raw.modelId || model.modelId,
+          provider: model.provider
+        }
+      };
+
+    } catch (error) {
+      this.recordModelFailure(model, error);
       throw error;
     }
   }
 
+  // Record a successful call and convert the provider output into the router response shape
+  buildResult(model, raw, responseTime) {
+    model.status = 'healthy';
+    model.responseTime = responseTime;
+    model.circuit.recordSuccess();
+
+    return {
+      model: model.name,
+      text: (raw.text || '').trim(),
+      // Completion APIs don't report confidence; a truncated reply is less trustworthy
+      confidence: raw.finishReason === 'length' ? 0.6 : 0.9,
+      responseTime,
+      source: model.name,
+      toolCalls: raw.toolCalls || [],
+      metadata: {
+        modelId: raw.modelId || model.modelId,
+        provider: model.provider,
+        finishReason: raw.finishReason,
+        usage: raw.usage
+      }
+    };
+  }
+
+  // Mark a model unhealthy after a failed call
+  recordModelFailure(model, error) {
+    model.status = 'unhealthy';
+    model.circuit.recordFailure();
+    logger.warn('Model call failed', {
+      model: model.name,
+      status: error.response?.status,
+      error: error.message,
+      circuit: model.circuit.state
+    });
+  }
+
   // Generate a mock response based on request
   generateMockResponse(request) {
     const { prompt, type = 'general', context = {} } = request;
@@ -127,23 +928,140 @@ class ModelRouter {
     }
   }
 
-  // Generate text using specified model
+  // Validate per-request generation parameters against the requested model's limits.
+  // Returns the parameters normalised (stop as an array); throws a 400 AppError otherwise.
+  validateGenerationOptions(options) {
+    const { model = 'auto', temperature, topP, maxTokens, stop, seed, tools, toolChoice, messages } = options;
+    const errors = [];
+
+    let target = null;
+    if (model !== 'auto') {
+      target = this.models.get(model);
+      if (!target) {
+        throw new AppError(`Unknown model: ${model}. Available: ${Array.from(this.models.keys()).join(', ')}`, 400);
+      }
+    }
+    const limits = target?.limits || {};
+
+    const maxTemperature = limits.maxTemperature ?? 2;
+    if (temperature != null && (typeof temperature !== 'number' || temperature < 0 || temperature > maxTemperature)) {
+      errors.push(`temperature must be between 0 and ${maxTemperature}`);
+    }
+
+    if (topP != null && (typeof topP !== 'number' || topP <= 0 || topP > 1)) {
+      errors.push('topP must be greater than 0 and at most 1');
+    }
+
+    if (maxTokens != null) {
+      if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+        errors.push('maxTokens must be a positive integer');
+      } else if (limits.maxTokens && maxTokens > limits.maxTokens) {
+        errors.push(`maxTokens must be at most ${limits.maxTokens} for ${model}`);
+      }
+    }
+
+    let stopSequences;
+    if (stop != null) {
+      stopSequences = Array.isArray(stop) ? stop : [stop];
+      const maxStop = limits.maxStopSequences ?? 4;
+      if (!stopSequences.every(item => typeof item === 'string' && item.length > 0)) {
+        errors.push('stop must be a string or an array of non-empty strings');
+      } else {
+        // Chat messages rendered with a template also get the template's stops; automatic routing
+        // may pick any model, so the largest merged set counts
+        const candidates = messages ? (target ? [target] : Array.from(this.models.values())) : [];
+        const merged = Math.max(stopSequences.length, ...candidates.map(candidate =>
+          new Set([...stopSequences, ...this.getTemplateStops(candidate)]).size
+        ));
+        if (merged > maxStop) {
+          errors.push(merged > stopSequences.length
+            ? `at most ${maxStop} stop sequences are allowed, including the chat template's`
+            : `at most ${maxStop} stop sequences are allowed`);
+        }
+      }
+    }
+
+    if (seed != null) {
+      if (!Number.isInteger(seed)) {
+        errors.push('seed must be an integer');
+      } else if (limits.supportsSeed === false) {
+        errors.push(`${model} does not support seeded generation`);
+      }
+    }
+
+    if (tools != null) {
+      errors.push(...validateTools(tools));
+    }
+
+    if (toolChoice != null && !TOOL_CHOICES.includes(toolChoice)) {
+      errors.push(`toolChoice must be one of: ${TOOL_CHOICES.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid generation options: ${errors.join('; ')}`, 400);
+    }
+
+    return { ...options, stop: stopSequences };
+  }
+
+  // Generate text using specified model; pass options.onToken to stream the reply
   async generateText(prompt, options = {}) {
     try {
       const {
         model = 'auto',
         maxTokens = 500,
         temperature = 0.7,
-        capability = 'text-generation'
-      } = options;
+        topP,
+        stop,
+        seed,
+        capability = 'text-generation',
+        priority = 'normal',
+        messages,
+        tools,
+        toolChoice,
+        jsonSchema,
+        schemaName,
+        cache,
+        cacheTtl,
+        characterId,
+        apiKeyId,
+        userId,
+        sessionId,
+        onToken,
+        signal
+      } = this.validateGenerationOptions(options);
 
-      logger.debug('Generating text', { prompt: prompt.substring(0, 50), model });
+      logger.debug('Generating text', { prompt: prompt.substring(0, 50), model, stream: !!onToken });
+
+      // A/B experiments only split traffic the caller left to automatic routing
+      const experiment = model === 'auto'
+        ? this.experiments.assign({ capability, characterId, sessionId })
+        : null;
 
       return await this.route({
         prompt,
         type: capability,
+        model,
         maxTokens,
-        temperature
+        temperature,
+        topP,
+        stop,
+        seed,
+        priority,
+        messages,
+        tools,
+        toolChoice,
+        jsonSchema,
+        schemaName,
+        cache,
+        cacheTtl,
+        characterId,
+        apiKeyId,
+        userId,
+        sessionId,
+        experiment,
+        onToken,
+        signal
       }, capability);
 
     } catch (error) {
@@ -152,15 +1070,21 @@ class ModelRouter {
     }
   }
 
-  // Chat completion (mock)
+  // Chat completion; options.systemPrompt is prepended as a system message.
+  // Each model renders the messages with its own chat template (see prepareRequest)
   async chatCompletion(messages, options = {}) {
     try {
-      const prompt = messages.map(m => `${m.role}: ${m.content}`).join('\n');
-      
-      logger.debug('Chat completion', { messageCount: messages.length });
+      const { systemPrompt, ...rest } = options;
+      const chatMessages = injectSystemPrompt(messages, systemPrompt);
+
+      logger.debug('Chat completion', { messageCount: chatMessages.length });
+
+      // The plain transcript is only used by mock mode and logging
+      const { prompt } = renderChatTemplate(chatMessages, 'plain');
 
       return await this.generateText(prompt, {
-        ...options,
+        ...rest,
+        messages: chatMessages,
         capability: 'conversation'
       });
 
@@ -170,6 +1094,302 @@ class ModelRouter {
     }
   }
 
+  // Generate JSON that matches a JSON schema; resolves to the router result plus `data`, the parsed object.
+  // Models with structuredOutput set get JSON mode; every reply is validated and, on failure, the model is
+  // shown its errors and asked to repair the output up to options.maxRepairs times (default 1)
+  async generateStructured(prompt, jsonSchema, options = {}) {
+    try {
+      if (!jsonSchema || typeof jsonSchema !== 'object' || Array.isArray(jsonSchema)) {
+        throw new AppError('jsonSchema must be a JSON schema object', 400);
+      }
+
+      const {
+        systemPrompt,
+        maxRepairs = 1,
+        schemaName = 'response',
+        capability = 'text-generation',
+        // Not streamed: a reply can only be validated once it's complete
+        onToken,
+        ...rest
+      } = options;
+
+      if (!Number.isInteger(maxRepairs) || maxRepairs < 0 || maxRepairs > 3) {
+        throw new AppError('maxRepairs must be an integer between 0 and 3', 400);
+      }
+
+      const instruction = 'Respond with a single JSON value that matches this JSON schema. ' +
+        `Output only the JSON, with no explanation or code fences.\n${JSON.stringify(jsonSchema)}`;
+      let messages = [
+        { role: 'system', content: systemPrompt ? `${systemPrompt}\n\n${instruction}` : instruction },
+        { role: 'user', content: prompt }
+      ];
+
+      let errors = [];
+      let result;
+      for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+        result = await this.generateText(renderChatTemplate(messages, 'plain').prompt, {
+          // Lower temperature keeps the output closer to the requested format
+          temperature: 0.2,
+          ...rest,
+          messages,
+          capability,
+          jsonSchema,
+          schemaName
+        });
+
+        const parsed = extractJson(result.text);
+        errors = parsed.error ? [parsed.error] : validateSchema(parsed.value, jsonSchema);
+        if (errors.length === 0) {
+          return { ...result, data: parsed.value, attempts: attempt };
+        }
+
+        logger.warn('Structured output failed validation', { model: result.model, attempt, errors: errors.slice(0, 5) });
+
+        messages = [
+          ...messages,
+          { role: 'assistant', content: result.text },
+          {
+            role: 'user',
+            content: `That output is not valid against the schema:\n- ${errors.slice(0, 10).join('\n- ')}\n` +
+              'Reply with corrected JSON only.'
+          }
+        ];
+      }
+
+      const error = new AppError(
+        `Model output did not match the JSON schema after ${maxRepairs + 1} attempts: ${errors.slice(0, 3).join('; ')}`,
+        422
+      );
+      error.code = 'SCHEMA_VALIDATION_FAILED';
+      error.validationErrors = errors;
+      error.output = result.text;
+      throw error;
+
+    } catch (error) {
+      logger.error('Failed to generate structured output', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Embed one text or a list of texts with an embeddings-capable model.
+  // All texts go to the same model so the vectors are comparable with each other
+  async embed(texts, options = {}) {
+    try {
+      const input = this.validateEmbeddingInput(texts);
+      const {
+        model = 'auto',
+        priority = 'normal',
+        characterId,
+        apiKeyId,
+        userId,
+        signal
+      } = options;
+
+      if (model !== 'auto' && this.models.has(model) &&
+          !this.supportsCapability(this.models.get(model), 'embeddings')) {
+        throw new AppError(`Model ${model} does not support embeddings`, 400);
+      }
+
+      logger.debug('Embedding texts', { count: input.length, model });
+
+      const request = { input, model, priority, characterId, apiKeyId, userId, signal };
+      const result = this.mockMode
+        ? this.embedMock(input)
+        : await this.routeToModels(request, 'embeddings', (target, req) => this.callEmbeddingModel(target, req));
+
+      this.trackUsage(request, result, 'embeddings');
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to embed texts', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Accept a string or a non-empty array of strings; returns an array
+  validateEmbeddingInput(texts) {
+    const input = typeof texts === 'string' ? [texts] : texts;
+
+    if (!Array.isArray(input) || input.length === 0) {
+      throw new AppError('input must be a string or a non-empty array of strings', 400);
+    }
+    if (input.length > MAX_EMBEDDING_INPUTS) {
+      throw new AppError(`input can contain at most ${MAX_EMBEDDING_INPUTS} texts`, 400);
+    }
+    if (input.some(text => typeof text !== 'string' || text.trim() === '')) {
+      throw new AppError('every input item must be a non-empty string', 400);
+    }
+
+    return input;
+  }
+
+  // Deterministic hashed bag-of-words vectors, so similarity search behaves sensibly in mock mode
+  embedMock(input) {
+    const embeddings = input.map((text) => {
+      const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+      for (const word of text.toLowerCase().match(/[a-z0-9']+/g) || []) {
+        const hash = crypto.createHash('md5').update(word).digest();
+        vector[hash.readUInt32BE(0) % MOCK_EMBEDDING_DIMENSIONS] += hash[4] & 1 ? 1 : -1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+
+    return {
+      model: 'mock-model',
+      embeddings,
+      dimensions: MOCK_EMBEDDING_DIMENSIONS,
+      responseTime: 0,
+      source: 'mock',
+      metadata: {
+        note: 'Mock mode is enabled (MODEL_ROUTER_MOCK=true); no model endpoint was called.'
+      }
+    };
+  }
+
+  // Turn text into speech with a tts-capable model; resolves to the audio buffer in the requested format
+  async synthesize(text, options = {}) {
+    try {
+      const {
+        model = 'auto',
+        voice,
+        speed,
+        format = 'wav',
+        priority = 'normal',
+        characterId,
+        apiKeyId,
+        userId,
+        signal
+      } = options;
+
+      if (typeof text !== 'string' || text.trim() === '') {
+        throw new AppError('text is required', 400);
+      }
+      if (text.length > MAX_SPEECH_CHARACTERS) {
+        throw new AppError(`text can be at most ${MAX_SPEECH_CHARACTERS} characters`, 400);
+      }
+      if (speed != null && !(typeof speed === 'number' && speed >= 0.25 && speed <= 4)) {
+        throw new AppError('speed must be a number between 0.25 and 4', 400);
+      }
+      if (!SPEECH_FORMATS.includes(format)) {
+        throw new AppError(`format must be one of: ${SPEECH_FORMATS.join(', ')}`, 400);
+      }
+      if (model !== 'auto' && this.models.has(model) &&
+          !this.supportsCapability(this.models.get(model), 'tts')) {
+        throw new AppError(`Model ${model} does not support tts`, 400);
+      }
+
+      logger.debug('Synthesizing speech', { length: text.length, model });
+
+      // input as a list so usage tracking estimates tokens the same way as for embeddings
+      const request = { input: [text], model, voice, speed, format, priority, characterId, apiKeyId, userId, signal };
+      const result = this.mockMode
+        ? this.synthesizeMock(text)
+        : await this.routeToModels(request, 'tts', (target, req) => this.callSpeechModel(target, req));
+
+      this.trackUsage(request, result, 'tts');
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to synthesize speech', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Silent 16 kHz WAV about as long as the text would take to read, so audio pipelines run in mock mode
+  synthesizeMock(text) {
+    const sampleRate = 16000;
+    const seconds = Math.min(30, Math.max(1, text.split(/\s+/).length * 0.4));
+    const dataSize = Math.round(seconds * sampleRate) * 2;
+
+    const audio = Buffer.alloc(44 + dataSize);
+    audio.write('RIFF', 0);
+    audio.writeUInt32LE(36 + dataSize, 4);
+    audio.write('WAVEfmt ', 8);
+    audio.writeUInt32LE(16, 16);
+    audio.writeUInt16LE(1, 20);
+    audio.writeUInt16LE(1, 22);
+    audio.writeUInt32LE(sampleRate, 24);
+    audio.writeUInt32LE(sampleRate * 2, 28);
+    audio.writeUInt16LE(2, 32);
+    audio.writeUInt16LE(16, 34);
+    audio.write('data', 36);
+    audio.writeUInt32LE(dataSize, 40);
+
+    return {
+      model: 'mock-model',
+      audio,
+      format: 'wav',
+      mimeType: 'audio/wav',
+      responseTime: 0,
+      source: 'mock',
+      metadata: {
+        note: 'Mock mode is enabled (MODEL_ROUTER_MOCK=true); no model endpoint was called.'
+      }
+    };
+  }
+
+  // Transcribe an audio buffer with an stt-capable model; language is an ISO-639-1 hint
+  async transcribe(audio, options = {}) {
+    try {
+      const {
+        model = 'auto',
+        filename = 'audio.wav',
+        mimeType = 'audio/wav',
+        language,
+        prompt,
+        priority = 'normal',
+        characterId,
+        apiKeyId,
+        userId,
+        signal
+      } = options;
+
+      if (!Buffer.isBuffer(audio) || audio.length === 0) {
+        throw new AppError('audio is required', 400);
+      }
+      if (audio.length > MAX_TRANSCRIPTION_BYTES) {
+        throw new AppError(`audio can be at most ${MAX_TRANSCRIPTION_BYTES / 1024 / 1024} MB`, 413);
+      }
+      if (language != null && !/^[a-z]{2}$/.test(language)) {
+        throw new AppError('language must be a two-letter ISO-639-1 code', 400);
+      }
+      if (model !== 'auto' && this.models.has(model) &&
+          !this.supportsCapability(this.models.get(model), 'stt')) {
+        throw new AppError(`Model ${model} does not support stt`, 400);
+      }
+
+      logger.debug('Transcribing audio', { bytes: audio.length, model });
+
+      // No text goes in, so usage is counted on the transcript as completion tokens
+      const request = { input: [], audio, filename, mimeType, language, prompt, model, priority, characterId, apiKeyId, userId, signal };
+      const result = this.mockMode
+        ? this.transcribeMock(language)
+        : await this.routeToModels(request, 'stt', (target, req) => this.callTranscriptionModel(target, req));
+
+      this.trackUsage(request, result, 'stt');
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to transcribe audio', { error: error.message });
+      throw error;
+    }
+  }
+
+  transcribeMock(language) {
+    return {
+      model: 'mock-model',
+      text: 'This is a mock transcript of a voice message.',
+      language: language || 'en',
+      responseTime: 0,
+      source: 'mock',
+      metadata: {
+        note: 'Mock mode is enabled (MODEL_ROUTER_MOCK=true); no model endpoint was called.'
+      }
+    };
+  }
+
   // Get model status
   getModelStatus(modelName) {
     const model = this.models.get(modelName);
@@ -179,12 +1399,14 @@ class ModelRouter {
 
     return {
       name: model.name,
+      provider: model.provider,
       status: model.status,
-      endpoint: model.endpoint,
       capabilities: model.capabilities,
       priority: model.priority,
       responseTime: model.responseTime,
-      lastCheck: new Date().toISOString()
+      lastCheck: model.lastCheck,
+      circuit: model.circuit.getState(),
+      concurrency: model.limiter.getStats()
     };
   }
 
@@ -196,12 +1418,23 @@ class ModelRouter {
         status: model.status,
         capabilities: model.capabilities,
         priority: model.priority,
-        responseTime: model.responseTime
+        responseTime: model.responseTime,
+        lastCheck: model.lastCheck,
+        circuit: model.circuit.state,
+        concurrency: model.limiter.getStats()
       };
     }
     return statuses;
   }
 
+  // Whether at least one model can currently serve requests
+  hasHealthyModel() {
+    if (this.mockMode) return true;
+    return Array.from(this.models.values()).some(model =>
+      model.status === 'healthy' && model.circuit.state !== 'open'
+    );
+  }
+
   // Stop health checks
   stopHealthChecks() {
     if (this.healthCheckInterval) {
@@ -0,0 +1,75 @@
+// Base Provider - Shared behaviour for model backend adapters
+const axios = require('axios');
+
+class BaseProvider {
+  constructor(type) {
+    this.type = type;
+  }
+
+  // Check a model config for fields this provider needs; returns a list of problems
+  validateConfig(config) {
+    const errors = [];
+    if (!config.endpoint || typeof config.endpoint !== 'string') {
+      errors.push('endpoint is required');
+    }
+    return errors;
+  }
+
+  // Request headers for a model endpoint
+  buildHeaders(model) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (model.apiKey) {
+      headers.Authorization = `Bearer ${model.apiKey}`;
+    }
+    return headers;
+  }
+
+  // Whether the endpoint takes a messages array and applies its own chat template
+  acceptsMessages() {
+    return false;
+  }
+
+  // URL probed by health checks
+  getHealthUrl(model) {
+    return model.healthEndpoint || `${model.endpoint.replace(/\/$/, '')}/health`;
+  }
+
+  // Probe a model endpoint; resolves if reachable, rejects otherwise
+  async checkHealth(model, { timeout } = {}) {
+    await axios.get(this.getHealthUrl(model), {
+      headers: this.buildHeaders(model),
+      timeout
+    });
+  }
+
+  // Run a completion; resolves to { text, finishReason, usage, modelId }
+  async complete(model) {
+    throw new Error(`Provider ${this.type} does not implement complete()`);
+  }
+
+  // Embed a batch of texts; resolves to { embeddings, usage, modelId }
+  async embed(model) {
+    throw new Error(`Provider ${this.type} does not implement embed()`);
+  }
+
+  // Turn text into speech; resolves to { audio, mimeType, modelId }
+  async synthesize(model) {
+    throw new Error(`Provider ${this.type} does not implement synthesize()`);
+  }
+
+  // Transcribe audio; resolves to { text, language, modelId }
+  async transcribe(model) {
+    throw new Error(`Provider ${this.type} does not implement transcribe()`);
+  }
+
+  // Stream a completion through onToken; providers without native streaming emit the whole reply at once
+  async stream(model, request, onToken, options = {}) {
+    const result = await this.complete(model, request, options);
+    if (result.text) {
+      onToken(result.text);
+    }
+    return result;
+  }
+}
+
+module.exports = BaseProvider;
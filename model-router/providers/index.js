@@ -0,0 +1,28 @@
+// Provider registry - Maps a model's "provider" setting to its adapter
+const OpenAICompatibleProvider = require('./openai-compatible');
+const RunPodProvider = require('./runpod');
+const RawCompletionProvider = require('./raw-completion');
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.type, provider);
+}
+
+function getProvider(type) {
+  return providers.get(type) || null;
+}
+
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+registerProvider(new OpenAICompatibleProvider());
+registerProvider(new RunPodProvider());
+registerProvider(new RawCompletionProvider());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,293 @@
+// OpenAI-compatible Provider - /v1/completions, /chat/completions, /embeddings, /audio/speech and
+// /audio/transcriptions endpoints (vLLM, OpenRouter, TEI, Kokoro-FastAPI, faster-whisper, ...)
+const axios = require('axios');
+const FormData = require('form-data');
+const logger = require('../../utils/logger');
+const BaseProvider = require('./base-provider');
+const { fromNativeToolCalls } = require('../tool-calls');
+
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor() {
+    super('openai-compatible');
+  }
+
+  validateConfig(config) {
+    const errors = super.validateConfig(config);
+    if (config.endpoint && !this.getEndpointFormat(config)) {
+      errors.push('endpoint must end in /completions, /chat/completions, /embeddings, /audio/speech or /audio/transcriptions');
+    }
+    return errors;
+  }
+
+  // Detect the API flavour from the endpoint URL
+  getEndpointFormat(model) {
+    if (/\/chat\/completions\/?$/.test(model.endpoint)) return 'chat';
+    if (/\/completions\/?$/.test(model.endpoint)) return 'completion';
+    if (/\/embeddings\/?$/.test(model.endpoint)) return 'embeddings';
+    if (/\/audio\/speech\/?$/.test(model.endpoint)) return 'speech';
+    if (/\/audio\/transcriptions\/?$/.test(model.endpoint)) return 'transcription';
+    return null;
+  }
+
+  acceptsMessages(model) {
+    return this.getEndpointFormat(model) === 'chat';
+  }
+
+  // OpenAI-compatible servers list their models at /v1/models
+  getHealthUrl(model) {
+    return model.healthEndpoint || model.endpoint.replace(/\/((chat\/)?completions|embeddings|audio\/(speech|transcriptions))\/?$/, '/models');
+  }
+
+  // Build the request body for the endpoint
+  buildPayload(model, request, format) {
+    const payload = {
+      model: model.modelId || model.name,
+      max_tokens: request.maxTokens || 500,
+      temperature: request.temperature ?? 0.7
+    };
+
+    if (request.topP != null) payload.top_p = request.topP;
+    if (request.seed != null) payload.seed = request.seed;
+    if (request.stop?.length) payload.stop = request.stop;
+
+    // JSON mode, for backends that declare support via structuredOutput in the model config
+    if (request.jsonSchema && model.structuredOutput === 'json_schema') {
+      payload.response_format = {
+        type: 'json_schema',
+        json_schema: { name: request.schemaName || 'response', schema: request.jsonSchema }
+      };
+    } else if (request.jsonSchema && model.structuredOutput === 'json_object') {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    if (format === 'chat') {
+      payload.messages = request.messages || [{ role: 'user', content: request.prompt }];
+      if (request.tools?.length) {
+        payload.tools = request.tools;
+        payload.tool_choice = request.toolChoice || 'auto';
+      }
+    } else {
+      payload.prompt = request.prompt;
+    }
+
+    return payload;
+  }
+
+  async complete(model, request, { timeout, signal } = {}) {
+    const format = this.getEndpointFormat(model);
+    if (format !== 'chat' && format !== 'completion') {
+      throw new Error(`Model ${model.name} is an ${format} endpoint and can't generate text`);
+    }
+    const response = await axios.post(
+      model.endpoint,
+      this.buildPayload(model, request, format),
+      { headers: this.buildHeaders(model), timeout, signal }
+    );
+
+    const choice = response.data?.choices?.[0];
+    if (!choice) {
+      throw new Error(`Model ${model.name} returned no choices`);
+    }
+
+    return {
+      text: (format === 'chat' ? choice.message?.content : choice.text) || '',
+      toolCalls: format === 'chat' ? fromNativeToolCalls(choice.message?.tool_calls) : [],
+      finishReason: choice.finish_reason || null,
+      usage: response.data.usage || null,
+      modelId: response.data.model || model.modelId
+    };
+  }
+
+  async embed(model, texts, { timeout, signal } = {}) {
+    if (this.getEndpointFormat(model) !== 'embeddings') {
+      throw new Error(`Model ${model.name} endpoint is not an /embeddings endpoint`);
+    }
+
+    const response = await axios.post(
+      model.endpoint,
+      { model: model.modelId || model.name, input: texts },
+      { headers: this.buildHeaders(model), timeout, signal }
+    );
+
+    const data = response.data?.data;
+    if (!Array.isArray(data) || data.length !== texts.length) {
+      throw new Error(`Model ${model.name} returned ${data?.length ?? 0} embeddings for ${texts.length} inputs`);
+    }
+
+    return {
+      // Servers may return items out of order; index ties each vector to its input
+      embeddings: [...data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      usage: response.data.usage || null,
+      modelId: response.data.model || model.modelId
+    };
+  }
+
+  // OpenAI's speech API; model.voice is the default speaker for servers that need one
+  async synthesize(model, { text, voice, speed, format = 'wav' }, { timeout, signal } = {}) {
+    if (this.getEndpointFormat(model) !== 'speech') {
+      throw new Error(`Model ${model.name} endpoint is not an /audio/speech endpoint`);
+    }
+
+    const payload = {
+      model: model.modelId || model.name,
+      input: text,
+      voice: voice || model.voice || 'alloy',
+      response_format: format
+    };
+    if (speed != null) payload.speed = speed;
+
+    const response = await axios.post(model.endpoint, payload, {
+      headers: this.buildHeaders(model),
+      timeout,
+      signal,
+      responseType: 'arraybuffer'
+    });
+
+    const audio = Buffer.from(response.data);
+    if (audio.length === 0) {
+      throw new Error(`Model ${model.name} returned no audio`);
+    }
+
+    return {
+      audio,
+      mimeType: String(response.headers?.['content-type'] || '').split(';')[0] || null,
+      modelId: model.modelId
+    };
+  }
+
+  // OpenAI's transcription API, sent as multipart form data
+  async transcribe(model, { audio, filename = 'audio.wav', mimeType = 'audio/wav', language, prompt }, { timeout, signal } = {}) {
+    if (this.getEndpointFormat(model) !== 'transcription') {
+      throw new Error(`Model ${model.name} endpoint is not an /audio/transcriptions endpoint`);
+    }
+
+    const form = new FormData();
+    form.append('file', audio, { filename, contentType: mimeType });
+    form.append('model', model.modelId || model.name);
+    form.append('response_format', 'json');
+    if (language) form.append('language', language);
+    if (prompt) form.append('prompt', prompt);
+
+    const response = await axios.post(model.endpoint, form, {
+      headers: { ...this.buildHeaders(model), ...form.getHeaders() },
+      timeout,
+      signal,
+      maxBodyLength: Infinity
+    });
+
+    if (typeof response.data?.text !== 'string') {
+      throw new Error(`Model ${model.name} returned no transcript`);
+    }
+
+    return {
+      text: response.data.text.trim(),
+      language: response.data.language || language || null,
+      modelId: model.modelId
+    };
+  }
+
+  // idleTimeout aborts a stream that stops sending data after the response has started
+  async stream(model, request, onToken, { timeout, idleTimeout = timeout, signal } = {}) {
+    const format = this.getEndpointFormat(model);
+    if (format !== 'chat' && format !== 'completion') {
+      throw new Error(`Model ${model.name} is an ${format} endpoint and can't generate text`);
+    }
+    const payload = {
+      ...this.buildPayload(model, request, format),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    // Our own controller, so the idle timer can abort the request as well as the caller
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal?.aborted) abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    const result = { text: '', toolCalls: [], finishReason: null, usage: null, modelId: model.modelId };
+    // Native tool calls arrive as fragments keyed by index; arguments are concatenated
+    const toolCalls = [];
+    let idleTimer = null;
+
+    try {
+      const response = await axios.post(model.endpoint, payload, {
+        headers: this.buildHeaders(model),
+        timeout,
+        responseType: 'stream',
+        signal: controller.signal
+      });
+
+      await new Promise((resolve, reject) => {
+        let buffer = '';
+
+        const resetIdleTimer = () => {
+          clearTimeout(idleTimer);
+          if (!idleTimeout) return;
+          idleTimer = setTimeout(() => {
+            reject(new Error(`Model ${model.name} stream sent nothing for ${idleTimeout}ms`));
+            abort();
+            response.data.destroy();
+          }, idleTimeout);
+        };
+        resetIdleTimer();
+
+        response.data.on('data', (chunk) => {
+          resetIdleTimer();
+          buffer += chunk.toString('utf8');
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            const event = this.parseStreamLine(line);
+            if (!event) continue;
+
+            const choice = event.choices?.[0];
+            const token = format === 'chat' ? choice?.delta?.content : choice?.text;
+            if (token) {
+              result.text += token;
+              onToken(token);
+            }
+            for (const fragment of choice?.delta?.tool_calls || []) {
+              const index = fragment.index ?? toolCalls.length;
+              const call = toolCalls[index] || (toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+              if (fragment.id) call.id = fragment.id;
+              if (fragment.function?.name) call.function.name += fragment.function.name;
+              if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+            }
+            if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+            if (event.usage) result.usage = event.usage;
+            if (event.model) result.modelId = event.model;
+          }
+        });
+
+        response.data.on('end', resolve);
+        response.data.on('error', reject);
+      });
+
+    } finally {
+      clearTimeout(idleTimer);
+      signal?.removeEventListener('abort', abort);
+    }
+
+    result.toolCalls = fromNativeToolCalls(toolCalls.filter(Boolean));
+    return result;
+  }
+
+  // Parse one Server-Sent Events line from the stream
+  parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return null;
+
+    const data = trimmed.slice(5).trim();
+    if (!data || data === '[DONE]') return null;
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      logger.debug('Skipping malformed stream line', { line: trimmed.substring(0, 100) });
+      return null;
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,57 @@
+// Raw Completion Provider - Plain HTTP completion APIs (e.g. text-generation-inference /generate)
+const axios = require('axios');
+const BaseProvider = require('./base-provider');
+
+class RawCompletionProvider extends BaseProvider {
+  constructor() {
+    super('raw-completion');
+  }
+
+  // Build the request body; field names come from the model config so one adapter fits most servers:
+  //   promptField (default "prompt"), parametersField (nest parameters under this key),
+  //   maxTokensField (default "max_tokens")
+  buildPayload(model, request) {
+    const parameters = {
+      [model.maxTokensField || 'max_tokens']: request.maxTokens || 500,
+      temperature: request.temperature ?? 0.7
+    };
+    if (request.topP != null) parameters.top_p = request.topP;
+    if (request.seed != null) parameters.seed = request.seed;
+    if (request.stop?.length) parameters.stop = request.stop;
+
+    const payload = { [model.promptField || 'prompt']: request.prompt };
+    if (model.parametersField) {
+      payload[model.parametersField] = parameters;
+    } else {
+      Object.assign(payload, parameters);
+    }
+    return payload;
+  }
+
+  async complete(model, request, { timeout, signal } = {}) {
+    const response = await axios.post(model.endpoint, this.buildPayload(model, request), {
+      headers: this.buildHeaders(model),
+      timeout,
+      signal
+    });
+
+    const text = this.getPath(response.data, model.responsePath || 'text');
+    if (typeof text !== 'string') {
+      throw new Error(`Model ${model.name} response has no text at "${model.responsePath || 'text'}"`);
+    }
+
+    return {
+      text,
+      finishReason: null,
+      usage: null,
+      modelId: model.modelId || model.name
+    };
+  }
+
+  // Read a dotted path such as "0.generated_text" from a response body
+  getPath(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+  }
+}
+
+module.exports = RawCompletionProvider;
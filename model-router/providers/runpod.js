@@ -0,0 +1,179 @@
+// RunPod Provider - RunPod serverless endpoints, directly or through the runpod-proxy service
+const axios = require('axios');
+const BaseProvider = require('./base-provider');
+
+class RunPodProvider extends BaseProvider {
+  constructor() {
+    super('runpod');
+  }
+
+  validateConfig(config) {
+    const errors = super.validateConfig(config);
+    if (!config.apiKey && !config.endpointName) {
+      errors.push('endpointName is required when calling through runpod-proxy (no apiKey set)');
+    }
+    if (config.asyncJobs && config.apiKey) {
+      errors.push('asyncJobs runs through runpod-proxy; remove apiKey to use it');
+    }
+    return errors;
+  }
+
+  // With an apiKey the endpoint is a RunPod serverless URL (https://api.runpod.ai/v2/<id>);
+  // without one it is the runpod-proxy service, which holds the key
+  isDirect(model) {
+    return !!model.apiKey;
+  }
+
+  // The proxy authenticates callers with their own key (proxyApiKey) and takes an allow-listed endpointName
+  buildHeaders(model) {
+    const headers = super.buildHeaders(model);
+    if (!this.isDirect(model) && model.proxyApiKey) {
+      headers['X-API-Key'] = model.proxyApiKey;
+    }
+    return headers;
+  }
+
+  async complete(model, request, { timeout, signal } = {}) {
+    const baseUrl = model.endpoint.replace(/\/$/, '');
+    const input = {
+      prompt: request.prompt,
+      max_tokens: request.maxTokens || 500,
+      temperature: request.temperature ?? 0.7
+    };
+    if (request.topP != null) input.top_p = request.topP;
+    if (request.seed != null) input.seed = request.seed;
+    if (request.stop?.length) input.stop = request.stop;
+
+    let output;
+    if (this.isDirect(model)) {
+      const response = await axios.post(`${baseUrl}/runsync`, { input }, {
+        headers: this.buildHeaders(model),
+        timeout,
+        signal
+      });
+      output = response.data;
+    } else if (model.asyncJobs) {
+      output = await this.runJob(model, input, { timeout, signal });
+    } else {
+      const response = await axios.post(`${baseUrl}/generate`, {
+        prompt: input.prompt,
+        endpoint: model.endpointName,
+        maxTokens: input.max_tokens,
+        temperature: input.temperature,
+        topP: input.top_p,
+        seed: input.seed,
+        stop: input.stop,
+        model: model.modelId || 'default'
+      }, {
+        headers: this.buildHeaders(model),
+        timeout,
+        signal
+      });
+      output = response.data?.data;
+    }
+
+    if (output?.status && output.status !== 'COMPLETED') {
+      throw new Error(`RunPod job ${output.id || ''} ended with status ${output.status}`.trim());
+    }
+
+    return {
+      text: this.extractText(output?.output),
+      finishReason: null,
+      usage: output?.output?.usage || null,
+      modelId: model.modelId || model.endpointName
+    };
+  }
+
+  // Submit an async job to runpod-proxy and follow its event stream until it finishes.
+  // The job is cancelled if the request is aborted or runs past the timeout
+  async runJob(model, input, { timeout, signal, onProgress, type = 'text' } = {}) {
+    const baseUrl = model.endpoint.replace(/\/$/, '');
+    const submitted = await axios.post(`${baseUrl}/jobs`, {
+      endpoint: model.endpointName,
+      input,
+      type
+    }, {
+      headers: this.buildHeaders(model),
+      timeout: 30000,
+      signal
+    });
+    const jobId = submitted.data.data.id;
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+    const timer = timeout ? setTimeout(abort, timeout) : null;
+
+    try {
+      const response = await axios.get(`${baseUrl}/jobs/${jobId}/events`, {
+        headers: this.buildHeaders(model),
+        responseType: 'stream',
+        signal: controller.signal
+      });
+
+      return await new Promise((resolve, reject) => {
+        let buffer = '';
+        let event = null;
+        let finished = null;
+
+        // Errors thrown in stream listeners would escape the promise, so every failure goes through here
+        const fail = (error) => {
+          response.data.destroy();
+          reject(error);
+        };
+
+        response.data.on('data', (chunk) => {
+          buffer += chunk.toString('utf8');
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            if (line.startsWith('event:')) {
+              event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+              let job;
+              try {
+                job = JSON.parse(line.slice(5));
+              } catch (error) {
+                return fail(new Error(`RunPod job ${jobId} sent a malformed event: ${error.message}`));
+              }
+              if (event === 'done') finished = job;
+              else if (onProgress && job.progress != null) onProgress(job.progress);
+            }
+          }
+        });
+
+        response.data.on('end', () => {
+          if (finished) resolve(finished);
+          else reject(new Error(`RunPod job ${jobId} stream ended before the job finished`));
+        });
+        response.data.on('error', fail);
+      });
+
+    } catch (error) {
+      // The job keeps running on RunPod unless it is cancelled; cancelling a finished job is a no-op
+      await axios.post(`${baseUrl}/jobs/${jobId}/cancel`, {}, { headers: this.buildHeaders(model), timeout: 10000 })
+        .catch(() => {});
+      if (controller.signal.aborted) {
+        throw new Error(signal?.aborted ? `RunPod job ${jobId} cancelled` : `RunPod job ${jobId} timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  // RunPod workers return text in several shapes; vLLM workers nest it in choices/tokens
+  extractText(output) {
+    if (output == null) return '';
+    if (typeof output === 'string') return output;
+    if (Array.isArray(output)) return output.map(item => this.extractText(item)).join('');
+    if (output.choices) {
+      return output.choices.map(choice => choice.text ?? (choice.tokens || []).join('')).join('');
+    }
+    return output.text || output.generated_text || '';
+  }
+}
+
+module.exports = RunPodProvider;
@@ -0,0 +1,81 @@
+// Response Cache - Redis-backed model response cache with in-flight request de-duplication
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { setCache, getCache } = require('../utils/redis');
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl || 3600;
+    this.prefix = options.prefix || 'model-cache';
+    this.inflight = new Map();
+  }
+
+  // Collapse whitespace so trivially different prompts share an entry
+  normalizeText(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Key on the requested model, capability, prompt (or chat messages) and sampling parameters
+  buildKey(request, capability) {
+    const parts = {
+      model: request.model || 'auto',
+      capability,
+      prompt: request.messages
+        ? request.messages.map(m => `${m.role}:${this.normalizeText(m.content)}`)
+        : this.normalizeText(request.prompt),
+      temperature: request.temperature ?? null,
+      maxTokens: request.maxTokens ?? null,
+      topP: request.topP ?? null,
+      stop: request.stop ?? null,
+      seed: request.seed ?? null
+    };
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    return `${this.prefix}:${hash}`;
+  }
+
+  // Cache failures never fail the request; they just mean a miss
+  async get(key) {
+    return await getCache(key);
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    try {
+      await setCache(key, value, ttl);
+    } catch (error) {
+      logger.warn('Failed to store model response in cache', { key, error: error.message });
+    }
+  }
+
+  // Serve from cache, or run fn once for all concurrent callers with the same key.
+  // Each caller gets its own copy of the result with cache metadata attached.
+  async wrap(key, fn, ttl = this.ttl) {
+    const cached = await this.get(key);
+    if (cached) {
+      logger.debug('Model cache hit', { key });
+      return { ...cached, cache: { status: 'hit', hit: true, key } };
+    }
+
+    if (this.inflight.has(key)) {
+      logger.debug('Joining in-flight model request', { key });
+      const shared = await this.inflight.get(key);
+      return { ...shared, cache: { status: 'shared', hit: false, key } };
+    }
+
+    const pending = (async () => {
+      const result = await fn();
+      await this.set(key, result, ttl);
+      return result;
+    })();
+
+    this.inflight.set(key, pending);
+    try {
+      const result = await pending;
+      return { ...result, cache: { status: 'miss', hit: false, key, ttl } };
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,117 @@
+// Tool Calls - OpenAI-style tool definitions, and a prompt-based fallback for endpoints without native tool calling
+const { v4: uuidv4 } = require('uuid');
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Check a list of OpenAI-style tool definitions; returns a list of problems
+function validateTools(tools) {
+  if (!Array.isArray(tools)) return ['tools must be an array'];
+
+  const errors = [];
+  tools.forEach((tool, i) => {
+    const fn = tool?.function;
+    if (tool?.type !== 'function' || !fn) {
+      errors.push(`tools[${i}] must be { type: 'function', function: { name, description, parameters } }`);
+    } else if (!TOOL_NAME_PATTERN.test(fn.name || '')) {
+      errors.push(`tools[${i}].function.name must be 1-64 letters, digits, _ or -`);
+    } else if (fn.parameters && typeof fn.parameters !== 'object') {
+      errors.push(`tools[${i}].function.parameters must be a JSON schema object`);
+    }
+  });
+  return errors;
+}
+
+// System prompt section describing the tools and the <tool_call> reply format
+function buildToolPrompt(tools) {
+  const definitions = tools.map(tool => JSON.stringify({
+    name: tool.function.name,
+    description: tool.function.description,
+    parameters: tool.function.parameters || { type: 'object', properties: {} }
+  }));
+
+  return [
+    'You can call these tools:',
+    ...definitions,
+    'To call a tool, reply with one line per call in the form',
+    '<tool_call>{"name": "tool_name", "arguments": {...}}</tool_call>',
+    'and nothing else. Tool results come back in <tool_response> blocks. Answer normally when no tool is needed.'
+  ].join('\n');
+}
+
+// Arguments arrive as a JSON string from native tool calling; unparseable arguments are kept raw for the error message
+function parseArguments(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value || '{}');
+  } catch (error) {
+    return { _raw: value };
+  }
+}
+
+// Normalise native tool_calls from a chat completion into { id, name, arguments }
+function fromNativeToolCalls(toolCalls = []) {
+  return toolCalls
+    .filter(call => call.function?.name)
+    .map(call => ({
+      id: call.id || `call_${uuidv4()}`,
+      name: call.function.name,
+      arguments: parseArguments(call.function.arguments)
+    }));
+}
+
+// Pull <tool_call> blocks out of model text; returns the remaining text and the calls
+function parseToolCalls(text) {
+  const toolCalls = [];
+  const remaining = String(text || '').replace(/<tool_call>([\s\S]*?)(<\/tool_call>|$)/g, (match, body) => {
+    try {
+      const call = JSON.parse(body.trim());
+      if (call.name) {
+        toolCalls.push({ id: `call_${uuidv4()}`, name: call.name, arguments: call.arguments || {} });
+        return '';
+      }
+    } catch (error) {
+      // Not a well-formed call; leave the text as the model wrote it
+    }
+    return match;
+  });
+
+  return { text: remaining.trim(), toolCalls };
+}
+
+// Assistant message recording the calls, in OpenAI wire format
+function toAssistantMessage(text, toolCalls) {
+  return {
+    role: 'assistant',
+    content: text || '',
+    tool_calls: toolCalls.map(call => ({
+      id: call.id,
+      type: 'function',
+      function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+    }))
+  };
+}
+
+// Rewrite tool traffic as plain assistant / user turns for prompt-based endpoints
+function flattenToolMessages(messages) {
+  return messages.map((m) => {
+    if (m.role === 'assistant' && m.tool_calls?.length) {
+      const calls = m.tool_calls.map(call =>
+        `<tool_call>{"name": ${JSON.stringify(call.function.name)}, "arguments": ${call.function.arguments}}</tool_call>`
+      );
+      return { role: 'assistant', content: [m.content, ...calls].filter(Boolean).join('\n') };
+    }
+    if (m.role === 'tool') {
+      return { role: 'user', content: `<tool_response name="${m.name || ''}">\n${m.content}\n</tool_response>` };
+    }
+    return m;
+  });
+}
+
+module.exports = {
+  validateTools,
+  buildToolPrompt,
+  fromNativeToolCalls,
+  parseToolCalls,
+  toAssistantMessage,
+  flattenToolMessages
+};
@@ -0,0 +1,160 @@
+// Usage Tracker - Records token counts, latency and estimated cost for every model call
+const logger = require('../utils/logger');
+const { query } = require('../utils/database');
+
+const PERIODS = {
+  '1h': '1 hour',
+  '24h': '24 hours',
+  '7d': '7 days',
+  '30d': '30 days'
+};
+
+class UsageTracker {
+  // Rough token estimate (~4 characters per token) for backends that don't report usage
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  // Token counts from the provider's usage block, falling back to estimates
+  countTokens(request, result) {
+    const usage = result.metadata?.usage;
+    if (usage && (usage.prompt_tokens != null || usage.completion_tokens != null)) {
+      return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        estimated: false
+      };
+    }
+
+    let promptText = request.prompt;
+    if (request.messages) {
+      promptText = request.messages.map(m => m.content).join('\n');
+    } else if (request.input) {
+      promptText = request.input.join('\n');
+    }
+
+    return {
+      promptTokens: this.estimateTokens(promptText),
+      completionTokens: this.estimateTokens(result.text),
+      estimated: true
+    };
+  }
+
+  // Cost in USD from the model's pricing config (USD per 1M prompt / completion tokens)
+  estimateCost(model, promptTokens, completionTokens) {
+    const pricing = model?.pricing;
+    if (!pricing) return 0;
+
+    const promptPrice = Number(pricing.prompt) || 0;
+    const completionPrice = Number(pricing.completion) || 0;
+    return (promptTokens * promptPrice + completionTokens * completionPrice) / 1000000;
+  }
+
+  // Build a usage entry for a routed request
+  buildEntry(model, request, result, capability) {
+    const { promptTokens, completionTokens, estimated } = this.countTokens(request, result);
+    const cached = result.cache?.status === 'hit' || result.cache?.status === 'shared';
+
+    return {
+      model: result.model,
+      capability,
+      characterId: request.characterId || null,
+      apiKeyId: request.apiKeyId || null,
+      userId: request.userId || null,
+      promptTokens,
+      completionTokens,
+      latency: Math.round(result.responseTime || 0),
+      // Responses served from cache didn't cost an upstream call
+      cost: cached ? 0 : this.estimateCost(model, promptTokens, completionTokens),
+      estimated,
+      cached
+    };
+  }
+
+  // Persist a usage entry; failures are logged and never break the request
+  async record(entry) {
+    try {
+      await query(
+        `INSERT INTO usage_tracking (user_id, character_id, api_key_id, tool, action, amount, model,
+                                     prompt_tokens, completion_tokens, latency_ms, cost_usd, metadata)
+         VALUES ($1, $2, $3, 'model-router', $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          entry.userId,
+          entry.characterId,
+          entry.apiKeyId,
+          entry.capability,
+          entry.promptTokens + entry.completionTokens,
+          entry.model,
+          entry.promptTokens,
+          entry.completionTokens,
+          entry.latency,
+          entry.cost,
+          JSON.stringify({ estimated: entry.estimated, cached: entry.cached })
+        ]
+      );
+    } catch (error) {
+      logger.warn('Failed to record model usage', { model: entry.model, error: error.message });
+    }
+  }
+
+  // Aggregate usage for a period, optionally filtered by character or API key
+  async getUsageSummary({ period = '24h', characterId, apiKeyId } = {}) {
+    const interval = PERIODS[period];
+    if (!interval) {
+      throw new Error(`Unsupported period: ${period}. Use one of ${Object.keys(PERIODS).join(', ')}`);
+    }
+
+    const params = [interval];
+    let whereClause = `WHERE tool = 'model-router' AND timestamp >= NOW() - $1::interval`;
+
+    if (characterId) {
+      params.push(characterId);
+      whereClause += ` AND character_id = $${params.length}`;
+    }
+
+    if (apiKeyId) {
+      params.push(apiKeyId);
+      whereClause += ` AND api_key_id = $${params.length}`;
+    }
+
+    const columns = `COUNT(*)::int AS calls,
+      COALESCE(SUM(prompt_tokens), 0)::int AS prompt_tokens,
+      COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+      COALESCE(SUM(cost_usd), 0)::float AS cost_usd,
+      COALESCE(AVG(latency_ms), 0)::int AS avg_latency_ms`;
+
+    const grouped = (groupColumn) => query(
+      `SELECT ${groupColumn} AS key, ${columns} FROM usage_tracking ${whereClause}
+       GROUP BY ${groupColumn} ORDER BY cost_usd DESC, calls DESC`,
+      params
+    );
+
+    const [totals, byModel, byCharacter, byApiKey] = await Promise.all([
+      query(`SELECT ${columns} FROM usage_tracking ${whereClause}`, params),
+      grouped('model'),
+      grouped('character_id'),
+      grouped('api_key_id')
+    ]);
+
+    const format = (row) => ({
+      calls: row.calls,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      totalTokens: row.prompt_tokens + row.completion_tokens,
+      costUsd: Number(row.cost_usd.toFixed(6)),
+      avgLatencyMs: row.avg_latency_ms
+    });
+
+    return {
+      period,
+      totals: format(totals.rows[0]),
+      byModel: byModel.rows.map(row => ({ model: row.key, ...format(row) })),
+      byCharacter: byCharacter.rows.map(row => ({ characterId: row.key, ...format(row) })),
+      byApiKey: byApiKey.rows.map(row => ({ apiKeyId: row.key, ...format(row) }))
+    };
+  }
+}
+
+UsageTracker.PERIODS = PERIODS;
+
+module.exports = UsageTracker;
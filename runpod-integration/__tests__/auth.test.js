@@ -0,0 +1,118 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createAuthenticator, createEventTokens, createRateLimiter, resolveEndpoint, listEndpoints } = require('../auth');
+const GpuBudget = require('../gpu-budget');
+
+const config = {
+  endpoints: {
+    text: { name: 'text', endpointId: 'ep-text', estimatedSeconds: 10 },
+    image: { name: 'image', endpointId: 'ep-image', estimatedSeconds: 30 }
+  },
+  defaults: { rateLimit: 60, gpuSecondsPerDay: 3600, endpoints: ['text'] },
+  clients: {
+    app: { id: 'app', apiKey: 'app-key', rateLimit: 2, gpuSecondsPerDay: 40, endpoints: ['*'] },
+    partner: { id: 'partner', rateLimit: 60, gpuSecondsPerDay: 3600, endpoints: ['image'] }
+  }
+};
+
+describe('proxy authentication', () => {
+  const jwtSecret = 'jwt-secret';
+  let eventTokens;
+  let app;
+
+  beforeEach(() => {
+    eventTokens = createEventTokens();
+    app = express();
+    app.use(createAuthenticator(config, { jwtSecret, eventTokens }));
+    app.use(createRateLimiter());
+    app.get('/whoami', (req, res) => res.json({ id: req.client.id }));
+    app.get('/jobs/:id/events', (req, res) => res.json({ id: req.client.id }));
+  });
+
+  test('requires credentials', async () => {
+    const response = await request(app).get('/whoami');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('API key or bearer token required');
+  });
+
+  test('accepts a client API key as X-API-Key or a bearer token', async () => {
+    expect((await request(app).get('/whoami').set('X-API-Key', 'app-key')).body).toEqual({ id: 'app' });
+    expect((await request(app).get('/whoami').set('Authorization', 'Bearer app-key')).body).toEqual({ id: 'app' });
+    expect((await request(app).get('/whoami').set('X-API-Key', 'wrong')).status).toBe(401);
+  });
+
+  test('accepts JWTs whose subject names a client, giving unknown subjects the defaults', async () => {
+    const partner = jwt.sign({ sub: 'partner' }, jwtSecret);
+    const stranger = jwt.sign({ sub: 'stranger' }, jwtSecret);
+
+    expect((await request(app).get('/whoami').set('Authorization', `Bearer ${partner}`)).body).toEqual({ id: 'partner' });
+    expect((await request(app).get('/whoami').set('Authorization', `Bearer ${stranger}`)).body).toEqual({ id: 'stranger' });
+  });
+
+  test('rejects JWTs with a bad signature or no subject', async () => {
+    const forged = jwt.sign({ sub: 'app' }, 'other-secret');
+    const anonymous = jwt.sign({ scope: 'all' }, jwtSecret);
+
+    const response = await request(app).get('/whoami').set('Authorization', `Bearer ${forged}`);
+    expect(response.status).toBe(401);
+    expect(response.body.error).toMatch(/^Invalid token/);
+    expect((await request(app).get('/whoami').set('Authorization', `Bearer ${anonymous}`)).body.error).toBe('Token has no subject');
+  });
+
+  test('accepts event tokens only on the event stream they were issued for', async () => {
+    const token = eventTokens.issue(config.clients.app, '/jobs/job-1/events');
+
+    expect((await request(app).get(`/jobs/job-1/events?token=${token}`)).body).toEqual({ id: 'app' });
+    expect((await request(app).get(`/jobs/job-2/events?token=${token}`)).status).toBe(403);
+    expect((await request(app).get(`/whoami?token=${token}`)).status).toBe(401);
+    // Event tokens are signed with their own key, so they don't work as API JWTs
+    expect((await request(app).get('/whoami').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+  });
+
+  test('rate limits each client separately', async () => {
+    const partner = jwt.sign({ sub: 'partner' }, jwtSecret);
+
+    await request(app).get('/whoami').set('X-API-Key', 'app-key').expect(200);
+    await request(app).get('/whoami').set('X-API-Key', 'app-key').expect(200);
+    await request(app).get('/whoami').set('X-API-Key', 'app-key').expect(429);
+    await request(app).get('/whoami').set('Authorization', `Bearer ${partner}`).expect(200);
+  });
+});
+
+describe('resolveEndpoint', () => {
+  test('resolves the endpoints a client may use', () => {
+    expect(resolveEndpoint(config, config.clients.app, 'image')).toEqual(config.endpoints.image);
+    expect(listEndpoints(config, config.clients.app)).toEqual(['text', 'image']);
+    expect(listEndpoints(config, config.clients.partner)).toEqual(['image']);
+  });
+
+  test('rejects missing, unknown and disallowed endpoints', () => {
+    expect(() => resolveEndpoint(config, config.clients.partner)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => resolveEndpoint(config, config.clients.app, 'ep-text')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => resolveEndpoint(config, config.clients.partner, 'text')).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+});
+
+describe('GpuBudget', () => {
+  test('refuses requests whose estimate would exceed the daily allowance', () => {
+    const budget = new GpuBudget();
+    const client = config.clients.app;
+
+    budget.check(client, config.endpoints.image);
+    budget.record('app', 25);
+
+    expect(() => budget.check(client, config.endpoints.image)).toThrow(expect.objectContaining({ statusCode: 429 }));
+    expect(() => budget.check(client, config.endpoints.text)).not.toThrow();
+    expect(budget.getStats(client)).toEqual({ usedSeconds: 25, limitSeconds: 40, remainingSeconds: 15 });
+  });
+
+  test('starts each UTC day with a fresh allowance', () => {
+    const budget = new GpuBudget();
+    budget.usage.set('app', { day: '2000-01-01', seconds: 40 });
+
+    expect(budget.getUsed('app')).toBe(0);
+    expect(() => budget.check(config.clients.app, config.endpoints.image)).not.toThrow();
+  });
+});
@@ -0,0 +1,174 @@
+const http = require('http');
+const JobManager = require('../job-manager');
+
+// A stand-in for RunPod's serverless API; each test sets how it answers
+function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      const { status = 200, data = {} } = server.reply(req);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  server.requests = [];
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Resolve with the first job update matching the predicate
+function nextUpdate(manager, predicate) {
+  return new Promise(resolve => {
+    const unsubscribe = manager.subscribe(null, job => {
+      if (predicate(job)) {
+        unsubscribe();
+        resolve(job);
+      }
+    });
+  });
+}
+
+describe('JobManager', () => {
+  let server;
+  let manager;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server.requests = [];
+    server.reply = (req) => req.url.endsWith('/run') ? { data: { id: 'job-1', status: 'IN_QUEUE' } } : { data: { status: 'IN_QUEUE' } };
+    manager = new JobManager({
+      apiKey: 'runpod-key',
+      apiUrl: `http://127.0.0.1:${server.address().port}/v2`,
+      pollInterval: 10,
+      maxPollInterval: 20,
+      webhookUrl: 'https://proxy.example.com/webhooks/runpod',
+      webhookSecret: 'hook-secret'
+    });
+  });
+
+  afterEach(() => {
+    for (const timer of manager.timers.values()) clearTimeout(timer);
+    clearInterval(manager.cleanupTimer);
+    jest.restoreAllMocks();
+  });
+
+  function submit() {
+    return manager.submit({ endpointId: 'ep-123', endpoint: 'image', clientId: 'app', input: { prompt: 'a cat' }, type: 'image' });
+  }
+
+  test('submits to /run with the webhook URL and hides the RunPod endpoint ID', async () => {
+    const job = await submit();
+
+    expect(server.requests[0]).toMatchObject({
+      method: 'POST',
+      url: '/v2/ep-123/run',
+      headers: { authorization: 'Bearer runpod-key' },
+      body: { input: { prompt: 'a cat' }, webhook: 'https://proxy.example.com/webhooks/runpod?token=hook-secret' }
+    });
+    expect(job).toMatchObject({ id: 'job-1', endpoint: 'image', clientId: 'app', type: 'image', status: 'IN_QUEUE' });
+    expect(job).not.toHaveProperty('endpointId');
+    expect(manager.list({ clientId: 'app' })).toHaveLength(1);
+    expect(manager.list({ clientId: 'other' })).toHaveLength(0);
+  });
+
+  test('polls until the job finishes, reporting progress along the way', async () => {
+    const statuses = [
+      { status: 'IN_PROGRESS', output: { percent: 50 } },
+      { status: 'COMPLETED', output: { images: ['a.png'] }, executionTime: 1200 }
+    ];
+    server.reply = (req) => req.url.endsWith('/run')
+      ? { data: { id: 'job-1', status: 'IN_QUEUE' } }
+      : { data: statuses.shift() || { status: 'COMPLETED' } };
+    const progress = nextUpdate(manager, job => job.status === 'IN_PROGRESS');
+    const completed = nextUpdate(manager, job => job.status === 'COMPLETED');
+
+    await submit();
+
+    expect((await progress).progress).toEqual({ percent: 50 });
+    const job = await completed;
+    expect(job).toMatchObject({ output: { images: ['a.png'] }, executionTime: 1200 });
+    expect(job.completedAt).not.toBeNull();
+    expect(server.requests.some(request => request.url === '/v2/ep-123/status/job-1')).toBe(true);
+    expect(manager.timers.size).toBe(0);
+  });
+
+  test('fails a job RunPod no longer knows', async () => {
+    server.reply = (req) => req.url.endsWith('/run') ? { data: { id: 'job-1' } } : { status: 404 };
+    const failed = nextUpdate(manager, job => job.status === 'FAILED');
+
+    await submit();
+
+    expect((await failed).error).toBe('Job not found on RunPod');
+  });
+
+  test('times out and cancels jobs that run too long', async () => {
+    manager.jobTimeout = 1;
+    const timedOut = nextUpdate(manager, job => job.status === 'TIMED_OUT');
+
+    await submit();
+
+    expect((await timedOut).error).toBe('Job exceeded 0s');
+    expect(server.requests.some(request => request.url === '/v2/ep-123/cancel/job-1')).toBe(true);
+  });
+
+  describe('handleWebhook', () => {
+    test('rejects a wrong token', async () => {
+      await submit();
+
+      expect(() => manager.handleWebhook('wrong', { id: 'job-1', status: 'COMPLETED' }))
+        .toThrow(expect.objectContaining({ statusCode: 401 }));
+      expect(manager.get('job-1').status).toBe('IN_QUEUE');
+    });
+
+    test('applies the final status and ignores later updates', async () => {
+      await submit();
+
+      const job = manager.handleWebhook('hook-secret', { id: 'job-1', status: 'COMPLETED', output: { ok: true } });
+      expect(job).toMatchObject({ status: 'COMPLETED', output: { ok: true } });
+
+      manager.handleWebhook('hook-secret', { id: 'job-1', status: 'IN_PROGRESS' });
+      expect(manager.get('job-1').status).toBe('COMPLETED');
+      expect(manager.handleWebhook('hook-secret', { id: 'unknown', status: 'COMPLETED' })).toBeNull();
+    });
+  });
+
+  describe('cancel', () => {
+    test('cancels the job on RunPod', async () => {
+      await submit();
+
+      const job = await manager.cancel('job-1');
+
+      expect(job.status).toBe('CANCELLED');
+      expect(server.requests.at(-1)).toMatchObject({ method: 'POST', url: '/v2/ep-123/cancel/job-1' });
+    });
+
+    test('refuses unknown and finished jobs', async () => {
+      await expect(manager.cancel('missing')).rejects.toMatchObject({ statusCode: 404 });
+
+      await submit();
+      await manager.cancel('job-1');
+      await expect(manager.cancel('job-1')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  test('forgets finished jobs after the retention window', async () => {
+    await submit();
+    manager.handleWebhook('hook-secret', { id: 'job-1', status: 'COMPLETED' });
+
+    manager.cleanup();
+    expect(manager.get('job-1')).not.toBeNull();
+
+    manager.retention = -1;
+    manager.cleanup();
+    expect(manager.get('job-1')).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+// Proxy Auth - API key or JWT authentication, per-client rate limits and endpoint access
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Error carrying the HTTP status the routes should answer with
+function authError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// A client named by a token subject; unknown subjects get the defaults
+function clientForSubject(config, sub) {
+  return config.clients[sub] || { ...config.defaults, id: String(sub) };
+}
+
+// Resolve the caller to a client: an X-API-Key header or Bearer API key matching a configured client,
+// or a Bearer JWT signed with RUNPOD_PROXY_JWT_SECRET whose sub names the client (unknown subs get the defaults).
+// Browsers' EventSource can't send headers, so job event streams also accept an eventTokens ?token=
+function createAuthenticator(config, { jwtSecret, eventTokens } = {}) {
+  const clients = Object.values(config.clients);
+
+  function identify(req) {
+    if (eventTokens && req.query.token && /\/events$/.test(req.path)) {
+      return clientForSubject(config, eventTokens.verify(req.query.token, req.path));
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+    const apiKey = req.get('X-API-Key') || bearer;
+
+    if (!apiKey) {
+      throw authError('API key or bearer token required', 401);
+    }
+
+    const client = clients.find(candidate => candidate.apiKey && safeEqual(apiKey, candidate.apiKey));
+    if (client) return client;
+
+    if (jwtSecret && bearer.split('.').length === 3) {
+      let payload;
+      try {
+        payload = jwt.verify(bearer, jwtSecret, { algorithms: ['HS256'] });
+      } catch (error) {
+        throw authError(`Invalid token: ${error.message}`, 401);
+      }
+      if (!payload.sub) {
+        throw authError('Token has no subject', 401);
+      }
+      return clientForSubject(config, payload.sub);
+    }
+
+    throw authError('Invalid API key', 401);
+  }
+
+  return function authenticate(req, res, next) {
+    try {
+      req.client = identify(req);
+      next();
+    } catch (error) {
+      res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+  };
+}
+
+// Short-lived tokens for one event stream path, signed with a per-process key so they can't double as API JWTs
+function createEventTokens({ ttl = 60 } = {}) {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  return {
+    ttl,
+
+    issue(client, path) {
+      return jwt.sign({ sub: client.id, path }, secret, { algorithm: 'HS256', expiresIn: ttl });
+    },
+
+    // The client ID the token was issued to
+    verify(token, path) {
+      let payload;
+      try {
+        payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+      } catch (error) {
+        throw authError(`Invalid event token: ${error.message}`, 401);
+      }
+      if (payload.path !== path) {
+        throw authError('Event token was issued for another stream', 403);
+      }
+      return payload.sub;
+    }
+  };
+}
+
+// Requests per minute, counted per client rather than per IP
+function createRateLimiter() {
+  return rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => req.client.rateLimit,
+    keyGenerator: (req) => req.client.id,
+    message: {
+      error: 'Too many requests',
+      message: 'Rate limit exceeded. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+}
+
+// Look up a logical endpoint name the client may use; raw RunPod endpoint IDs are never accepted
+function resolveEndpoint(config, client, name) {
+  if (!name) {
+    throw authError(`endpoint is required. Use one of: ${listEndpoints(config, client).join(', ')}`, 400);
+  }
+
+  const endpoint = config.endpoints[name];
+  if (!endpoint) {
+    throw authError(`Unknown endpoint: ${name}`, 400);
+  }
+  if (!client.endpoints.includes('*') && !client.endpoints.includes(name)) {
+    throw authError(`Endpoint ${name} is not allowed for this client`, 403);
+  }
+  return endpoint;
+}
+
+function listEndpoints(config, client) {
+  return Object.keys(config.endpoints)
+    .filter(name => client.endpoints.includes('*') || client.endpoints.includes(name));
+}
+
+module.exports = {
+  createAuthenticator,
+  createEventTokens,
+  createRateLimiter,
+  resolveEndpoint,
+  listEndpoints
+};
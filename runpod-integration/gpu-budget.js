@@ -0,0 +1,49 @@
+// GPU Budget - Daily GPU-seconds allowance per client, checked before a request reaches RunPod
+class GpuBudget {
+  constructor() {
+    // clientId -> { day, seconds }; the allowance resets at midnight UTC
+    this.usage = new Map();
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  getUsed(clientId) {
+    const entry = this.usage.get(clientId);
+    return entry && entry.day === this.today() ? entry.seconds : 0;
+  }
+
+  // Throw a 429 if the endpoint's estimated run time would take the client past its daily budget
+  check(client, endpoint) {
+    const used = this.getUsed(client.id);
+    if (used + endpoint.estimatedSeconds > client.gpuSecondsPerDay) {
+      const error = new Error(
+        `GPU budget exhausted: ${Math.round(used)} of ${client.gpuSecondsPerDay} GPU-seconds used today`
+      );
+      error.statusCode = 429;
+      throw error;
+    }
+  }
+
+  // Charge the execution time RunPod reported for a finished job
+  record(clientId, seconds) {
+    if (!clientId || !(seconds > 0)) return;
+
+    const day = this.today();
+    const entry = this.usage.get(clientId);
+    const used = entry && entry.day === day ? entry.seconds : 0;
+    this.usage.set(clientId, { day, seconds: used + seconds });
+  }
+
+  getStats(client) {
+    const used = this.getUsed(client.id);
+    return {
+      usedSeconds: Math.round(used * 10) / 10,
+      limitSeconds: client.gpuSecondsPerDay,
+      remainingSeconds: Math.max(0, Math.round((client.gpuSecondsPerDay - used) * 10) / 10)
+    };
+  }
+}
+
+module.exports = GpuBudget;
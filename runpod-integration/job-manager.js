@@ -0,0 +1,276 @@
+// RunPod Job Manager - Async /run jobs tracked locally, kept current by polling and webhooks
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED', 'TIMED_OUT'];
+
+// Error carrying the HTTP status the routes should answer with
+function jobError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class JobManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || 'https://api.runpod.ai/v2';
+    this.pollInterval = options.pollInterval || 2000;
+    this.maxPollInterval = options.maxPollInterval || 30000;
+    this.jobTimeout = options.jobTimeout || 30 * 60 * 1000;
+    this.retention = options.retention || 60 * 60 * 1000;
+    this.maxJobs = options.maxJobs || 1000;
+
+    // RunPod webhooks aren't signed, so the callback URL carries a shared token
+    this.webhookUrl = options.webhookUrl || null;
+    this.webhookSecret = options.webhookSecret || crypto.randomBytes(24).toString('hex');
+
+    this.jobs = new Map();
+    this.timers = new Map();
+
+    // Every open progress stream is a listener
+    this.setMaxListeners(0);
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+  }
+
+  headers() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  // Job fields returned to clients; the raw RunPod endpoint ID stays inside the proxy
+  toJSON(job) {
+    const { pollDelay, pollFailures, endpointId, ...data } = job;
+    return data;
+  }
+
+  // Start a job with RunPod's async /run; progress arrives through polling and, when configured, webhooks
+  async submit({ endpointId, endpoint, clientId, input, type = 'generic', metadata = {} }) {
+    const body = { input };
+    if (this.webhookUrl) {
+      body.webhook = `${this.webhookUrl}?token=${this.webhookSecret}`;
+    }
+
+    const response = await axios.post(`${this.apiUrl}/${endpointId}/run`, body, {
+      headers: this.headers(),
+      timeout: 30000
+    });
+
+    const now = new Date().toISOString();
+    const job = {
+      id: response.data.id,
+      endpointId,
+      endpoint,
+      clientId,
+      type,
+      status: response.data.status || 'IN_QUEUE',
+      progress: null,
+      output: null,
+      error: null,
+      delayTime: null,
+      executionTime: null,
+      metadata,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      pollDelay: this.pollInterval,
+      pollFailures: 0
+    };
+
+    this.jobs.set(job.id, job);
+    console.log('RunPod job submitted:', { jobId: job.id, endpoint, clientId, type });
+
+    this.emitUpdate(job);
+    this.schedulePoll(job);
+    return this.toJSON(job);
+  }
+
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.toJSON(job) : null;
+  }
+
+  list({ clientId, status, type } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!clientId || job.clientId === clientId) && (!status || job.status === status) && (!type || job.type === type))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.toJSON(job));
+  }
+
+  schedulePoll(job) {
+    clearTimeout(this.timers.get(job.id));
+    const timer = setTimeout(() => this.poll(job.id), job.pollDelay);
+    timer.unref();
+    this.timers.set(job.id, timer);
+  }
+
+  // Poll RunPod for a job; the delay backs off while nothing changes and resets when it does
+  async poll(jobId) {
+    const job = this.jobs.get(jobId);
+    this.timers.delete(jobId);
+    if (!job || this.isTerminal(job.status)) return;
+
+    if (Date.now() - Date.parse(job.createdAt) > this.jobTimeout) {
+      await this.cancelRemote(job).catch(error => {
+        console.error('Failed to cancel timed out job:', { jobId, error: error.message });
+      });
+      this.apply(job, { status: 'TIMED_OUT', error: `Job exceeded ${Math.round(this.jobTimeout / 1000)}s` });
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${this.apiUrl}/${job.endpointId}/status/${jobId}`, {
+        headers: this.headers(),
+        timeout: 15000
+      });
+
+      job.pollFailures = 0;
+      const changed = this.apply(job, response.data);
+      job.pollDelay = changed ? this.pollInterval : Math.min(job.pollDelay * 1.5, this.maxPollInterval);
+
+    } catch (error) {
+      // RunPod forgets finished jobs after a while; anything else is retried with backoff
+      if (error.response?.status === 404) {
+        this.apply(job, { status: 'FAILED', error: 'Job not found on RunPod' });
+        return;
+      }
+
+      job.pollFailures += 1;
+      job.pollDelay = Math.min(job.pollDelay * 2, this.maxPollInterval);
+      console.error('Failed to poll RunPod job:', { jobId, failures: job.pollFailures, error: error.message });
+    }
+
+    if (!this.isTerminal(job.status)) {
+      this.schedulePoll(job);
+    }
+  }
+
+  // Merge a RunPod status payload into the job; returns whether anything changed
+  apply(job, data) {
+    // Late polls or webhooks can't reopen a finished job
+    if (this.isTerminal(job.status)) return false;
+
+    const status = data.status || job.status;
+    // While a job runs, output holds the worker's latest progress_update
+    const progress = status === 'IN_PROGRESS' && data.output !== undefined ? data.output : job.progress;
+    const output = this.isTerminal(status) && data.output !== undefined ? data.output : job.output;
+    const error = data.error || job.error;
+
+    const changed = status !== job.status
+      || JSON.stringify(progress) !== JSON.stringify(job.progress)
+      || JSON.stringify(output) !== JSON.stringify(job.output)
+      || error !== job.error;
+
+    if (!changed) return false;
+
+    Object.assign(job, {
+      status,
+      progress,
+      output,
+      error,
+      delayTime: data.delayTime ?? job.delayTime,
+      executionTime: data.executionTime ?? job.executionTime,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (this.isTerminal(status)) {
+      job.completedAt = job.updatedAt;
+      clearTimeout(this.timers.get(job.id));
+      this.timers.delete(job.id);
+      console.log('RunPod job finished:', { jobId: job.id, status, executionTime: job.executionTime });
+    }
+
+    this.emitUpdate(job);
+    return true;
+  }
+
+  emitUpdate(job) {
+    this.emit('job', this.toJSON(job));
+  }
+
+  // Webhook callback from RunPod with the job's final status
+  handleWebhook(token, payload) {
+    const expected = Buffer.from(this.webhookSecret);
+    const given = Buffer.from(String(token || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw jobError('Invalid webhook token', 401);
+    }
+
+    const job = this.jobs.get(payload?.id);
+    if (!job) {
+      console.warn('Webhook for unknown RunPod job:', payload?.id);
+      return null;
+    }
+
+    this.apply(job, payload);
+    return this.toJSON(job);
+  }
+
+  cancelRemote(job) {
+    return axios.post(`${this.apiUrl}/${job.endpointId}/cancel/${job.id}`, {}, {
+      headers: this.headers(),
+      timeout: 15000
+    });
+  }
+
+  async cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw jobError('Job not found', 404);
+    }
+    if (this.isTerminal(job.status)) {
+      throw jobError(`Job already ${job.status}`, 409);
+    }
+
+    await this.cancelRemote(job);
+    this.apply(job, { status: 'CANCELLED' });
+    return this.toJSON(job);
+  }
+
+  // Follow one job (or every job without a jobId); returns an unsubscribe function
+  subscribe(jobId, listener) {
+    const handler = (job) => {
+      if (!jobId || job.id === jobId) listener(job);
+    };
+    this.on('job', handler);
+    return () => this.off('job', handler);
+  }
+
+  // Forget finished jobs after the retention window, and the oldest finished ones past maxJobs
+  cleanup() {
+    const now = Date.now();
+    const finished = Array.from(this.jobs.values())
+      .filter(job => this.isTerminal(job.status))
+      .sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+
+    let excess = this.jobs.size - this.maxJobs;
+    for (const job of finished) {
+      if (excess > 0 || now - Date.parse(job.completedAt) > this.retention) {
+        this.jobs.delete(job.id);
+        excess -= 1;
+      }
+    }
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+    return { total: this.jobs.size, byStatus, webhooks: !!this.webhookUrl };
+  }
+}
+
+JobManager.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = JobManager;
@@ -0,0 +1,51 @@
+// Proxy Config - Endpoint allow-list and client quotas for the RunPod proxy
+const fs = require('fs');
+const path = require('path');
+
+// Replace ${VAR} and ${VAR:-default} with environment values, escaped for a JSON string
+function interpolate(text) {
+  return text.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+    const value = process.env[name] ?? fallback ?? '';
+    return JSON.stringify(String(value)).slice(1, -1);
+  });
+}
+
+// Read the config from RUNPOD_PROXY_CONFIG (inline JSON) or RUNPOD_PROXY_CONFIG_PATH (default ./config.json).
+// Endpoints without an ID are dropped, so an unset variable disables the endpoint; clients without an
+// apiKey can still authenticate with a JWT whose sub is their ID
+function loadConfig() {
+  const raw = process.env.RUNPOD_PROXY_CONFIG ||
+    fs.readFileSync(process.env.RUNPOD_PROXY_CONFIG_PATH || path.join(__dirname, 'config.json'), 'utf8');
+  const config = JSON.parse(interpolate(raw));
+
+  const endpoints = {};
+  for (const [name, endpoint] of Object.entries(config.endpoints || {})) {
+    if (!endpoint.endpointId) {
+      console.warn(`RunPod endpoint ${name} has no endpointId; skipping`);
+      continue;
+    }
+    endpoints[name] = {
+      name,
+      endpointId: endpoint.endpointId,
+      estimatedSeconds: Number(endpoint.estimatedSeconds) || 0
+    };
+  }
+
+  const defaults = {
+    rateLimit: 60,
+    gpuSecondsPerDay: 3600,
+    endpoints: ['*'],
+    ...config.defaults
+  };
+
+  const clients = {};
+  for (const [id, client] of Object.entries(config.clients || {})) {
+    clients[id] = { ...defaults, ...client, id };
+  }
+
+  return { endpoints, defaults, clients };
+}
+
+module.exports = {
+  loadConfig
+};
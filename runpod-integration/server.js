@@ -2,14 +2,59 @@
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
+const { renderChatTemplate, injectSystemPrompt, listChatTemplates } = require('../model-router/chat-templates');
 require('dotenv').config();
+const JobManager = require('./job-manager');
+const GpuBudget = require('./gpu-budget');
+const { loadConfig } = require('./proxy-config');
+const { createAuthenticator, createEventTokens, createRateLimiter, resolveEndpoint, listEndpoints } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
 const RUNPOD_API_KEY = process.env.RUNPOD_API_KEY;
+// Serverless API base, shared by the sync routes and the job manager
+const RUNPOD_API_URL = (process.env.RUNPOD_API_URL || 'https://api.runpod.ai/v2').replace(/\/+$/, '');
+const DEFAULT_CHAT_TEMPLATE = process.env.RUNPOD_CHAT_TEMPLATE || 'chatml';
+
+// Endpoint allow-list and client quotas
+const proxyConfig = loadConfig();
+const gpuBudget = new GpuBudget();
+
+// Async jobs submitted with /run, tracked until they finish
+const jobManager = new JobManager({
+  apiKey: RUNPOD_API_KEY,
+  apiUrl: RUNPOD_API_URL,
+  webhookUrl: process.env.RUNPOD_WEBHOOK_URL,
+  webhookSecret: process.env.RUNPOD_WEBHOOK_SECRET,
+  pollInterval: parseInt(process.env.RUNPOD_POLL_INTERVAL) || 2000,
+  maxPollInterval: parseInt(process.env.RUNPOD_MAX_POLL_INTERVAL) || 30000,
+  jobTimeout: parseInt(process.env.RUNPOD_JOB_TIMEOUT) || 30 * 60 * 1000
+});
+
+// Charge finished async jobs to the client that submitted them
+jobManager.subscribe(null, (job) => {
+  if (job.completedAt && job.executionTime) {
+    gpuBudget.record(job.clientId, job.executionTime / 1000);
+  }
+});
+
+// Resolve a logical endpoint name and check the client's GPU budget before anything is sent to RunPod
+function prepareEndpoint(req, name) {
+  const endpoint = resolveEndpoint(proxyConfig, req.client, name);
+  gpuBudget.check(req.client, endpoint);
+  return endpoint;
+}
+
+// A tracked job, if it belongs to the calling client
+function getClientJob(req, jobId) {
+  const job = jobManager.get(jobId);
+  return job && job.clientId === req.client.id ? job : null;
+}
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: process.env.ALLOWED_ORIGINS?.split(',') || false
+}));
 app.use(express.json({ limit: '50mb' }));
 
 // Logging middleware
@@ -24,40 +69,46 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     service: 'runpod-proxy',
     runpodConfigured: !!RUNPOD_API_KEY,
+    jobs: jobManager.getStats(),
     timestamp: new Date().toISOString()
   });
 });
 
-// List available RunPod endpoints
-app.get('/endpoints', async (req, res) => {
+// RunPod webhook callback (RUNPOD_WEBHOOK_URL should point here); authenticated by its token
+app.post('/webhooks/runpod', (req, res) => {
   try {
-    if (!RUNPOD_API_KEY) {
-      return res.status(503).json({
-        error: 'RunPod API key not configured'
-      });
-    }
-
-    const response = await axios.get('https://api.runpod.io/v2/endpoints', {
-      headers: {
-        'Authorization': `Bearer ${RUNPOD_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const job = jobManager.handleWebhook(req.query.token, req.body);
 
     res.json({
       success: true,
-      endpoints: response.data
+      known: !!job
     });
 
   } catch (error) {
-    console.error('Failed to list endpoints:', error.message);
-    res.status(error.response?.status || 500).json({
-      error: error.message,
-      details: error.response?.data
+    console.error('Rejected RunPod webhook:', error.message);
+    res.status(error.statusCode || 500).json({
+      error: error.message
     });
   }
 });
 
+// Tokens for browser EventSource clients of the job event streams
+const eventTokens = createEventTokens({ ttl: parseInt(process.env.RUNPOD_EVENT_TOKEN_TTL) || 60 });
+
+// Every route below needs an API key or JWT, and is rate limited per client
+app.use(createAuthenticator(proxyConfig, { jwtSecret: process.env.RUNPOD_PROXY_JWT_SECRET, eventTokens }));
+app.use(createRateLimiter());
+
+// Endpoints this client may use, and its GPU budget for today
+app.get('/endpoints', (req, res) => {
+  res.json({
+    success: true,
+    client: req.client.id,
+    endpoints: listEndpoints(proxyConfig, req.client),
+    gpuBudget: gpuBudget.getStats(req.client)
+  });
+});
+
 // Text generation endpoint
 app.post('/generate', async (req, res) => {
   try {
@@ -70,9 +121,12 @@ app.post('/generate', async (req, res) => {
 
     const {
       prompt,
-      endpointId,
+      endpoint: endpointName,
       maxTokens = 500,
       temperature = 0.7,
+      topP,
+      seed,
+      stop,
       model = 'default'
     } = req.body;
 
@@ -82,27 +136,26 @@ app.post('/generate', async (req, res) => {
       });
     }
 
-    if (!endpointId) {
-      return res.status(400).json({
-        error: 'RunPod endpoint ID is required',
-        message: 'Specify which RunPod endpoint to use for generation'
-      });
-    }
+    const endpoint = prepareEndpoint(req, endpointName);
 
     console.log('Generating text via RunPod:', {
-      endpointId,
+      endpoint: endpoint.name,
+      client: req.client.id,
       promptLength: prompt.length,
       model
     });
 
     // Call RunPod serverless endpoint
     const response = await axios.post(
-      `https://api.runpod.ai/v2/${endpointId}/runsync`,
+      `${RUNPOD_API_URL}/${endpoint.endpointId}/runsync`,
       {
         input: {
           prompt,
           max_tokens: maxTokens,
           temperature,
+          top_p: topP,
+          seed,
+          stop,
           model
         }
       },
@@ -115,11 +168,13 @@ app.post('/generate', async (req, res) => {
       }
     );
 
+    gpuBudget.record(req.client.id, (response.data.executionTime || 0) / 1000);
+
     res.json({
       success: true,
       data: response.data,
       metadata: {
-        endpointId,
+        endpoint: endpoint.name,
         model,
         timestamp: new Date().toISOString()
       }
@@ -127,7 +182,7 @@ app.post('/generate', async (req, res) => {
 
   } catch (error) {
     console.error('RunPod generation error:', error.message);
-    res.status(error.response?.status || 500).json({
+    res.status(error.statusCode || error.response?.status || 500).json({
       error: error.message,
       details: error.response?.data
     });
@@ -145,10 +200,12 @@ app.post('/chat', async (req, res) => {
 
     const {
       messages,
-      endpointId,
+      endpoint: endpointName,
       maxTokens = 500,
       temperature = 0.7,
-      model = 'default'
+      model = 'default',
+      chatTemplate = DEFAULT_CHAT_TEMPLATE,
+      systemPrompt
     } = req.body;
 
     if (!messages || !Array.isArray(messages)) {
@@ -157,28 +214,34 @@ app.post('/chat', async (req, res) => {
       });
     }
 
-    if (!endpointId) {
+    const endpoint = prepareEndpoint(req, endpointName);
+
+    if (!listChatTemplates().includes(chatTemplate)) {
       return res.status(400).json({
-        error: 'RunPod endpoint ID is required'
+        error: `Unknown chat template: ${chatTemplate}`,
+        message: `Use one of: ${listChatTemplates().join(', ')}`
       });
     }
 
-    // Convert messages to prompt format
-    const prompt = messages.map(m => `${m.role}: ${m.content}`).join('\n');
+    // Render messages with the model's chat template
+    const { prompt, stop } = renderChatTemplate(injectSystemPrompt(messages, systemPrompt), chatTemplate);
 
     console.log('Chat completion via RunPod:', {
-      endpointId,
+      endpoint: endpoint.name,
+      client: req.client.id,
       messageCount: messages.length,
+      chatTemplate,
       model
     });
 
     const response = await axios.post(
-      `https://api.runpod.ai/v2/${endpointId}/runsync`,
+      `${RUNPOD_API_URL}/${endpoint.endpointId}/runsync`,
       {
         input: {
           prompt,
           max_tokens: maxTokens,
           temperature,
+          stop,
           model
         }
       },
@@ -191,12 +254,15 @@ app.post('/chat', async (req, res) => {
       }
     );
 
+    gpuBudget.record(req.client.id, (response.data.executionTime || 0) / 1000);
+
     res.json({
       success: true,
       data: response.data,
       metadata: {
-        endpointId,
+        endpoint: endpoint.name,
         model,
+        chatTemplate,
         messageCount: messages.length,
         timestamp: new Date().toISOString()
       }
@@ -204,7 +270,7 @@ app.post('/chat', async (req, res) => {
 
   } catch (error) {
     console.error('RunPod chat error:', error.message);
-    res.status(error.response?.status || 500).json({
+    res.status(error.statusCode || error.response?.status || 500).json({
       error: error.message,
       details: error.response?.data
     });
@@ -222,10 +288,11 @@ app.post('/image', async (req, res) => {
 
     const {
       prompt,
-      endpointId,
+      endpoint: endpointName,
       width = 512,
       height = 512,
-      steps = 20
+      steps = 20,
+      async = false
     } = req.body;
 
     if (!prompt) {
@@ -234,28 +301,41 @@ app.post('/image', async (req, res) => {
       });
     }
 
-    if (!endpointId) {
-      return res.status(400).json({
-        error: 'RunPod endpoint ID is required'
-      });
-    }
+    const endpoint = prepareEndpoint(req, endpointName);
 
     console.log('Generating image via RunPod:', {
-      endpointId,
+      endpoint: endpoint.name,
+      client: req.client.id,
       promptLength: prompt.length,
-      dimensions: `${width}x${height}`
+      dimensions: `${width}x${height}`,
+      async
     });
 
+    const input = {
+      prompt,
+      width,
+      height,
+      num_inference_steps: steps
+    };
+
+    // Long renders: return the job right away and follow it through /jobs/:jobId
+    if (async) {
+      const job = await jobManager.submit({
+        endpointId: endpoint.endpointId,
+        endpoint: endpoint.name,
+        clientId: req.client.id,
+        input,
+        type: 'image'
+      });
+      return res.status(202).json({
+        success: true,
+        data: job
+      });
+    }
+
     const response = await axios.post(
-      `https://api.runpod.ai/v2/${endpointId}/runsync`,
-      {
-        input: {
-          prompt,
-          width,
-          height,
-          num_inference_steps: steps
-        }
-      },
+      `${RUNPOD_API_URL}/${endpoint.endpointId}/runsync`,
+      { input },
       {
         headers: {
           'Authorization': `Bearer ${RUNPOD_API_KEY}`,
@@ -265,11 +345,13 @@ app.post('/image', async (req, res) => {
       }
     );
 
+    gpuBudget.record(req.client.id, (response.data.executionTime || 0) / 1000);
+
     res.json({
       success: true,
       data: response.data,
       metadata: {
-        endpointId,
+        endpoint: endpoint.name,
         dimensions: `${width}x${height}`,
         timestamp: new Date().toISOString()
       }
@@ -277,7 +359,7 @@ app.post('/image', async (req, res) => {
 
   } catch (error) {
     console.error('RunPod image generation error:', error.message);
-    res.status(error.response?.status || 500).json({
+    res.status(error.statusCode || error.response?.status || 500).json({
       error: error.message,
       details: error.response?.data
     });
@@ -294,16 +376,20 @@ app.get('/status/:jobId', async (req, res) => {
     }
 
     const { jobId } = req.params;
-    const { endpointId } = req.query;
 
-    if (!endpointId) {
-      return res.status(400).json({
-        error: 'Endpoint ID is required as query parameter'
+    const job = getClientJob(req, jobId);
+    if (job) {
+      return res.json({
+        success: true,
+        data: job
       });
     }
 
+    // Jobs this proxy isn't tracking (e.g. runsync calls still running on RunPod)
+    const endpoint = resolveEndpoint(proxyConfig, req.client, req.query.endpoint);
+
     const response = await axios.get(
-      `https://api.runpod.ai/v2/${endpointId}/status/${jobId}`,
+      `${RUNPOD_API_URL}/${endpoint.endpointId}/status/${jobId}`,
       {
         headers: {
           'Authorization': `Bearer ${RUNPOD_API_KEY}`
@@ -318,7 +404,180 @@ app.get('/status/:jobId', async (req, res) => {
 
   } catch (error) {
     console.error('Failed to check job status:', error.message);
-    res.status(error.response?.status || 500).json({
+    res.status(error.statusCode || error.response?.status || 500).json({
+      error: error.message,
+      details: error.response?.data
+    });
+  }
+});
+
+// Submit an async job (image, video or any long-running worker input)
+app.post('/jobs', async (req, res) => {
+  try {
+    if (!RUNPOD_API_KEY) {
+      return res.status(503).json({
+        error: 'RunPod API key not configured'
+      });
+    }
+
+    const { endpoint: endpointName, input, type, metadata } = req.body;
+
+    if (!input || typeof input !== 'object') {
+      return res.status(400).json({
+        error: 'Job input object is required'
+      });
+    }
+
+    const endpoint = prepareEndpoint(req, endpointName);
+    const job = await jobManager.submit({
+      endpointId: endpoint.endpointId,
+      endpoint: endpoint.name,
+      clientId: req.client.id,
+      input,
+      type,
+      metadata
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Failed to submit RunPod job:', error.message);
+    res.status(error.statusCode || error.response?.status || 500).json({
+      error: error.message,
+      details: error.response?.data
+    });
+  }
+});
+
+// List tracked jobs
+app.get('/jobs', (req, res) => {
+  const jobs = jobManager.list({ clientId: req.client.id, status: req.query.status, type: req.query.type });
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+// Stream job updates as Server-Sent Events: a "job" event per change, then "done" once the job finishes.
+// /jobs/events follows every job of the client; /jobs/:jobId/events follows one
+function streamJobs(req, res, jobId) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const onUpdate = (job) => {
+    if (job.clientId !== req.client.id) return;
+
+    sendEvent('job', job);
+    if (jobId && jobManager.isTerminal(job.status)) {
+      sendEvent('done', job);
+      close();
+    }
+  };
+
+  if (jobId) {
+    // Current state first, so late subscribers don't miss a job that already finished
+    onUpdate(jobManager.get(jobId));
+    if (res.writableEnded) return;
+  }
+
+  unsubscribe = jobManager.subscribe(jobId, onUpdate);
+  req.on('close', close);
+}
+
+app.get('/jobs/events', (req, res) => {
+  streamJobs(req, res, null);
+});
+
+// A short-lived ?token= for one event stream (all jobs, or the jobId in the body), for clients that can't send headers
+app.post('/jobs/events/token', (req, res) => {
+  const { jobId } = req.body || {};
+
+  if (jobId && !getClientJob(req, jobId)) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  const path = jobId ? `/jobs/${encodeURIComponent(jobId)}/events` : '/jobs/events';
+  const token = eventTokens.issue(req.client, path);
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      path: `${path}?token=${token}`,
+      expiresIn: eventTokens.ttl
+    }
+  });
+});
+
+// Get a tracked job
+app.get('/jobs/:jobId', (req, res) => {
+  const job = getClientJob(req, req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+app.get('/jobs/:jobId/events', (req, res) => {
+  if (!getClientJob(req, req.params.jobId)) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  streamJobs(req, res, req.params.jobId);
+});
+
+// Cancel a queued or running job
+app.post('/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    if (!getClientJob(req, req.params.jobId)) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    const job = await jobManager.cancel(req.params.jobId);
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Failed to cancel RunPod job:', error.message);
+    res.status(error.statusCode || error.response?.status || 500).json({
       error: error.message,
       details: error.response?.data
     });
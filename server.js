@@ -10,14 +10,28 @@ require('dotenv').config();
 // Import services
 const ElizaBridge = require('./services/eliza-bridge');
 const CharacterManager = require('./services/character-manager');
+const EmbeddingService = require('./services/embedding-service');
+const ToolExecutor = require('./services/tool-executor');
+const PromptTemplateManager = require('./services/prompt-template-manager');
+const FileStore = require('./services/file-store');
+const ImagePipeline = require('./services/image-pipeline');
+const VideoAssembler = require('./services/video-assembler');
+const VoicePipeline = require('./services/voice-pipeline');
 const ModelRouter = require('./model-router');
 const CharacterAPI = require('./api/routes/characters');
+const ModelAPI = require('./api/routes/models');
+const EmbeddingAPI = require('./api/routes/embeddings');
+const PromptTemplateAPI = require('./api/routes/prompt-templates');
+const ImageAPI = require('./api/routes/images');
+const VideoAPI = require('./api/routes/videos');
+const VoiceAPI = require('./api/routes/voice');
 
 // Import utilities
 const logger = require('./utils/logger');
 const { setupDatabase } = require('./utils/database');
 const { setupRedis } = require('./utils/redis');
 const { errorHandler } = require('./middleware/error-handler');
+const { identifyApiKey } = require('./middleware/api-key');
 
 class XCreatorServer {
   constructor() {
@@ -36,6 +50,7 @@ class XCreatorServer {
     this.characterManager = null;
     this.modelRouter = null;
     this.characterAPI = null;
+    this.modelAPI = null;
     this.initialized = false;
 
     // Non-async middleware first; async service setup deferred to start()
@@ -68,6 +83,9 @@ class XCreatorServer {
     });
     this.app.use('/api/', limiter);
 
+    // Attribute API calls to the caller's API key, if one is sent
+    this.app.use('/api/', identifyApiKey);
+
     // Body parsing middleware
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -97,6 +115,8 @@ class XCreatorServer {
 
       // Initialize Model Router
       this.modelRouter = new ModelRouter();
+      // Models registered, changed or removed through the admin API survive restarts
+      await this.modelRouter.reloadModels();
       await this.modelRouter.startHealthChecks();
       logger.info('✅ Model Router initialized');
 
@@ -110,13 +130,50 @@ class XCreatorServer {
       }
 
       // Initialize Character Manager
-      this.characterManager = new CharacterManager(this.elizaBridge, this.modelRouter);
+      this.toolExecutor = new ToolExecutor();
+      this.templateManager = new PromptTemplateManager();
+      this.fileStore = new FileStore();
+      this.imagePipeline = new ImagePipeline(this.fileStore);
+      this.voicePipeline = new VoicePipeline(this.modelRouter, this.fileStore);
+      this.characterManager = new CharacterManager(
+        this.elizaBridge,
+        this.modelRouter,
+        this.toolExecutor,
+        this.templateManager,
+        this.imagePipeline,
+        this.voicePipeline
+      );
       logger.info('✅ Character Manager initialized');
 
       // Initialize Character API and attach routes AFTER services ready
       this.characterAPI = new CharacterAPI(this.characterManager, this.elizaBridge);
       logger.info('✅ Character API initialized');
 
+      this.modelAPI = new ModelAPI(this.modelRouter);
+      logger.info('✅ Model API initialized');
+
+      this.embeddingService = new EmbeddingService(this.modelRouter);
+      try {
+        await this.embeddingService.initialize();
+      } catch (error) {
+        logger.error(`❌ Vector store not ready: ${error.message}`);
+      }
+      this.embeddingAPI = new EmbeddingAPI(this.embeddingService);
+      logger.info('✅ Embedding API initialized');
+
+      this.promptTemplateAPI = new PromptTemplateAPI(this.templateManager, this.characterManager);
+      logger.info('✅ Prompt Template API initialized');
+
+      this.imageAPI = new ImageAPI(this.imagePipeline, this.characterManager);
+      logger.info('✅ Image API initialized');
+
+      this.videoAssembler = new VideoAssembler(this.fileStore, this.imagePipeline);
+      this.videoAPI = new VideoAPI(this.videoAssembler, this.characterManager);
+      logger.info('✅ Video API initialized');
+
+      this.voiceAPI = new VoiceAPI(this.voicePipeline, this.characterManager);
+      logger.info('✅ Voice API initialized');
+
       // Now that services exist, finish remaining setup steps
       this.setupRoutes();
       this.setupSocketIO();
@@ -139,23 +196,36 @@ class XCreatorServer {
     }
     // Health check endpoint
     this.app.get('/health', (req, res) => {
+      const modelsAvailable = this.modelRouter ? this.modelRouter.hasHealthyModel() : false;
+
       res.json({
-        status: 'healthy',
+        status: modelsAvailable ? 'healthy' : 'degraded',
         timestamp: new Date().toISOString(),
         services: {
           database: true,
           redis: true,
           eliza: this.elizaBridge ? true : false,
-          modelRouter: this.modelRouter ? true : false
+          modelRouter: {
+            available: modelsAvailable,
+            models: this.modelRouter ? this.modelRouter.getAllModelStatuses() : {}
+          }
         }
       });
     });
 
     // API routes
     this.app.use('/api', this.characterAPI.setupRoutes());
+    this.app.use('/api', this.modelAPI.setupRoutes());
+    this.app.use('/api', this.embeddingAPI.setupRoutes());
+    this.app.use('/api', this.promptTemplateAPI.setupRoutes());
+    this.app.use('/api', this.imageAPI.setupRoutes());
+    this.app.use('/api', this.videoAPI.setupRoutes());
+    this.app.use('/api', this.voiceAPI.setupRoutes());
 
     // Static files
-    this.app.use('/uploads', express.static('uploads'));
+    // Fans' voice messages are private; they are only read server-side
+    this.app.use('/uploads/voice-messages', (req, res) => res.status(404).end());
+    this.app.use('/uploads', express.static(this.fileStore.root));
     this.app.use('/static', express.static('static'));
 
     // Root endpoint
@@ -171,6 +241,13 @@ class XCreatorServer {
   }
 
   setupSocketIO() {
+    // Video job progress goes to the character's room
+    this.videoAssembler.on('job', (job) => {
+      if (job.characterId) {
+        this.io.to(`character-${job.characterId}`).emit('video-job', job);
+      }
+    });
+
     this.io.on('connection', (socket) => {
       logger.info(`🔌 Client connected: ${socket.id}`);
 
@@ -183,12 +260,29 @@ class XCreatorServer {
       // Character interaction
       socket.on('character-interaction', async (data) => {
         try {
-          const { characterId, message, context } = data;
-          
-          const result = await this.characterManager.interact(characterId, message, context);
+          const { characterId, message, context, stream } = data;
+          const room = `character-${characterId}`;
+
+          // With stream: true, tokens are pushed to the room as they arrive
+          const options = {
+            generation: this.characterManager.pickGenerationOptions(data),
+            sessionId: data.sessionId
+          };
+          if (stream) {
+            let index = 0;
+            options.onToken = (token) => {
+              this.io.to(room).emit('character-response-chunk', {
+                characterId,
+                token,
+                index: index++
+              });
+            };
+          }
+
+          const result = await this.characterManager.interact(characterId, message, context, options);
           
           // Emit response to all clients in the room
-          this.io.to(`character-${characterId}`).emit('character-response', {
+          this.io.to(room).emit('character-response', {
             characterId,
             response: result.response,
             responseTime: result.responseTime,
@@ -197,7 +291,11 @@ class XCreatorServer {
 
         } catch (error) {
           logger.error('❌ Socket.IO character interaction error:', error);
-          socket.emit('error', { message: 'Character interaction failed' });
+          socket.emit('error', {
+            message: 'Character interaction failed',
+            // Validation problems (bad model or parameters) are safe to show to the client
+            details: error.statusCode === 400 ? error.message : undefined
+          });
         }
       });
 
@@ -230,14 +328,11 @@ class XCreatorServer {
 
   async startAutonomousCharacters() {
     try {
-      // Start any existing characters
-      const characters = Array.from(this.characterManager.characters.values());
-      
-      for (const character of characters) {
-        if (character.status === 'active') {
-          await this.characterManager.startAutonomousOperations(character.id);
-          logger.info(`🚀 Started autonomous operations for: ${character.name}`);
-        }
+      // Recreate agents lost while the Eliza runtime was down and stop ones left behind
+      try {
+        await this.characterManager.reconcileAgents();
+      } catch (error) {
+        logger.warn(`⚠️ Eliza agents not reconciled: ${error.message}`);
       }
 
       // Schedule periodic character health checks
@@ -253,13 +348,14 @@ class XCreatorServer {
   async checkCharacterHealth() {
     try {
       for (const [characterId, character] of this.characterManager.characters) {
-        // Check Eliza agent health
-        if (this.elizaBridge) {
-          const status = await this.elizaBridge.getAgentStatus(character.elizaAgentId);
-          if (status && status.healthy) {
+        // Check the character's Eliza agent, if it has one
+        let agent = null;
+        if (this.elizaBridge && character.eliza?.agentId) {
+          agent = await this.elizaBridge.getAgentStatus(character.eliza.agentId);
+          if (agent.healthy) {
             logger.debug(`✅ Character ${character.name} is healthy`);
           } else {
-            logger.warn(`⚠️ Character ${character.name} may be unhealthy`);
+            logger.warn(`⚠️ Character ${character.name} is unhealthy: Eliza agent ${agent.status}`, { error: agent.error });
           }
         }
 
@@ -267,6 +363,8 @@ class XCreatorServer {
         this.io.to(`character-${characterId}`).emit('character-health', {
           characterId,
           status: character.status,
+          healthy: agent ? agent.healthy : true,
+          agent,
           timestamp: new Date().toISOString()
         });
       }
@@ -297,6 +395,9 @@ class XCreatorServer {
       // Graceful shutdown handlers
       const shutdown = (signal) => {
         logger.info(`🛑 Received ${signal}, shutting down gracefully`);
+        if (this.modelRouter) {
+          this.modelRouter.stopHealthChecks();
+        }
         this.server.close(() => {
           logger.info('✅ Server closed');
           process.exit(0);
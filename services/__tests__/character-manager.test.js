@@ -0,0 +1,251 @@
+jest.mock('../../utils/database', () => ({ query: jest.fn() }));
+jest.mock('../../utils/redis', () => ({ setCache: jest.fn(), getCache: jest.fn(), deleteCache: jest.fn() }));
+
+const { query } = require('../../utils/database');
+const CharacterManager = require('../character-manager');
+const { ElizaUnavailableError, ElizaTimeoutError } = require('../eliza-errors');
+
+const CHARACTER_ID = '00000000-0000-4000-8000-00000000c0de';
+
+function createCharacter(overrides = {}) {
+  return {
+    id: CHARACTER_ID,
+    name: 'nova',
+    displayName: 'Nova',
+    eliza: {},
+    personality: {},
+    voice: {},
+    visual: {},
+    settings: {},
+    status: 'inactive',
+    metadata: {},
+    ...overrides
+  };
+}
+
+describe('CharacterManager', () => {
+  beforeEach(() => {
+    query.mockReset().mockResolvedValue({ rows: [], rowCount: 1 });
+  });
+
+  describe('interact', () => {
+    let elizaBridge;
+    let modelRouter;
+    let manager;
+
+    beforeEach(() => {
+      elizaBridge = { interact: jest.fn().mockResolvedValue({ text: 'From the agent', actions: [], source: 'eliza' }) };
+      modelRouter = {
+        findExperiment: jest.fn().mockReturnValue(null),
+        chatCompletion: jest.fn().mockResolvedValue({ text: 'From the router', model: 'local', confidence: 0.9 })
+      };
+      manager = new CharacterManager(elizaBridge, modelRouter);
+      manager.characters.set(CHARACTER_ID, createCharacter({ eliza: { agentId: 'agent-1' } }));
+    });
+
+    test('answers through the character\'s Eliza agent', async () => {
+      const result = await manager.interact(CHARACTER_ID, 'Hello', {}, { userId: 'user-1' });
+
+      expect(elizaBridge.interact).toHaveBeenCalledWith('agent-1', 'Hello', {}, { sessionId: result.sessionId, userId: 'user-1' });
+      expect(modelRouter.chatCompletion).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ response: 'From the agent', model: 'eliza' });
+    });
+
+    test('uses the model router for generation options, experiments and streaming', async () => {
+      await manager.interact(CHARACTER_ID, 'Hello', {}, { generation: { temperature: 0.2 } });
+      expect(modelRouter.chatCompletion).toHaveBeenLastCalledWith(expect.any(Array), expect.objectContaining({ temperature: 0.2 }));
+
+      modelRouter.findExperiment.mockReturnValueOnce({ name: 'tone-test' });
+      await manager.interact(CHARACTER_ID, 'Hello');
+
+      const tokens = [];
+      await manager.interact(CHARACTER_ID, 'Hello', {}, { onToken: token => tokens.push(token) });
+      expect(modelRouter.chatCompletion).toHaveBeenLastCalledWith(expect.any(Array), expect.objectContaining({ onToken: expect.any(Function) }));
+
+      expect(modelRouter.chatCompletion).toHaveBeenCalledTimes(3);
+      expect(elizaBridge.interact).not.toHaveBeenCalled();
+    });
+
+    test('uses settings.generation defaults as generation options', async () => {
+      manager.characters.set(CHARACTER_ID, createCharacter({
+        eliza: { agentId: 'agent-1' },
+        settings: { generation: { maxTokens: 120 } }
+      }));
+
+      await manager.interact(CHARACTER_ID, 'Hello');
+
+      expect(elizaBridge.interact).not.toHaveBeenCalled();
+      expect(modelRouter.chatCompletion).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ maxTokens: 120 }));
+    });
+
+    test('falls back to the model router while the agent is unavailable', async () => {
+      elizaBridge.interact.mockRejectedValue(new ElizaUnavailableError('Eliza runtime is unreachable'));
+
+      const result = await manager.interact(CHARACTER_ID, 'Hello');
+
+      expect(result.response).toBe('From the router');
+    });
+
+    test('fails with 504 instead of answering twice when the agent times out', async () => {
+      elizaBridge.interact.mockRejectedValue(new ElizaTimeoutError('Eliza agent agent-1 did not respond in time'));
+
+      await expect(manager.interact(CHARACTER_ID, 'Hello')).rejects.toMatchObject({ statusCode: 504 });
+      expect(modelRouter.chatCompletion).not.toHaveBeenCalled();
+    });
+
+    test('skips an agent that is waiting to be torn down', async () => {
+      manager.characters.set(CHARACTER_ID, createCharacter({ eliza: { agentId: 'agent-1', teardownPending: true } }));
+
+      await manager.interact(CHARACTER_ID, 'Hello');
+
+      expect(elizaBridge.interact).not.toHaveBeenCalled();
+      expect(modelRouter.chatCompletion).toHaveBeenCalled();
+    });
+  });
+
+  describe('agent lifecycle', () => {
+    let elizaBridge;
+    let manager;
+
+    beforeEach(() => {
+      elizaBridge = {
+        provisionAgent: jest.fn(async character => ({ agentId: character.eliza?.agentId || character.id })),
+        stopAgent: jest.fn().mockResolvedValue(true),
+        listAgents: jest.fn().mockResolvedValue([])
+      };
+      manager = new CharacterManager(elizaBridge);
+    });
+
+    function stored() {
+      return manager.characters.get(CHARACTER_ID);
+    }
+
+    test('start provisions an agent and records its ID', async () => {
+      manager.characters.set(CHARACTER_ID, createCharacter());
+
+      const result = await manager.startAutonomousOperations(CHARACTER_ID);
+
+      expect(result.agent).toEqual({ agentId: CHARACTER_ID, provisioned: true });
+      expect(stored()).toMatchObject({ status: 'active', eliza: { agentId: CHARACTER_ID } });
+    });
+
+    test('stop tears the agent down and forgets it', async () => {
+      manager.characters.set(CHARACTER_ID, createCharacter({ status: 'active', eliza: { agentId: 'agent-1' } }));
+
+      await manager.stopAutonomousOperations(CHARACTER_ID);
+
+      expect(elizaBridge.stopAgent).toHaveBeenCalledWith('agent-1');
+      expect(stored().status).toBe('inactive');
+      expect(stored().eliza.agentId).toBeUndefined();
+    });
+
+    test('profile updates keep the agent ID and are pushed to the agent', async () => {
+      manager.characters.set(CHARACTER_ID, createCharacter({ eliza: { agentId: 'agent-1', topics: ['travel'] } }));
+
+      const updated = await manager.updateCharacter(CHARACTER_ID, { eliza: { topics: ['food'] } });
+
+      expect(updated.eliza).toMatchObject({ agentId: 'agent-1', topics: ['food'] });
+      expect(elizaBridge.provisionAgent).toHaveBeenCalledWith(expect.objectContaining({ eliza: expect.objectContaining({ agentId: 'agent-1' }) }));
+      const update = query.mock.calls.find(([sql]) => sql.includes('UPDATE characters SET'));
+      expect(update[1][10]).toBe('agent-1');
+    });
+
+    test('delete stops the agent before removing the character', async () => {
+      manager.characters.set(CHARACTER_ID, createCharacter({ eliza: { agentId: 'agent-1' } }));
+
+      await manager.deleteCharacter(CHARACTER_ID);
+
+      expect(elizaBridge.stopAgent).toHaveBeenCalledWith('agent-1');
+      expect(query).toHaveBeenCalledWith('DELETE FROM characters WHERE id = $1', [CHARACTER_ID]);
+      expect(stored()).toBeUndefined();
+    });
+
+    test('delete keeps a character whose agent could not be stopped', async () => {
+      manager.characters.set(CHARACTER_ID, createCharacter({ status: 'active', eliza: { agentId: 'agent-1' } }));
+      elizaBridge.stopAgent.mockRejectedValue(new ElizaUnavailableError('Eliza runtime is unreachable'));
+
+      await expect(manager.deleteCharacter(CHARACTER_ID)).rejects.toMatchObject({ statusCode: 503 });
+
+      expect(query).not.toHaveBeenCalledWith('DELETE FROM characters WHERE id = $1', [CHARACTER_ID]);
+      expect(stored()).toMatchObject({ status: 'inactive', eliza: { agentId: 'agent-1', teardownPending: true } });
+    });
+
+    test('reconciliation stops pending teardowns, provisions missing agents and leaves others alone', async () => {
+      const row = (id, status, elizaConfig) => ({ id, name: id, status, eliza_config: elizaConfig, metadata: {} });
+      query.mockImplementation(async (sql) => sql.startsWith('SELECT * FROM characters')
+        ? {
+            rows: [
+              row('pending', 'inactive', { agentId: 'agent-pending', teardownPending: true }),
+              row('running', 'active', { agentId: 'agent-running' }),
+              row('missing', 'active', { agentId: 'agent-missing' }),
+              row('new', 'active', {}),
+              row('idle', 'inactive', {})
+            ]
+          }
+        : { rows: [], rowCount: 1 });
+      elizaBridge.listAgents.mockResolvedValue([{ id: 'agent-pending' }, { id: 'agent-running' }, { id: 'someone-else' }]);
+
+      const report = await manager.reconcileAgents();
+
+      expect(report).toEqual({
+        provisioned: ['missing', 'new'],
+        stopped: ['pending'],
+        unchanged: ['running'],
+        failed: [],
+        unmanaged: ['someone-else']
+      });
+      expect(elizaBridge.stopAgent).toHaveBeenCalledWith('agent-pending');
+      expect(manager.characters.get('pending').eliza.agentId).toBeUndefined();
+      expect(manager.characters.get('new').eliza.agentId).toBe('new');
+    });
+  });
+
+  describe('interactByVoice', () => {
+    let voicePipeline;
+    let manager;
+
+    beforeEach(() => {
+      voicePipeline = {
+        transcribe: jest.fn().mockResolvedValue({
+          text: 'What are you up to?',
+          language: 'en',
+          duration: 2.5,
+          model: 'whisper',
+          file: { id: 'voice-file' }
+        }),
+        removeVoiceMessage: jest.fn()
+      };
+      manager = new CharacterManager(null, null, null, null, null, voicePipeline);
+      manager.characters.set(CHARACTER_ID, createCharacter());
+    });
+
+    test('stores the conversation with the voice message it came from', async () => {
+      const result = await manager.interactByVoice(CHARACTER_ID, { buffer: Buffer.from('audio') });
+
+      const conversationId = voicePipeline.transcribe.mock.calls[0][2].conversationId;
+      expect(result.conversationId).toBe(conversationId);
+      expect(result.transcript).toEqual({ text: 'What are you up to?', language: 'en', duration: 2.5 });
+      const insert = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO conversations'));
+      expect(insert[1][0]).toBe(conversationId);
+      expect(insert[1].slice(11, 13)).toEqual(['voice', 'voice-file']);
+      expect(voicePipeline.removeVoiceMessage).not.toHaveBeenCalled();
+    });
+
+    test('removes the stored voice message when the interaction fails', async () => {
+      query.mockRejectedValue(new Error('database down'));
+
+      await expect(manager.interactByVoice(CHARACTER_ID, { buffer: Buffer.from('audio') })).rejects.toThrow('database down');
+
+      expect(voicePipeline.removeVoiceMessage).toHaveBeenCalledWith('voice-file');
+    });
+
+    test('stores nothing when transcription fails', async () => {
+      voicePipeline.transcribe.mockRejectedValue(new Error('No speech was recognized in the voice message'));
+
+      await expect(manager.interactByVoice(CHARACTER_ID, { buffer: Buffer.from('audio') })).rejects.toThrow('No speech');
+
+      expect(query).not.toHaveBeenCalled();
+      expect(voicePipeline.removeVoiceMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const http = require('http');
+const ElizaBridge = require('../eliza-bridge');
+const {
+  ElizaUnavailableError,
+  ElizaTimeoutError,
+  ElizaAgentNotFoundError,
+  ElizaResponseError
+} = require('../eliza-errors');
+
+// A stand-in for the Eliza agent runtime's REST API; each test sets how it answers
+function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      const reply = server.reply(req);
+      if (!reply) return; // never answer
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.data ?? {}));
+    });
+  });
+  server.requests = [];
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('ElizaBridge', () => {
+  let server;
+  let bridge;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    server.requests = [];
+    bridge = new ElizaBridge(null, {
+      agentUrl: `http://127.0.0.1:${server.address().port}/`,
+      apiKey: 'eliza-key',
+      requestTimeout: 200,
+      statusTimeout: 200,
+      maxRetries: 2,
+      retryDelay: 1
+    });
+  });
+
+  describe('interact', () => {
+    test('sends the message to the agent, threaded by session', async () => {
+      server.reply = () => ({
+        data: [
+          { user: 'nova', text: 'Hi there! ', action: 'NONE' },
+          { user: 'nova', text: 'Want to see my new post?', action: 'SHARE_POST' }
+        ]
+      });
+
+      const reply = await bridge.interact('agent-1', 'Hello', { userName: 'Sam' }, { sessionId: 'session-1', userId: 'user-1' });
+
+      expect(server.requests[0]).toMatchObject({
+        method: 'POST',
+        url: '/agent-1/message',
+        headers: { 'x-api-key': 'eliza-key' },
+        body: { text: 'Hello', userId: 'user-1', userName: 'Sam', roomId: 'session-1' }
+      });
+      expect(reply).toEqual({ text: 'Hi there!\n\nWant to see my new post?', actions: ['SHARE_POST'], source: 'eliza' });
+    });
+
+    test('fails without an agent or a reply', async () => {
+      await expect(bridge.interact(null, 'Hello')).rejects.toBeInstanceOf(ElizaAgentNotFoundError);
+
+      server.reply = () => ({ data: [] });
+      await expect(bridge.interact('agent-1', 'Hello')).rejects.toThrow(ElizaResponseError);
+    });
+
+    test('maps runtime errors to typed errors', async () => {
+      server.reply = () => ({ status: 404, data: { error: 'Agent not found' } });
+      await expect(bridge.interact('agent-1', 'Hello')).rejects.toMatchObject({ name: 'ElizaAgentNotFoundError', statusCode: 404 });
+
+      server.reply = () => ({ status: 400, data: { error: 'text is required' } });
+      await expect(bridge.interact('agent-1', '')).rejects.toMatchObject({
+        name: 'ElizaResponseError',
+        statusCode: 502,
+        message: 'Eliza agent agent-1 rejected the request with 400: text is required'
+      });
+    });
+
+    test('retries while the runtime is unavailable', async () => {
+      let calls = 0;
+      server.reply = () => (++calls === 1 ? { status: 503, data: { error: 'starting' } } : { data: [{ text: 'Back!' }] });
+
+      await expect(bridge.interact('agent-1', 'Hello')).resolves.toMatchObject({ text: 'Back!' });
+      expect(server.requests).toHaveLength(2);
+    });
+
+    test('gives up after maxRetries', async () => {
+      server.reply = () => ({ status: 503, data: { error: 'starting' } });
+
+      await expect(bridge.interact('agent-1', 'Hello')).rejects.toBeInstanceOf(ElizaUnavailableError);
+      expect(server.requests).toHaveLength(3);
+    });
+
+    test('does not resend a message that timed out', async () => {
+      server.reply = () => null;
+
+      await expect(bridge.interact('agent-1', 'Hello')).rejects.toMatchObject({ name: 'ElizaTimeoutError', statusCode: 504 });
+      expect(server.requests).toHaveLength(1);
+    });
+
+    test('reports an unreachable runtime', async () => {
+      const offline = new ElizaBridge(null, { agentUrl: 'http://127.0.0.1:1', maxRetries: 0 });
+      offline.connected = true;
+
+      await expect(offline.interact('agent-1', 'Hello')).rejects.toMatchObject({ name: 'ElizaUnavailableError', statusCode: 503 });
+      expect(offline.connected).toBe(false);
+    });
+  });
+
+  describe('getAgentStatus', () => {
+    test('reports a running agent', async () => {
+      server.reply = () => ({ data: { id: 'agent-1', character: { name: 'Nova' }, clients: ['direct'] } });
+
+      await expect(bridge.getAgentStatus('agent-1')).resolves.toMatchObject({
+        agentId: 'agent-1',
+        healthy: true,
+        status: 'running',
+        name: 'Nova',
+        clients: ['direct']
+      });
+      expect(server.requests[0].url).toBe('/agents/agent-1');
+    });
+
+    test('never throws, reporting the failure as the status', async () => {
+      server.reply = () => ({ status: 404 });
+      await expect(bridge.getAgentStatus('agent-1')).resolves.toMatchObject({ healthy: false, status: 'not_found' });
+
+      server.reply = () => null;
+      await expect(bridge.getAgentStatus('agent-1')).resolves.toMatchObject({ healthy: false, status: 'timeout' });
+
+      await expect(bridge.getAgentStatus(null)).resolves.toMatchObject({ healthy: false, status: 'not_provisioned' });
+    });
+  });
+
+  describe('agent lifecycle', () => {
+    const character = {
+      id: '00000000-0000-4000-8000-00000000c0de',
+      name: 'nova',
+      displayName: 'Nova',
+      personality: { bio: ['Travel creator'] },
+      eliza: {}
+    };
+
+    test('provisions an agent under the character ID', async () => {
+      server.reply = () => ({ data: { id: character.id, character: { name: 'Nova' } } });
+
+      const agent = await bridge.provisionAgent(character);
+
+      expect(server.requests[0]).toMatchObject({ method: 'POST', url: `/agents/${character.id}/set` });
+      expect(server.requests[0].body).toMatchObject({ id: character.id, name: 'nova' });
+      expect(agent).toEqual({ agentId: character.id, name: 'Nova' });
+    });
+
+    test('updates the agent the character already has', async () => {
+      server.reply = () => ({ data: {} });
+
+      const agent = await bridge.provisionAgent({ ...character, eliza: { agentId: 'agent-1' } });
+
+      expect(server.requests[0].url).toBe('/agents/agent-1/set');
+      expect(agent.agentId).toBe('agent-1');
+    });
+
+    test('stops agents, treating an unknown agent as already stopped', async () => {
+      server.reply = () => ({ data: {} });
+      await expect(bridge.stopAgent('agent-1')).resolves.toBe(true);
+      expect(server.requests[0]).toMatchObject({ method: 'POST', url: '/agents/agent-1/stop' });
+
+      server.reply = () => ({ status: 404 });
+      await expect(bridge.stopAgent('agent-1')).resolves.toBe(false);
+
+      server.reply = () => ({ status: 500, data: { error: 'boom' } });
+      await expect(bridge.stopAgent('agent-1')).rejects.toBeInstanceOf(ElizaUnavailableError);
+    });
+
+    test('lists the agents the runtime has loaded', async () => {
+      server.reply = () => ({ data: { agents: [{ id: 'agent-1', name: 'Nova', clients: ['direct'] }, { id: 'agent-2', character: { name: 'Kai' } }] } });
+
+      await expect(bridge.listAgents()).resolves.toEqual([
+        { id: 'agent-1', name: 'Nova', clients: ['direct'] },
+        { id: 'agent-2', name: 'Kai', clients: [] }
+      ]);
+    });
+  });
+
+  test('toElizaError keeps errors that are already typed', () => {
+    const error = new ElizaTimeoutError('slow');
+    expect(bridge.toElizaError(error, 'agent-1')).toBe(error);
+  });
+});
@@ -0,0 +1,141 @@
+const { toElizaCharacter, validateElizaCharacter, fromElizaCharacter } = require('../eliza-character');
+
+const character = {
+  id: 'char-1',
+  name: 'Ava',
+  eliza: {
+    agentId: 'agent-1',
+    username: 'ava',
+    modelProvider: 'openai',
+    clients: ['twitter'],
+    plugins: [],
+    settings: { model: 'gpt-4o', secrets: { TWITTER_PASSWORD: 'hunter2' } }
+  },
+  personality: {
+    system: 'You are Ava.',
+    bio: ['Travel writer.'],
+    lore: ['Grew up in Lisbon.'],
+    knowledge: ['Knows every cafe in Alfama.'],
+    messageExamples: [[{ user: '{{user1}}', content: { text: 'Hi' } }, { user: 'Ava', content: { text: 'Ola!' } }]],
+    postExamples: ['Sunrise over the Tagus.'],
+    topics: ['travel'],
+    style: { all: ['warm'], chat: ['short'], post: ['vivid'] },
+    adjectives: ['curious'],
+    people: []
+  },
+  voice: { model: 'kokoro', speaker: 'af_bella', speed: 1.1, url: 'https://voices.example/ava' }
+};
+
+const isVoiceModel = name => name === 'kokoro';
+
+describe('toElizaCharacter', () => {
+  test('exports an Eliza character.json without secrets or pipeline-only voice fields', () => {
+    const json = toElizaCharacter(character);
+
+    expect(json).toMatchObject({
+      name: 'Ava',
+      system: 'You are Ava.',
+      username: 'ava',
+      modelProvider: 'openai',
+      clients: ['twitter'],
+      settings: { model: 'gpt-4o', secrets: {}, voice: { model: 'kokoro', url: 'https://voices.example/ava' } },
+      style: { all: ['warm'], chat: ['short'], post: ['vivid'] }
+    });
+    expect(json.settings.voice).not.toHaveProperty('speaker');
+    expect(json).not.toHaveProperty('id');
+    expect(validateElizaCharacter(json)).toEqual([]);
+  });
+
+  test('fills the lists Eliza expects for a bare character', () => {
+    expect(toElizaCharacter({ name: 'Bo' })).toEqual({
+      name: 'Bo',
+      modelProvider: 'openrouter',
+      clients: [],
+      plugins: [],
+      settings: { secrets: {}, voice: { model: '' } },
+      bio: [],
+      lore: [],
+      knowledge: [],
+      messageExamples: [],
+      postExamples: [],
+      topics: [],
+      style: { all: [], chat: [], post: [] },
+      adjectives: [],
+      people: []
+    });
+  });
+});
+
+describe('fromElizaCharacter', () => {
+  test('round-trips an exported character', () => {
+    const { characterData, unmapped, warnings } = fromElizaCharacter(toElizaCharacter(character), { isVoiceModel });
+
+    expect(characterData.name).toBe('Ava');
+    expect(characterData.personality).toEqual(character.personality);
+    expect(characterData.eliza).toEqual({
+      username: 'ava',
+      modelProvider: 'openai',
+      clients: ['twitter'],
+      plugins: [],
+      settings: { model: 'gpt-4o' }
+    });
+    expect(characterData.voice).toEqual({ model: 'kokoro', url: 'https://voices.example/ava' });
+    expect(unmapped).toEqual([]);
+    expect(warnings).toEqual([]);
+  });
+
+  test('reports fields that have nowhere to go', () => {
+    const { characterData, unmapped } = fromElizaCharacter({
+      id: 'eliza-id',
+      name: '  Ava  ',
+      bio: 'A single bio string.',
+      favouriteColour: 'teal',
+      settings: { secrets: { OPENAI_API_KEY: 'sk-1' } }
+    });
+
+    expect(characterData.name).toBe('Ava');
+    expect(characterData.personality.bio).toEqual(['A single bio string.']);
+    expect(unmapped).toEqual([
+      { field: 'settings.secrets', reason: 'secrets are never imported' },
+      { field: 'id', reason: 'agent IDs are assigned when the agent is provisioned' },
+      { field: 'favouriteColour', reason: 'not an Eliza character field' }
+    ]);
+  });
+
+  test('keeps a voice model we cannot synthesize for the Eliza agent only', () => {
+    const { characterData, warnings } = fromElizaCharacter({
+      name: 'Ava',
+      settings: { voice: { model: 'en_US-hfc_female-medium' } }
+    }, { isVoiceModel });
+
+    expect(characterData.voice).toEqual({});
+    expect(characterData.eliza.settings).toEqual({ voice: { model: 'en_US-hfc_female-medium' } });
+    expect(warnings).toEqual([expect.stringContaining('is not a registered tts model')]);
+  });
+});
+
+describe('validateElizaCharacter', () => {
+  test('requires an object with a name', () => {
+    expect(validateElizaCharacter([])).toEqual(['character must be a JSON object']);
+    expect(validateElizaCharacter({ name: ' ' })).toEqual(['name must be a non-empty string of at most 100 characters']);
+  });
+
+  test('reports each field with the wrong type', () => {
+    expect(validateElizaCharacter({
+      name: 'Ava',
+      bio: [1],
+      topics: 'travel',
+      knowledge: [{ text: 'no path' }],
+      messageExamples: [[{ user: 'Ava', content: 'Hi' }]],
+      style: { chat: 'short' },
+      settings: { voice: 'kokoro' }
+    })).toEqual([
+      'bio must be a string or an array of strings',
+      'topics must be an array of strings',
+      'knowledge must be an array of strings or { path } entries',
+      'messageExamples must be an array of conversations of { user, content: { text } } messages',
+      'style.chat must be an array of strings',
+      'settings.voice must be an object'
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('../../utils/database', () => ({ query: jest.fn() }));
+jest.mock('../../utils/redis', () => ({ setCache: jest.fn(), getCache: jest.fn(), deleteCache: jest.fn() }));
+
+const PromptTemplateManager = require('../prompt-template-manager');
+
+const character = {
+  id: 'char-1',
+  name: 'Ava',
+  personality: {
+    bio: ['Travel writer.', 'Coffee lover.'],
+    adjectives: ['curious', 'warm'],
+    topics: []
+  }
+};
+
+function render(template, variables) {
+  return new PromptTemplateManager().render({ name: 'test', version: 1, ...template }, { character, variables });
+}
+
+describe('PromptTemplateManager.render', () => {
+  test('fills character fields and variables, joining lists', () => {
+    const result = render({
+      system: 'You are {{character.name}}. {{character.bio}}',
+      template: 'Be {{character.adjectives}} about {{topic}}.'
+    }, { topic: 'Lisbon' });
+
+    expect(result.system).toBe('You are Ava. Travel writer. Coffee lover.');
+    expect(result.prompt).toBe('Be curious, warm about Lisbon.');
+    expect(result.missing).toEqual([]);
+  });
+
+  test('drops lines whose placeholders are all empty', () => {
+    const result = render({
+      template: 'Write a post.\nTopics: {{character.topics}}\nStyle: {{character.style.post}}\nAbout: {{topic}}'
+    }, { topic: 'coffee' });
+
+    expect(result.prompt).toBe('Write a post.\nAbout: coffee');
+  });
+
+  test('keeps a line when at least one of its placeholders has a value', () => {
+    expect(render({ template: '{{character.name}} on {{character.topics}}' }).prompt).toBe('Ava on');
+  });
+
+  test('keeps lines without placeholders even when blank', () => {
+    expect(render({ template: 'One\n\n{{nothing}}\nTwo' }).prompt).toBe('One\n\nTwo');
+  });
+
+  test('joins lists with newlines using the lines filter', () => {
+    expect(render({ template: 'Notes:\n{{notes|lines}}' }, { notes: ['first', 'second'] }).prompt)
+      .toBe('Notes:\nfirst\nsecond');
+  });
+
+  test('reports variables the template used but the request did not send', () => {
+    const result = render({ system: '{{tone}}', template: '{{topic}} {{tone}} {{character.topics}}' }, {});
+    expect(result.missing.sort()).toEqual(['tone', 'topic']);
+  });
+});
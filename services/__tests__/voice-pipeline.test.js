@@ -0,0 +1,61 @@
+
+const VoicePipeline = require('../voice-pipeline');
+
+const modelRouter = {
+  models: new Map([['kokoro', { capabilities: ['tts'] }], ['llama', { capabilities: ['all'] }]]),
+  supportsCapability: (model, capability) => model.capabilities.includes(capability)
+};
+
+describe('VoicePipeline.validateVoiceProfile', () => {
+  const pipeline = new VoicePipeline(modelRouter, null);
+
+  test('accepts a complete profile, an empty one and no profile', () => {
+    expect(() => pipeline.validateVoiceProfile({ model: 'kokoro', speaker: 'af_bella', speed: 1.2, pitch: -3 })).not.toThrow();
+    expect(() => pipeline.validateVoiceProfile({})).not.toThrow();
+    expect(() => pipeline.validateVoiceProfile(null)).not.toThrow();
+  });
+
+  test('keeps unknown keys such as Eliza voice settings', () => {
+    expect(() => pipeline.validateVoiceProfile({ elevenlabs: { voiceId: 'abc' } })).not.toThrow();
+  });
+
+  test('accepts the range boundaries', () => {
+    expect(() => pipeline.validateVoiceProfile({ speed: 0.25, pitch: 12 })).not.toThrow();
+    expect(() => pipeline.validateVoiceProfile({ speed: 4, pitch: -12 })).not.toThrow();
+  });
+
+  test('rejects a profile that is not an object', () => {
+    expect(() => pipeline.validateVoiceProfile(['kokoro'])).toThrow('Invalid voice profile: voice must be an object');
+  });
+
+  test('lists every out-of-range field with a 400', () => {
+    let error;
+    try {
+      pipeline.validateVoiceProfile({ speaker: 'x'.repeat(101), speed: 5, pitch: '2' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Invalid voice profile: voice.speaker must be a string of at most 100 characters; ' +
+      'voice.speed must be a number between 0.25 and 4; voice.pitch must be a number of semitones between -12 and 12');
+  });
+
+  test('requires voice.model to be a registered tts model', () => {
+    expect(() => pipeline.validateVoiceProfile({ model: 'llama' })).toThrow('voice.model llama is not a registered tts model');
+    expect(() => pipeline.validateVoiceProfile({ model: 'missing' })).toThrow('voice.model missing is not a registered tts model');
+  });
+});
+
+describe('VoicePipeline.removeVoiceMessage', () => {
+  test('deletes the stored file and ignores failures', async () => {
+    const fileStore = { remove: jest.fn().mockResolvedValue() };
+    const pipeline = new VoicePipeline(modelRouter, fileStore);
+
+    await pipeline.removeVoiceMessage('voice-file');
+    expect(fileStore.remove).toHaveBeenCalledWith('voice-file');
+
+    fileStore.remove.mockRejectedValue(new Error('File not found'));
+    await expect(pipeline.removeVoiceMessage('voice-file')).resolves.toBeUndefined();
+  });
+});
@@ -1,20 +1,120 @@
 // Character Manager Service
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const logger = require('../utils/logger');
 const { query } = require('../utils/database');
 const { setCache, getCache, deleteCache } = require('../utils/redis');
+const { AppError } = require('../middleware/error-handler');
+const { toAssistantMessage } = require('../model-router/tool-calls');
+const { toElizaCharacter, validateElizaCharacter, fromElizaCharacter } = require('./eliza-character');
+const { ElizaUnavailableError, ElizaAgentNotFoundError } = require('./eliza-errors');
+
+// Fields pushed to a character's Eliza agent; updating any of them re-provisions it
+const AGENT_FIELDS = ['name', 'displayName', 'personality', 'voice', 'eliza'];
+const EXPORT_FORMATS = ['eliza'];
+const MAX_IMPORT_CHARACTERS = 50;
+// Agent failures that fall back to the model router rather than failing the interaction. A timed-out
+// message may still be answered by the agent, so timeouts fail with 504 instead of answering twice
+const AGENT_UNAVAILABLE_ERRORS = [ElizaUnavailableError, ElizaAgentNotFoundError];
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    displayName: row.display_name,
+    eliza: row.eliza_config,
+    personality: row.personality,
+    voice: row.voice_config,
+    visual: row.visual_config,
+    settings: row.settings,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    metadata: row.metadata || {}
+  };
+}
 
 class CharacterManager {
-  constructor(elizaBridge = null, modelRouter = null) {
+  constructor(elizaBridge = null, modelRouter = null, toolExecutor = null, templateManager = null, imagePipeline = null, voicePipeline = null) {
     this.elizaBridge = elizaBridge;
     this.modelRouter = modelRouter;
+    this.toolExecutor = toolExecutor;
+    this.templateManager = templateManager;
+    this.imagePipeline = imagePipeline;
+    this.voicePipeline = voicePipeline;
+    this.maxToolSteps = parseInt(process.env.TOOL_MAX_STEPS) || 3;
     this.characters = new Map(); // In-memory cache for Phase 1
     logger.info('CharacterManager initialized');
   }
 
+  // Generation parameters accepted on interactions and in settings.generation
+  pickGenerationOptions(source = {}) {
+    const options = {
+      model: source.model,
+      temperature: source.temperature,
+      topP: source.topP ?? source.top_p,
+      maxTokens: source.maxTokens ?? source.max_tokens,
+      stop: source.stop,
+      seed: source.seed
+    };
+
+    for (const key of Object.keys(options)) {
+      if (options[key] === undefined) delete options[key];
+    }
+    return options;
+  }
+
+  // Reject invalid default generation settings before they are stored
+  validateGenerationSettings(settings) {
+    if (settings?.generation && this.modelRouter) {
+      this.modelRouter.validateGenerationOptions(this.pickGenerationOptions(settings.generation));
+    }
+  }
+
+  // Reject unknown tool names in settings.tools before they are stored
+  validateToolSettings(settings) {
+    if (settings?.tools != null && this.toolExecutor) {
+      this.toolExecutor.validateToolNames(settings.tools);
+    }
+  }
+
+  // Reject prompt template pins that don't point at an existing template version
+  async validatePromptTemplateSettings(settings) {
+    if (settings?.promptTemplates != null && this.templateManager) {
+      await this.templateManager.validatePins(settings.promptTemplates);
+    }
+  }
+
+  // Reject an invalid visual profile or reference images that aren't stored images
+  async validateVisualSettings(visual) {
+    if (visual != null && this.imagePipeline) {
+      await this.imagePipeline.validateVisualProfile(visual);
+    }
+  }
+
+  // Reject voice settings the TTS pipeline couldn't use
+  validateVoiceSettings(voice) {
+    if (voice != null && this.voicePipeline) {
+      this.voicePipeline.validateVoiceProfile(voice);
+    }
+  }
+
+  // Character defaults from settings.generation, overridden by the request
+  resolveGenerationOptions(character, requested = {}) {
+    return {
+      ...this.pickGenerationOptions(character.settings?.generation),
+      ...this.pickGenerationOptions(requested)
+    };
+  }
+
   // Create a new character
   async createCharacter(characterData) {
     try {
+      this.validateGenerationSettings(characterData.settings);
+      this.validateToolSettings(characterData.settings);
+      await this.validatePromptTemplateSettings(characterData.settings);
+      await this.validateVisualSettings(characterData.visual);
+      this.validateVoiceSettings(characterData.voice);
+
       const characterId = uuidv4();
       const timestamp = new Date().toISOString();
 
@@ -44,13 +144,14 @@ class CharacterManager {
 
       // Store in database
       const result = await query(
-        `INSERT INTO characters (id, name, display_name, eliza_config, personality, voice_config, visual_config, settings, status, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `INSERT INTO characters (id, name, display_name, eliza_agent_id, eliza_config, personality, voice_config, visual_config, settings, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
          RETURNING *`,
         [
           character.id,
           character.name,
           character.displayName,
+          character.eliza.agentId || null,
           JSON.stringify(character.eliza),
           JSON.stringify(character.personality),
           JSON.stringify(character.voice),
@@ -66,18 +167,11 @@ class CharacterManager {
       this.characters.set(characterId, character);
       await setCache(`character:${characterId}`, character, 3600);
 
-      // Sync with Eliza if bridge is available
-      if (this.elizaBridge) {
-        try {
-          await this.elizaBridge.syncCharacter(character);
-          logger.info(`Character synced with Eliza: ${character.name}`);
-        } catch (error) {
-          logger.warn(`Failed to sync character with Eliza: ${error.message}`);
-        }
-      }
+      // Give the character an Eliza agent if the runtime is available
+      const agent = await this.ensureAgent(character);
 
       logger.info(`Character created: ${character.name} (${characterId})`);
-      return character;
+      return agent.provisioned ? this.getCharacter(characterId) : character;
 
     } catch (error) {
       logger.error('Failed to create character', { error: error.message });
@@ -111,21 +205,7 @@ class CharacterManager {
         return null;
       }
 
-      const row = result.rows[0];
-      character = {
-        id: row.id,
-        name: row.name,
-        displayName: row.display_name,
-        eliza: row.eliza_config,
-        personality: row.personality,
-        voice: row.voice_config,
-        visual: row.visual_config,
-        settings: row.settings,
-        status: row.status,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-        metadata: row.metadata || {}
-      };
+      character = fromRow(result.rows[0]);
 
       // Update caches
       this.characters.set(characterId, character);
@@ -160,20 +240,7 @@ class CharacterManager {
         params
       );
 
-      const characters = result.rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        displayName: row.display_name,
-        eliza: row.eliza_config,
-        personality: row.personality,
-        voice: row.voice_config,
-        visual: row.visual_config,
-        settings: row.settings,
-        status: row.status,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-        metadata: row.metadata || {}
-      }));
+      const characters = result.rows.map(fromRow);
 
       return characters;
 
@@ -191,6 +258,26 @@ class CharacterManager {
         throw new Error('Character not found');
       }
 
+      if (updates.settings) {
+        this.validateGenerationSettings(updates.settings);
+        this.validateToolSettings(updates.settings);
+        await this.validatePromptTemplateSettings(updates.settings);
+      }
+      if (updates.visual) {
+        await this.validateVisualSettings(updates.visual);
+      }
+      if (updates.voice) {
+        this.validateVoiceSettings(updates.voice);
+      }
+
+      // The agent ID is recorded by provisioning (saveAgentId); profile updates never change or clear it
+      if (updates.eliza) {
+        updates = {
+          ...updates,
+          eliza: { ...updates.eliza, agentId: character.eliza?.agentId, teardownPending: character.eliza?.teardownPending }
+        };
+      }
+
       const updatedCharacter = {
         ...character,
         ...updates,
@@ -200,7 +287,8 @@ class CharacterManager {
       await query(
         `UPDATE characters SET 
          name = $2, display_name = $3, eliza_config = $4, personality = $5,
-         voice_config = $6, visual_config = $7, settings = $8, status = $9, updated_at = $10
+         voice_config = $6, visual_config = $7, settings = $8, status = $9, updated_at = $10,
+         eliza_agent_id = $11
          WHERE id = $1`,
         [
           characterId,
@@ -212,7 +300,8 @@ class CharacterManager {
           JSON.stringify(updatedCharacter.visual),
           JSON.stringify(updatedCharacter.settings),
           updatedCharacter.status,
-          updatedCharacter.updatedAt
+          updatedCharacter.updatedAt,
+          updatedCharacter.eliza?.agentId || null
         ]
       );
 
@@ -220,12 +309,11 @@ class CharacterManager {
       this.characters.set(characterId, updatedCharacter);
       await setCache(`character:${characterId}`, updatedCharacter, 3600);
 
-      // Sync with Eliza
-      if (this.elizaBridge) {
-        try {
-          await this.elizaBridge.syncCharacter(updatedCharacter);
-        } catch (error) {
-          logger.warn(`Failed to sync updated character with Eliza: ${error.message}`);
+      // Push profile changes to the character's running agent
+      if (updatedCharacter.eliza?.agentId && AGENT_FIELDS.some(field => updates[field] !== undefined)) {
+        const agent = await this.ensureAgent(updatedCharacter);
+        if (agent.provisioned) {
+          return this.getCharacter(characterId);
         }
       }
 
@@ -246,6 +334,14 @@ class CharacterManager {
         throw new Error('Character not found');
       }
 
+      // The agent goes first. If it can't be stopped the character is kept, flagged teardownPending, so
+      // reconciliation can still find and stop the agent; the delete can be retried afterwards
+      const agent = await this.teardownAgent(character);
+      if (agent.error) {
+        await this.updateCharacter(characterId, { status: 'inactive' });
+        throw new AppError(`Character not deleted: its Eliza agent ${agent.agentId} could not be stopped (${agent.error})`, 503);
+      }
+
       await query('DELETE FROM characters WHERE id = $1', [characterId]);
 
       // Clear caches
@@ -261,21 +357,367 @@ class CharacterManager {
     }
   }
 
-  // Interact with character
-  async interact(characterId, message, context = {}) {
+  // A character in an exchange format; only Eliza's character.json for now
+  async exportCharacter(characterId, format = 'eliza') {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const character = await this.getCharacter(characterId);
+    if (!character) {
+      throw new AppError('Character not found', 404);
+    }
+    return toElizaCharacter(character);
+  }
+
+  // Create characters from Eliza character.json files ({ source, data } entries, or { source, error } for files
+  // that didn't parse). Each is validated and imported on its own; the report says what was created, what failed
+  // and which fields had no XCreator equivalent. With dryRun nothing is created
+  async importCharacters(entries, { dryRun = false } = {}) {
+    try {
+      if (entries.length > MAX_IMPORT_CHARACTERS) {
+        throw new AppError(`At most ${MAX_IMPORT_CHARACTERS} characters can be imported at once`, 400);
+      }
+
+      const isVoiceModel = (name) => {
+        const model = this.modelRouter?.models.get(name);
+        return !!model && this.modelRouter.supportsCapability(model, 'tts');
+      };
+
+      const results = [];
+      for (const [index, entry] of entries.entries()) {
+        const result = {
+          index,
+          source: entry.source,
+          name: typeof entry.data?.name === 'string' ? entry.data.name : null,
+          status: 'failed',
+          characterId: null,
+          errors: [],
+          warnings: [],
+          unmapped: []
+        };
+        results.push(result);
+
+        if (entry.error) {
+          result.errors.push(entry.error);
+          continue;
+        }
+        const errors = validateElizaCharacter(entry.data);
+        if (errors.length > 0) {
+          result.errors = errors;
+          continue;
+        }
+
+        const { characterData, unmapped, warnings } = fromElizaCharacter(entry.data, { isVoiceModel });
+        result.unmapped = unmapped;
+        result.warnings = warnings;
+
+        try {
+          if (dryRun) {
+            this.validateVoiceSettings(characterData.voice);
+            result.status = 'valid';
+          } else {
+            const character = await this.createCharacter(characterData);
+            result.status = 'created';
+            result.characterId = character.id;
+          }
+        } catch (error) {
+          result.errors.push(error.message);
+        }
+      }
+
+      const report = {
+        dryRun,
+        total: results.length,
+        created: results.filter(result => result.status === 'created').length,
+        valid: results.filter(result => result.status === 'valid').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        results
+      };
+
+      logger.info('Characters imported', { dryRun, total: report.total, created: report.created, failed: report.failed });
+      return report;
+
+    } catch (error) {
+      logger.error('Failed to import characters', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Build a system prompt from the character's personality profile
+  buildSystemPrompt(character) {
+    const personality = character.personality || {};
+    const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+    const lines = [`You are ${character.displayName || character.name}.`];
+
+    const bio = toList(personality.bio);
+    if (bio.length > 0) lines.push(bio.join(' '));
+
+    const lore = toList(personality.lore);
+    if (lore.length > 0) lines.push(`Background: ${lore.join(' ')}`);
+
+    const adjectives = toList(personality.adjectives);
+    if (adjectives.length > 0) lines.push(`Personality: ${adjectives.join(', ')}.`);
+
+    const topics = toList(personality.topics);
+    if (topics.length > 0) lines.push(`Favourite topics: ${topics.join(', ')}.`);
+
+    const style = [...toList(personality.style?.all), ...toList(personality.style?.chat)];
+    if (style.length > 0) lines.push(`Style: ${style.join(' ')}`);
+
+    lines.push('Stay in character and reply conversationally.');
+    return lines.join('\n');
+  }
+
+  // Pin a prompt template version for one content type, or unpin it with pin = null
+  async pinPromptTemplate(characterId, contentType, pin) {
+    const character = await this.getCharacter(characterId);
+    if (!character) {
+      throw new Error('Character not found');
+    }
+
+    const promptTemplates = { ...character.settings?.promptTemplates };
+    if (pin) {
+      promptTemplates[contentType] = { name: pin.name, version: pin.version };
+    } else {
+      delete promptTemplates[contentType];
+    }
+
+    return this.updateCharacter(characterId, {
+      settings: { ...character.settings, promptTemplates }
+    });
+  }
+
+  // Answer a voice message: transcribe it, then interact with the transcript. The original audio and the
+  // transcript are stored with the conversation row
+  async interactByVoice(characterId, audio, context = {}, options = {}) {
+    const character = await this.getCharacter(characterId);
+    if (!character) {
+      throw new AppError('Character not found', 404);
+    }
+    if (!this.voicePipeline) {
+      throw new AppError('Voice messages are not available', 503);
+    }
+
+    const conversationId = uuidv4();
+    const transcript = await this.voicePipeline.transcribe(character, audio, {
+      language: options.language,
+      conversationId,
+      userId: options.userId,
+      apiKeyId: options.apiKeyId
+    });
+
+    let result;
+    try {
+      result = await this.interact(characterId, transcript.text, context, {
+        ...options,
+        conversationId,
+        voiceMessage: {
+          fileId: transcript.file.id,
+          transcript: {
+            text: transcript.text,
+            language: transcript.language,
+            duration: transcript.duration,
+            model: transcript.model
+          }
+        }
+      });
+    } catch (error) {
+      // No conversation was saved, so the stored voice message would point at nothing
+      await this.voicePipeline.removeVoiceMessage(transcript.file.id);
+      throw error;
+    }
+
+    return {
+      ...result,
+      transcript: {
+        text: transcript.text,
+        language: transcript.language,
+        duration: transcript.duration
+      },
+      voiceMessage: transcript.file
+    };
+  }
+
+  // Generate a new avatar from the character's visual profile and store it on visual.avatar
+  async regenerateAvatar(characterId, { prompt, seed, userId = null } = {}) {
+    const character = await this.getCharacter(characterId);
+    if (!character) {
+      throw new AppError('Character not found', 404);
+    }
+    if (!this.imagePipeline) {
+      throw new AppError('Image generation is not available', 503);
+    }
+
+    const visual = character.visual || {};
+    if (!visual.basePrompt) {
+      throw new AppError('Set visual.basePrompt before regenerating the avatar', 400);
+    }
+
+    const [image] = await this.imagePipeline.generate(
+      {
+        prompt: prompt || visual.avatarPrompt || 'head and shoulders portrait, looking at the camera, plain background',
+        seed,
+        width: 1024,
+        height: 1024,
+        presets: ['instagram-square']
+      },
+      { character, userId }
+    );
+
+    const updated = await this.updateCharacter(characterId, {
+      visual: {
+        ...visual,
+        avatar: {
+          imageId: image.id,
+          url: image.url,
+          thumbnailUrl: image.thumbnailUrl,
+          generatedAt: new Date().toISOString()
+        }
+      }
+    });
+
+    logger.info('Avatar regenerated', { characterId, imageId: image.id });
+    return { character: updated, image };
+  }
+
+  // System prompt and user turn for a chat reply, from the character's interaction template
+  async buildInteractionPrompt(character, message, context = {}) {
+    if (!this.templateManager) {
+      return { systemPrompt: this.buildSystemPrompt(character), message, template: null };
+    }
+
+    const rendered = await this.templateManager.renderForCharacter(character, 'character-interaction', {
+      ...context,
+      message
+    });
+    return {
+      systemPrompt: rendered.system,
+      message: rendered.prompt || message,
+      template: { name: rendered.name, version: rendered.version }
+    };
+  }
+
+  // Let the model call tools until it answers, for at most maxToolSteps rounds;
+  // the round after that has tools disabled so the model has to reply
+  async runToolLoop(character, message, tools, requestOptions) {
+    const messages = [{ role: 'user', content: message }];
+    const toolCalls = [];
+
+    for (let step = 1; ; step++) {
+      const lastStep = step > this.maxToolSteps;
+      const response = await this.modelRouter.chatCompletion(messages, {
+        ...requestOptions,
+        tools,
+        toolChoice: lastStep ? 'none' : 'auto'
+      });
+
+      const calls = response.toolCalls || [];
+      if (lastStep || calls.length === 0) {
+        return { response, toolCalls };
+      }
+
+      messages.push(toAssistantMessage(response.text, calls));
+      for (const call of calls) {
+        const result = await this.toolExecutor.execute(call, { character, step, message });
+        toolCalls.push({ name: result.name, success: result.success, executionTime: result.executionTime, step });
+        messages.push({ role: 'tool', tool_call_id: result.id, name: result.name, content: result.content });
+      }
+    }
+  }
+
+  // Interact with character. Options:
+  //   generation - model, temperature, topP, maxTokens, stop, seed (merged over settings.generation)
+  //   onToken    - stream the reply token by token
+  //   sessionId  - conversation session (UUID); keeps A/B experiment assignment sticky, generated when missing
+  //   voiceMessage - { fileId, transcript } when the message is a transcribed voice note
+  // Tools listed in settings.tools are offered to the model and run server-side between steps
+  async interact(characterId, message, context = {}, options = {}) {
     try {
       const character = await this.getCharacter(characterId);
       if (!character) {
         throw new Error('Character not found');
       }
 
+      if (options.sessionId && !isUuid(options.sessionId)) {
+        throw new AppError('sessionId must be a UUID', 400);
+      }
+      const sessionId = options.sessionId || uuidv4();
+
       const startTime = Date.now();
+      const generation = this.resolveGenerationOptions(character, options.generation);
+      const tools = this.toolExecutor ? this.toolExecutor.getDefinitions(character.settings?.tools) : [];
+
+      // Characters answer through their Eliza agent once one is provisioned. Agents can't stream, call our
+      // tools, honour generation options or take part in model experiments, so those requests go to the
+      // model router, as do replies while the agent is unavailable
+      const useAgent = !!(this.elizaBridge && character.eliza?.agentId && !character.eliza.teardownPending);
+      const routerReasons = {
+        streaming: !!options.onToken,
+        tools: tools.length > 0,
+        generation: Object.keys(generation).length > 0,
+        experiment: !!this.modelRouter?.findExperiment({ capability: 'conversation', characterId })
+      };
+      const needsRouter = Object.values(routerReasons).some(Boolean);
 
       let response;
-      if (this.elizaBridge) {
-        // Use Eliza for interaction
-        response = await this.elizaBridge.interact(character.eliza.agentId, message, context);
-      } else {
+      let toolCalls = [];
+      let promptTemplate = null;
+      if (useAgent && needsRouter && this.modelRouter) {
+        logger.info(`Answering ${character.name} through the model router instead of its Eliza agent`, {
+          characterId,
+          ...routerReasons
+        });
+      } else if (useAgent) {
+        try {
+          response = await this.elizaBridge.interact(character.eliza.agentId, message, context, {
+            sessionId,
+            userId: options.userId
+          });
+        } catch (error) {
+          if (!this.modelRouter || !AGENT_UNAVAILABLE_ERRORS.some(type => error instanceof type)) {
+            throw error;
+          }
+          logger.warn(`Eliza agent unavailable for ${character.name}, answering through the model router`, {
+            characterId,
+            agentId: character.eliza.agentId,
+            error: error.message
+          });
+        }
+      }
+
+      if (!response && this.modelRouter) {
+        const prompt = await this.buildInteractionPrompt(character, message, context);
+        promptTemplate = prompt.template;
+        const requestOptions = {
+          ...generation,
+          systemPrompt: prompt.systemPrompt,
+          // Live chat goes ahead of queued autonomous work
+          priority: 'interactive',
+          characterId,
+          apiKeyId: options.apiKeyId,
+          userId: options.userId,
+          sessionId,
+          signal: options.signal
+        };
+
+        if (tools.length > 0) {
+          ({ response, toolCalls } = await this.runToolLoop(character, prompt.message, tools, requestOptions));
+          // Steps that call tools aren't streamed, so the final reply arrives as a single chunk
+          if (options.onToken && response.text) {
+            options.onToken(response.text);
+          }
+        } else {
+          response = await this.modelRouter.chatCompletion([
+            { role: 'user', content: prompt.message }
+          ], {
+            ...requestOptions,
+            onToken: options.onToken
+          });
+        }
+      } else if (!response && needsRouter) {
+        throw new Error('Streaming, tools and generation options require the model router');
+      } else if (!response) {
         // Fallback mock response
         response = {
           text: `Hello! I'm ${character.name}. I received your message: "${message}". This is a mock response for testing.`,
@@ -285,19 +727,29 @@ class CharacterManager {
       }
 
       const responseTime = Date.now() - startTime;
+      const conversationId = options.conversationId || uuidv4();
+      const voiceMessage = options.voiceMessage || null;
 
-      // Store conversation
+      // Store conversation, tagged with the model and experiment variant that answered
       await query(
-        `INSERT INTO conversations (id, character_id, user_message, character_response, context, response_time, created_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        `INSERT INTO conversations (id, character_id, session_id, user_id, user_message, agent_response, context,
+                                    response_time, model, experiment, variant, input_type, audio_file_id, transcript)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
         [
-          uuidv4(),
+          conversationId,
           characterId,
+          sessionId,
+          options.userId || null,
           message,
           response.text,
           JSON.stringify(context),
           responseTime,
-          new Date().toISOString()
+          response.model || response.source || null,
+          response.experiment?.experiment || null,
+          response.experiment?.variant || null,
+          voiceMessage ? 'voice' : 'text',
+          voiceMessage?.fileId || null,
+          voiceMessage ? JSON.stringify(voiceMessage.transcript) : null
         ]
       );
 
@@ -306,11 +758,21 @@ class CharacterManager {
       character.metadata.lastActive = new Date().toISOString();
       await this.updateCharacter(characterId, { metadata: character.metadata });
 
-      logger.info(`Character interaction: ${character.name}`, { responseTime: `${responseTime}ms` });
+      logger.info(`Character interaction: ${character.name}`, {
+        responseTime: `${responseTime}ms`,
+        streamed: !!options.onToken,
+        toolCalls: toolCalls.length
+      });
 
       return {
         response: response.text,
         confidence: response.confidence,
+        model: response.model || response.source,
+        experiment: response.experiment || null,
+        promptTemplate,
+        conversationId,
+        sessionId,
+        toolCalls,
         responseTime,
         timestamp: new Date().toISOString()
       };
@@ -329,15 +791,18 @@ class CharacterManager {
         throw new Error('Character not found');
       }
 
+      // Create the agent, or push the current profile to the one it has
+      const agent = await this.ensureAgent(character);
+
       if (character.status === 'active') {
         logger.warn(`Character already active: ${character.name}`);
-        return { success: false, message: 'Character already active' };
+        return { success: false, message: 'Character already active', agent };
       }
 
       await this.updateCharacter(characterId, { status: 'active' });
 
       logger.info(`Started autonomous operations for: ${character.name}`);
-      return { success: true, message: 'Autonomous operations started' };
+      return { success: true, message: 'Autonomous operations started', agent };
 
     } catch (error) {
       logger.error('Failed to start autonomous operations', { characterId, error: error.message });
@@ -353,16 +818,124 @@ class CharacterManager {
         throw new Error('Character not found');
       }
 
+      const agent = await this.teardownAgent(character);
       await this.updateCharacter(characterId, { status: 'inactive' });
 
       logger.info(`Stopped autonomous operations for: ${character.name}`);
-      return { success: true, message: 'Autonomous operations stopped' };
+      return { success: true, message: 'Autonomous operations stopped', agent };
 
     } catch (error) {
       logger.error('Failed to stop autonomous operations', { characterId, error: error.message });
       throw error;
     }
   }
+
+  // Record the character's agent ID (null once torn down) without going back through updateCharacter.
+  // With teardownPending the agent is kept on record until reconciliation manages to stop it
+  async saveAgentId(character, agentId, { teardownPending = false } = {}) {
+    const eliza = { ...character.eliza, agentId: agentId || undefined, teardownPending: teardownPending || undefined };
+    const updatedAt = new Date().toISOString();
+
+    await query(
+      'UPDATE characters SET eliza_agent_id = $2, eliza_config = $3, updated_at = $4 WHERE id = $1',
+      [character.id, agentId, JSON.stringify(eliza), updatedAt]
+    );
+
+    const updatedCharacter = { ...character, eliza, updatedAt };
+    this.characters.set(character.id, updatedCharacter);
+    await setCache(`character:${character.id}`, updatedCharacter, 3600);
+    return updatedCharacter;
+  }
+
+  // Create or update the character's Eliza agent and record its ID. Failures are logged and returned
+  // rather than thrown: the character keeps answering through the model router and startup reconciliation retries
+  async ensureAgent(character) {
+    if (!this.elizaBridge) {
+      return { agentId: null, provisioned: false, error: 'Eliza bridge is not configured' };
+    }
+
+    try {
+      const { agentId } = await this.elizaBridge.provisionAgent(character);
+      if (agentId !== character.eliza?.agentId || character.eliza?.teardownPending) {
+        await this.saveAgentId(character, agentId);
+      }
+      return { agentId, provisioned: true };
+
+    } catch (error) {
+      logger.warn(`Failed to provision Eliza agent for ${character.name}: ${error.message}`);
+      return { agentId: character.eliza?.agentId || null, provisioned: false, error: error.message };
+    }
+  }
+
+  // Stop the character's Eliza agent and forget it. An agent the runtime no longer has counts as stopped
+  async teardownAgent(character) {
+    const agentId = character.eliza?.agentId;
+    if (!agentId || !this.elizaBridge) {
+      return { agentId: null, stopped: false };
+    }
+
+    try {
+      await this.elizaBridge.stopAgent(agentId);
+      await this.saveAgentId(character, null);
+      return { agentId, stopped: true };
+
+    } catch (error) {
+      logger.warn(`Failed to stop Eliza agent ${agentId} for ${character.name}: ${error.message}`);
+      try {
+        await this.saveAgentId(character, agentId, { teardownPending: true });
+      } catch (saveError) {
+        logger.warn(`Failed to flag Eliza agent ${agentId} for teardown: ${saveError.message}`);
+      }
+      return { agentId, stopped: false, error: error.message };
+    }
+  }
+
+  // Bring the runtime in line with the database: characters with a recorded agent or active status get
+  // one, and agents whose teardown failed are stopped. Agents are matched by the stored agent ID. Safe to run repeatedly
+  async reconcileAgents() {
+    const report = { provisioned: [], stopped: [], unchanged: [], failed: [], unmanaged: [] };
+    if (!this.elizaBridge) return report;
+
+    try {
+      const running = new Set((await this.elizaBridge.listAgents()).map(agent => agent.id));
+      const result = await query('SELECT * FROM characters ORDER BY created_at');
+      const known = new Set();
+
+      for (const row of result.rows) {
+        const character = fromRow(row);
+        this.characters.set(character.id, character);
+        const agentId = character.eliza?.agentId;
+        if (agentId) known.add(agentId);
+
+        if (agentId && character.eliza.teardownPending && character.status !== 'active') {
+          // Stopped while the runtime was down
+          const agent = await this.teardownAgent(character);
+          (agent.stopped ? report.stopped : report.failed).push(character.id);
+        } else if (agentId && running.has(agentId)) {
+          report.unchanged.push(character.id);
+        } else if (agentId || character.status === 'active') {
+          const agent = await this.ensureAgent(character);
+          (agent.provisioned ? report.provisioned : report.failed).push(character.id);
+        }
+      }
+
+      // Agents that aren't ours (or belonged to characters deleted while the runtime was down) are left alone
+      report.unmanaged = [...running].filter(id => !known.has(id));
+
+      logger.info('Eliza agents reconciled', {
+        provisioned: report.provisioned.length,
+        stopped: report.stopped.length,
+        unchanged: report.unchanged.length,
+        failed: report.failed.length,
+        unmanaged: report.unmanaged.length
+      });
+      return report;
+
+    } catch (error) {
+      logger.error('Failed to reconcile Eliza agents', { error: error.message });
+      throw error;
+    }
+  }
 }
 
 module.exports = CharacterManager;
@@ -3,15 +3,35 @@ const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
 const logger = require('../utils/logger');
+const {
+  ElizaError,
+  ElizaUnavailableError,
+  ElizaTimeoutError,
+  ElizaAgentNotFoundError,
+  ElizaResponseError
+} = require('./eliza-errors');
+const { toElizaCharacter } = require('./eliza-character');
+
+// Gateway errors from a proxy in front of the runtime usually clear up on their own
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE'];
 
 class ElizaBridge {
-  constructor(elizaBaseUrl = null) {
+  constructor(elizaBaseUrl = null, options = {}) {
     this.elizaBaseUrl = elizaBaseUrl || process.env.ELIZA_BASE_URL || 'http://localhost:4001';
+    // The agent runtime's REST API (the direct client) can live apart from the character generator
+    this.agentUrl = (options.agentUrl || process.env.ELIZA_AGENT_URL || this.elizaBaseUrl).replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.ELIZA_API_KEY || null;
+    this.requestTimeout = options.requestTimeout || parseInt(process.env.ELIZA_REQUEST_TIMEOUT) || 30000;
+    this.statusTimeout = options.statusTimeout || parseInt(process.env.ELIZA_STATUS_TIMEOUT) || 5000;
+    const maxRetries = parseInt(process.env.ELIZA_MAX_RETRIES);
+    this.maxRetries = options.maxRetries ?? (Number.isNaN(maxRetries) ? 2 : maxRetries);
+    this.retryDelay = options.retryDelay || parseInt(process.env.ELIZA_RETRY_DELAY) || 500;
     this.connected = false;
     this.app = express();
     this.setupMiddleware();
     this.setupRoutes();
-    logger.info('ElizaBridge initialized', { elizaBaseUrl: this.elizaBaseUrl });
+    logger.info('ElizaBridge initialized', { elizaBaseUrl: this.elizaBaseUrl, agentUrl: this.agentUrl });
   }
 
   setupMiddleware() {
@@ -144,31 +164,7 @@ class ElizaBridge {
   async syncCharacter(character) {
     try {
       // Convert XCreator character format to Eliza JSON format
-      const elizaCharacter = {
-        name: character.name,
-        clients: character.eliza?.clients || [],
-        modelProvider: character.eliza?.modelProvider || 'openrouter',
-        settings: {
-          secrets: {},
-          voice: {
-            model: character.voice?.model || ''
-          }
-        },
-        plugins: character.eliza?.plugins || [],
-        bio: character.personality?.bio || [],
-        lore: character.personality?.lore || [],
-        knowledge: character.personality?.knowledge || [],
-        messageExamples: character.personality?.messageExamples || [],
-        postExamples: character.personality?.postExamples || [],
-        topics: character.personality?.topics || [],
-        style: {
-          all: character.personality?.style?.all || [],
-          chat: character.personality?.style?.chat || [],
-          post: character.personality?.style?.post || []
-        },
-        adjectives: character.personality?.adjectives || [],
-        people: character.personality?.people || []
-      };
+      const elizaCharacter = toElizaCharacter(character);
 
       logger.debug('Character synced to Eliza format', { name: character.name });
       return elizaCharacter;
@@ -179,42 +175,184 @@ class ElizaBridge {
     }
   }
 
-  // Interact with Eliza agent (for future Phase 2)
-  async interact(agentId, message, context = {}) {
+  // Map an axios failure to a typed Eliza error
+  toElizaError(error, agentId) {
+    if (error instanceof ElizaError) return error;
+
+    const label = agentId ? `Eliza agent ${agentId}` : 'Eliza runtime';
+    const response = error.response;
+    if (response) {
+      const detail = response.data?.error || response.data?.message || response.statusText;
+      if (response.status === 404) {
+        return new ElizaAgentNotFoundError(`${label} not found`, { agentId });
+      }
+      if (RETRYABLE_STATUS_CODES.includes(response.status) || response.status >= 500) {
+        return new ElizaUnavailableError(`${label} failed with ${response.status}: ${detail}`, {
+          agentId,
+          retryable: RETRYABLE_STATUS_CODES.includes(response.status)
+        });
+      }
+      return new ElizaResponseError(`${label} rejected the request with ${response.status}: ${detail}`, { agentId });
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new ElizaTimeoutError(`${label} did not respond in time`, { agentId });
+    }
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+      return new ElizaUnavailableError(`${label} is unreachable at ${this.agentUrl} (${error.code})`, { agentId });
+    }
+    return new ElizaResponseError(`${label} request failed: ${error.message}`, { agentId });
+  }
+
+  // Call the agent runtime, retrying with backoff while it is unreachable. Timeouts are only
+  // retried for idempotent requests, since a message that timed out may still be answered
+  async requestAgent(method, urlPath, { agentId = null, data, timeout = this.requestTimeout, idempotent = method === 'get' } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['X-API-Key'] = this.apiKey;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios({ method, url: `${this.agentUrl}${urlPath}`, data, headers, timeout });
+        this.connected = true;
+        return response.data;
+
+      } catch (axiosError) {
+        const error = this.toElizaError(axiosError, agentId);
+        if (error instanceof ElizaUnavailableError && !axiosError.response) {
+          this.connected = false;
+        }
+
+        const retryable = error.retryable && (idempotent || !(error instanceof ElizaTimeoutError));
+        if (!retryable || attempt > this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.retryDelay * 2 ** (attempt - 1);
+        logger.warn('Eliza request failed, retrying', { agentId, path: urlPath, attempt, delay, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Send a message to an Eliza agent. Replies are threaded per session, which becomes the agent's room
+  async interact(agentId, message, context = {}, options = {}) {
     try {
-      // This is a placeholder for Phase 2 when Eliza agents are fully integrated
-      logger.debug('Character interaction (mock)', { agentId, message: message.substring(0, 50) });
+      if (!agentId) {
+        throw new ElizaAgentNotFoundError('Character has no Eliza agent');
+      }
+
+      const startTime = Date.now();
+      const replies = await this.requestAgent('post', `/${encodeURIComponent(agentId)}/message`, {
+        agentId,
+        data: {
+          text: message,
+          userId: options.userId || context.userId || 'xcreator-user',
+          userName: context.userName,
+          roomId: options.sessionId || context.roomId
+        }
+      });
 
+      // The direct client answers with a list of messages; actions can add follow-ups to the first reply
+      const messages = (Array.isArray(replies) ? replies : [replies]).filter(reply => reply && typeof reply.text === 'string');
+      const text = messages.map(reply => reply.text.trim()).filter(Boolean).join('\n\n');
+      if (!text) {
+        throw new ElizaResponseError(`Eliza agent ${agentId} returned no reply`, { agentId });
+      }
+
+      logger.debug('Eliza agent replied', { agentId, messages: messages.length, responseTime: `${Date.now() - startTime}ms` });
       return {
-        text: `Response from Eliza agent ${agentId}: Received "${message}". (Phase 1 mock response)`,
-        confidence: 0.8,
-        source: 'eliza-mock'
+        text,
+        actions: messages.map(reply => reply.action).filter(action => action && action !== 'NONE'),
+        source: 'eliza'
       };
 
     } catch (error) {
-      logger.error('Failed to interact with Eliza agent', { error: error.message });
+      logger.error('Failed to interact with Eliza agent', { agentId, error: error.message });
       throw error;
     }
   }
 
-  // Get agent status (for future Phase 2)
+  // Whether the runtime has the agent loaded. Never throws: failures come back as an unhealthy status
   async getAgentStatus(agentId) {
+    const checkedAt = new Date().toISOString();
+    if (!agentId) {
+      return { agentId: null, healthy: false, status: 'not_provisioned', error: 'Character has no Eliza agent', checkedAt };
+    }
+
     try {
-      logger.debug('Getting agent status (mock)', { agentId });
+      const agent = await this.requestAgent('get', `/agents/${encodeURIComponent(agentId)}`, {
+        agentId,
+        timeout: this.statusTimeout
+      });
 
       return {
         agentId,
         healthy: true,
         status: 'running',
-        lastActive: new Date().toISOString()
+        name: agent?.character?.name || agent?.name || null,
+        clients: agent?.clients || agent?.character?.clients || [],
+        checkedAt
+      };
+
+    } catch (error) {
+      const elizaError = this.toElizaError(error, agentId);
+      logger.warn('Eliza agent is unhealthy', { agentId, status: elizaError.agentStatus, error: elizaError.message });
+      return {
+        agentId,
+        healthy: false,
+        status: elizaError.agentStatus,
+        error: elizaError.message,
+        checkedAt
       };
+    }
+  }
+
+  // Create or replace an agent from the character's Eliza JSON; the runtime restarts an agent that is already running.
+  // New agents take the character's ID, so provisioning the same character twice updates one agent
+  async provisionAgent(character) {
+    const agentId = character.eliza?.agentId || character.id;
+
+    try {
+      const elizaCharacter = { id: agentId, ...(await this.syncCharacter(character)) };
+      const agent = await this.requestAgent('post', `/agents/${encodeURIComponent(agentId)}/set`, {
+        agentId,
+        data: elizaCharacter,
+        idempotent: true
+      });
+
+      const provisionedId = agent?.id || agent?.character?.id || agentId;
+      logger.info('Eliza agent provisioned', { characterId: character.id, agentId: provisionedId });
+      return { agentId: provisionedId, name: agent?.character?.name || elizaCharacter.name };
+
+    } catch (error) {
+      logger.error('Failed to provision Eliza agent', { characterId: character.id, agentId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Stop an agent and unload it from the runtime. Resolves false if the runtime didn't have it
+  async stopAgent(agentId) {
+    try {
+      await this.requestAgent('post', `/agents/${encodeURIComponent(agentId)}/stop`, { agentId, idempotent: true });
+      logger.info('Eliza agent stopped', { agentId });
+      return true;
 
     } catch (error) {
-      logger.error('Failed to get agent status', { error: error.message });
-      return null;
+      if (error instanceof ElizaAgentNotFoundError) {
+        return false;
+      }
+      logger.error('Failed to stop Eliza agent', { agentId, error: error.message });
+      throw error;
     }
   }
 
+  // Agents loaded in the runtime
+  async listAgents() {
+    const data = await this.requestAgent('get', '/agents', { timeout: this.statusTimeout });
+    const agents = Array.isArray(data) ? data : data?.agents || [];
+    return agents.map(agent => ({ id: agent.id, name: agent.name || agent.character?.name || null, clients: agent.clients || [] }));
+  }
+
   // Start the bridge service
   start(port = 3004) {
     return new Promise((resolve) => {
@@ -0,0 +1,169 @@
+// Eliza Character Format - Converts between XCreator characters and Eliza character.json files
+const PERSONALITY_FIELDS = ['system', 'bio', 'lore', 'knowledge', 'messageExamples', 'postExamples', 'topics', 'style', 'adjectives', 'people'];
+// Runtime settings kept in eliza_config and written back out on export
+const ELIZA_FIELDS = [
+  'username', 'modelProvider', 'imageModelProvider', 'imageVisionModelProvider', 'modelEndpointOverride',
+  'templates', 'clients', 'plugins', 'clientConfig', 'twitterProfile', 'nft', 'extends'
+];
+const STRING_LIST_FIELDS = ['lore', 'postExamples', 'topics', 'adjectives', 'people', 'clients', 'plugins'];
+const STYLE_KEYS = ['all', 'chat', 'post'];
+// voice_config fields that only the TTS pipeline understands
+const PIPELINE_VOICE_FIELDS = ['speaker', 'speed', 'pitch'];
+
+const isObject = value => value != null && typeof value === 'object' && !Array.isArray(value);
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// An XCreator character as an Eliza character.json. Secrets are never exported
+function toElizaCharacter(character) {
+  const eliza = character.eliza || {};
+  const personality = character.personality || {};
+  const voice = character.voice || {};
+
+  const passthrough = Object.fromEntries(
+    ELIZA_FIELDS.filter(field => eliza[field] !== undefined).map(field => [field, eliza[field]])
+  );
+  // Eliza's own voice keys (url, elevenlabs, ...) may sit in either place
+  const elizaVoice = Object.fromEntries(
+    Object.entries(voice).filter(([key]) => key !== 'model' && !PIPELINE_VOICE_FIELDS.includes(key))
+  );
+  const { secrets, voice: settingsVoice, ...settings } = eliza.settings || {};
+
+  return {
+    name: character.name,
+    ...(personality.system ? { system: personality.system } : {}),
+    modelProvider: eliza.modelProvider || 'openrouter',
+    ...passthrough,
+    clients: eliza.clients || [],
+    plugins: eliza.plugins || [],
+    settings: {
+      ...settings,
+      secrets: {},
+      voice: {
+        ...settingsVoice,
+        ...elizaVoice,
+        model: voice.model || settingsVoice?.model || ''
+      }
+    },
+    bio: personality.bio || [],
+    lore: personality.lore || [],
+    knowledge: personality.knowledge || [],
+    messageExamples: personality.messageExamples || [],
+    postExamples: personality.postExamples || [],
+    topics: personality.topics || [],
+    style: {
+      all: personality.style?.all || [],
+      chat: personality.style?.chat || [],
+      post: personality.style?.post || []
+    },
+    adjectives: personality.adjectives || [],
+    people: personality.people || []
+  };
+}
+
+// Type problems in an Eliza character file. Only name is required; missing lists import as empty
+function validateElizaCharacter(json) {
+  if (!isObject(json)) return ['character must be a JSON object'];
+
+  const errors = [];
+  if (typeof json.name !== 'string' || json.name.trim() === '' || json.name.length > 100) {
+    errors.push('name must be a non-empty string of at most 100 characters');
+  }
+  if (json.bio != null && typeof json.bio !== 'string' && !isStringList(json.bio)) {
+    errors.push('bio must be a string or an array of strings');
+  }
+  for (const field of STRING_LIST_FIELDS) {
+    if (json[field] != null && !isStringList(json[field])) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+  for (const field of ['system', 'username', 'modelProvider']) {
+    if (json[field] != null && typeof json[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (json.knowledge != null && !(Array.isArray(json.knowledge) &&
+      json.knowledge.every(item => typeof item === 'string' || (isObject(item) && (typeof item.path === 'string' || typeof item.directory === 'string'))))) {
+    errors.push('knowledge must be an array of strings or { path } entries');
+  }
+  if (json.messageExamples != null && !(Array.isArray(json.messageExamples) &&
+      json.messageExamples.every(example => Array.isArray(example) &&
+        example.every(message => isObject(message) && typeof message.user === 'string' && typeof message.content?.text === 'string')))) {
+    errors.push('messageExamples must be an array of conversations of { user, content: { text } } messages');
+  }
+  if (json.style != null) {
+    if (!isObject(json.style)) {
+      errors.push('style must be an object');
+    } else {
+      for (const key of STYLE_KEYS) {
+        if (json.style[key] != null && !isStringList(json.style[key])) {
+          errors.push(`style.${key} must be an array of strings`);
+        }
+      }
+    }
+  }
+  if (json.settings != null && !isObject(json.settings)) {
+    errors.push('settings must be an object');
+  } else if (json.settings?.voice != null && !isObject(json.settings.voice)) {
+    errors.push('settings.voice must be an object');
+  }
+  return errors;
+}
+
+// Map a valid Eliza character back to XCreator fields, listing what had nowhere to go.
+// isVoiceModel(name) says whether settings.voice.model names one of our tts models; other
+// voice models are Eliza's own and stay in eliza.settings.voice
+function fromElizaCharacter(json, { isVoiceModel = () => false } = {}) {
+  const unmapped = [];
+  const warnings = [];
+
+  const personality = {};
+  for (const field of PERSONALITY_FIELDS) {
+    if (json[field] !== undefined) personality[field] = json[field];
+  }
+  if (typeof personality.bio === 'string') personality.bio = [personality.bio];
+
+  const eliza = {};
+  for (const field of ELIZA_FIELDS) {
+    if (json[field] !== undefined) eliza[field] = json[field];
+  }
+
+  const { secrets, voice: settingsVoice, ...settings } = json.settings || {};
+  const voice = { ...settingsVoice };
+  if (Object.keys(settings).length > 0) {
+    eliza.settings = settings;
+  }
+  if (voice.model != null && voice.model !== '' && !isVoiceModel(voice.model)) {
+    eliza.settings = { ...eliza.settings, voice: { model: voice.model } };
+    warnings.push(`settings.voice.model ${voice.model} is not a registered tts model; it is kept for the Eliza agent only`);
+  }
+  if (!voice.model || !isVoiceModel(voice.model)) delete voice.model;
+
+  if (secrets && Object.keys(secrets).length > 0) {
+    unmapped.push({ field: 'settings.secrets', reason: 'secrets are never imported' });
+  }
+  if (json.id !== undefined) {
+    unmapped.push({ field: 'id', reason: 'agent IDs are assigned when the agent is provisioned' });
+  }
+  for (const field of Object.keys(json)) {
+    if (field !== 'name' && field !== 'id' && field !== 'settings' && !PERSONALITY_FIELDS.includes(field) && !ELIZA_FIELDS.includes(field)) {
+      unmapped.push({ field, reason: 'not an Eliza character field' });
+    }
+  }
+
+  return {
+    characterData: {
+      name: json.name.trim(),
+      eliza,
+      personality,
+      voice
+    },
+    unmapped,
+    warnings
+  };
+}
+
+module.exports = {
+  toElizaCharacter,
+  validateElizaCharacter,
+  fromElizaCharacter
+};
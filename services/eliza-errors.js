@@ -0,0 +1,49 @@
+// Eliza Errors - Typed failures from the Eliza agent runtime, mapped to HTTP status codes
+const { AppError } = require('../middleware/error-handler');
+
+class ElizaError extends AppError {
+  constructor(message, statusCode = 502, { agentId = null, agentStatus = 'error', retryable = false } = {}) {
+    super(message, statusCode);
+    this.name = this.constructor.name;
+    this.agentId = agentId;
+    // Reported as the agent's status by health checks
+    this.agentStatus = agentStatus;
+    this.retryable = retryable;
+  }
+}
+
+// The runtime refused the connection or answered with a gateway/server error
+class ElizaUnavailableError extends ElizaError {
+  constructor(message, options = {}) {
+    super(message, 503, { agentStatus: 'unreachable', retryable: true, ...options });
+  }
+}
+
+// No answer within ELIZA_REQUEST_TIMEOUT
+class ElizaTimeoutError extends ElizaError {
+  constructor(message, options = {}) {
+    super(message, 504, { agentStatus: 'timeout', retryable: true, ...options });
+  }
+}
+
+// The runtime is up but doesn't know the agent
+class ElizaAgentNotFoundError extends ElizaError {
+  constructor(message, options = {}) {
+    super(message, 404, { agentStatus: 'not_found', ...options });
+  }
+}
+
+// The runtime rejected the request or sent back something we can't use
+class ElizaResponseError extends ElizaError {
+  constructor(message, options = {}) {
+    super(message, 502, { agentStatus: 'error', ...options });
+  }
+}
+
+module.exports = {
+  ElizaError,
+  ElizaUnavailableError,
+  ElizaTimeoutError,
+  ElizaAgentNotFoundError,
+  ElizaResponseError
+};
@@ -0,0 +1,126 @@
+// Embedding Service - Shared embeddings and vector search for knowledge, memory and de-duplication
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/error-handler');
+const { createVectorStore } = require('./vector-store');
+
+const NAMESPACE_PATTERN = /^[a-zA-Z0-9_.:-]{1,100}$/;
+const MAX_INDEX_ITEMS = 500;
+
+class EmbeddingService {
+  constructor(modelRouter, vectorStore = createVectorStore()) {
+    this.modelRouter = modelRouter;
+    this.vectorStore = vectorStore;
+    logger.info('EmbeddingService initialized', { store: vectorStore.type });
+  }
+
+  // Prepare the vector store; pgvector creates its table sized for the highest-priority embeddings model
+  async initialize() {
+    if (this.vectorStore.initialize) {
+      await this.vectorStore.initialize({ dimensions: this.getConfiguredDimensions() });
+    }
+  }
+
+  getConfiguredDimensions() {
+    const model = Array.from(this.modelRouter.models.values())
+      .filter(candidate => candidate.dimensions != null && this.modelRouter.supportsCapability(candidate, 'embeddings'))
+      .sort((a, b) => a.priority - b.priority)[0];
+    return model ? parseInt(model.dimensions) : null;
+  }
+
+  // Embed texts through the model router; see ModelRouter.embed for options
+  async embed(texts, options = {}) {
+    return this.modelRouter.embed(texts, options);
+  }
+
+  validateNamespace(namespace) {
+    if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+      throw new AppError('namespace must be 1-100 characters of letters, digits, _ . : or -', 400);
+    }
+  }
+
+  // Embed and store items: [{ id, text, metadata }]
+  async index(namespace, items, options = {}) {
+    try {
+      this.validateNamespace(namespace);
+
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new AppError('items must be a non-empty array', 400);
+      }
+      if (items.length > MAX_INDEX_ITEMS) {
+        throw new AppError(`At most ${MAX_INDEX_ITEMS} items can be indexed per request`, 400);
+      }
+      if (items.some(item => item.id == null || typeof item.text !== 'string' || item.text.trim() === '')) {
+        throw new AppError('every item needs an id and non-empty text', 400);
+      }
+
+      const result = await this.embed(items.map(item => item.text), options);
+      const entries = items.map((item, i) => ({
+        id: String(item.id),
+        text: item.text,
+        vector: result.embeddings[i],
+        metadata: item.metadata || {}
+      }));
+
+      await this.vectorStore.upsert(namespace, result.model, entries);
+
+      logger.info('Indexed embeddings', { namespace, count: entries.length, model: result.model });
+
+      return {
+        namespace,
+        indexed: entries.length,
+        model: result.model,
+        dimensions: result.dimensions
+      };
+
+    } catch (error) {
+      logger.error('Failed to index embeddings', { namespace, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find the stored items closest to a query text
+  async search(namespace, text, options = {}) {
+    try {
+      this.validateNamespace(namespace);
+
+      const { limit = 5, minScore = 0, ...embedOptions } = options;
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new AppError('limit must be an integer between 1 and 100', 400);
+      }
+      if (typeof minScore !== 'number' || minScore < -1 || minScore > 1) {
+        throw new AppError('minScore must be a number between -1 and 1', 400);
+      }
+
+      const result = await this.embed(text, embedOptions);
+      const matches = await this.vectorStore.search(namespace, result.model, result.embeddings[0], { limit, minScore });
+
+      return {
+        namespace,
+        model: result.model,
+        matches
+      };
+
+    } catch (error) {
+      logger.error('Failed to search embeddings', { namespace, error: error.message });
+      throw error;
+    }
+  }
+
+  // Stored items at or above a similarity threshold, e.g. to skip near-duplicate content before posting
+  async findDuplicates(namespace, text, { threshold = 0.92, ...options } = {}) {
+    const { matches } = await this.search(namespace, text, { ...options, minScore: threshold });
+    return matches;
+  }
+
+  async remove(namespace, id) {
+    this.validateNamespace(namespace);
+    return this.vectorStore.remove(namespace, String(id));
+  }
+
+  async count(namespace) {
+    this.validateNamespace(namespace);
+    return this.vectorStore.count(namespace);
+  }
+}
+
+module.exports = EmbeddingService;
@@ -0,0 +1,172 @@
+// File Store - Generated assets written under uploads/ and recorded in the files table
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/error-handler');
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    characterId: row.character_id,
+    userId: row.user_id,
+    filename: row.filename,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    size: row.size,
+    url: row.url,
+    metadata: row.metadata || {},
+    isPublic: row.is_public,
+    createdAt: row.created_at
+  };
+}
+
+class FileStore {
+  constructor(options = {}) {
+    // Served by the /uploads static route, so a stored file's URL never changes
+    this.root = path.resolve(options.root || process.env.UPLOADS_DIR || 'uploads');
+    this.baseUrl = (options.baseUrl || process.env.UPLOADS_BASE_URL || '/uploads').replace(/\/$/, '');
+    logger.info('FileStore initialized', { root: this.root });
+  }
+
+  // Write a buffer to uploads/<folder>/<yyyy>/<mm>/<id><suffix>.<extension> and insert its files row
+  async save(buffer, {
+    folder,
+    extension,
+    mimeType,
+    originalName,
+    characterId = null,
+    userId = null,
+    metadata = {},
+    isPublic = true,
+    id = uuidv4(),
+    suffix = ''
+  }) {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    const filename = `${id}${suffix}.${extension}`;
+    const relativePath = path.posix.join(folder, String(now.getUTCFullYear()), month, filename);
+    const absolutePath = path.join(this.root, relativePath);
+
+    try {
+      await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+      await fs.writeFile(absolutePath, buffer);
+
+      const result = await query(
+        `INSERT INTO files (id, user_id, character_id, filename, original_name, mime_type, size, path, url, metadata, is_public)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          id,
+          userId,
+          characterId,
+          filename,
+          originalName || filename,
+          mimeType,
+          buffer.length,
+          relativePath,
+          `${this.baseUrl}/${relativePath}`,
+          JSON.stringify(metadata),
+          isPublic
+        ]
+      );
+
+      return fromRow(result.rows[0]);
+
+    } catch (error) {
+      // Don't leave an orphaned file behind when the row can't be written
+      await fs.unlink(absolutePath).catch(() => {});
+      logger.error('Failed to store file', { folder, filename, error: error.message });
+      throw error;
+    }
+  }
+
+  async get(id) {
+    const result = await query('SELECT * FROM files WHERE id = $1', [id]);
+    return result.rows.length > 0 ? fromRow(result.rows[0]) : null;
+  }
+
+  // A file with the absolute path of its contents on disk, for tools that read files directly
+  async locate(id) {
+    const result = await query('SELECT * FROM files WHERE id = $1', [id]);
+    if (result.rows.length === 0) return null;
+
+    return { ...fromRow(result.rows[0]), path: path.join(this.root, result.rows[0].path) };
+  }
+
+  // A stored file's contents, or null if the file or its row is gone
+  async read(id) {
+    const file = await this.locate(id);
+    if (!file) return null;
+
+    try {
+      return await fs.readFile(file.path);
+    } catch (error) {
+      logger.warn('Stored file is missing', { id, error: error.message });
+      return null;
+    }
+  }
+
+  // Files by character and/or metadata kind, newest first
+  async list({ characterId, kind, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (characterId) {
+      params.push(characterId);
+      conditions.push(`character_id = $${params.length}`);
+    }
+    if (kind) {
+      params.push(kind);
+      conditions.push(`metadata->>'kind' = $${params.length}`);
+    }
+    params.push(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    const result = await query(
+      `SELECT * FROM files
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return result.rows.map(fromRow);
+  }
+
+  // Files derived from another one (resized variants, thumbnails)
+  async listDerived(parentId) {
+    const result = await query(
+      `SELECT * FROM files WHERE metadata->>'parentId' = $1 ORDER BY created_at`,
+      [parentId]
+    );
+    return result.rows.map(fromRow);
+  }
+
+  // Delete a file, the files derived from it, and their rows
+  async remove(id) {
+    try {
+      const result = await query(
+        `DELETE FROM files WHERE id = $1 OR metadata->>'parentId' = $1::text RETURNING id, path`,
+        [id]
+      );
+      if (result.rowCount === 0) {
+        throw new AppError('File not found', 404);
+      }
+
+      for (const row of result.rows) {
+        await fs.unlink(path.join(this.root, row.path)).catch((error) => {
+          logger.warn('Failed to delete stored file', { id: row.id, error: error.message });
+        });
+      }
+
+      logger.info('Files deleted', { id, count: result.rowCount });
+      return { id, deleted: result.rowCount };
+
+    } catch (error) {
+      logger.error('Failed to delete file', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,407 @@
+// Image Pipeline - Generate images on RunPod, post-process them with sharp and store them as files
+const axios = require('axios');
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/error-handler');
+const { getProvider } = require('../model-router/providers');
+const { validateVisualProfile, applyVisualProfile } = require('./visual-profile');
+
+// Output sizes per platform; images are cropped to fill, keeping the most interesting region
+const PLATFORM_PRESETS = {
+  'instagram-square': { width: 1080, height: 1080 },
+  'instagram-portrait': { width: 1080, height: 1350 },
+  'instagram-story': { width: 1080, height: 1920 },
+  tiktok: { width: 1080, height: 1920 },
+  twitter: { width: 1600, height: 900 },
+  facebook: { width: 1200, height: 630 },
+  linkedin: { width: 1200, height: 627 },
+  'youtube-thumbnail': { width: 1280, height: 720 }
+};
+
+const FORMATS = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  avif: 'image/avif'
+};
+
+const THUMBNAIL_SIZE = 320;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_DIMENSION = 2048;
+const MAX_OUTPUTS = 4;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  }[char]));
+}
+
+// Transparent layer with the watermark text in the bottom-right corner
+function watermarkSvg(width, height, text) {
+  const fontSize = Math.max(14, Math.round(Math.min(width, height) / 28));
+  return Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <text x="${width - fontSize}" y="${height - fontSize}" text-anchor="end" font-family="sans-serif"
+      font-size="${fontSize}" fill="white" fill-opacity="0.75" stroke="black" stroke-opacity="0.35"
+      stroke-width="1">${escapeXml(text)}</text>
+  </svg>`);
+}
+
+class ImagePipeline {
+  constructor(fileStore, options = {}) {
+    this.fileStore = fileStore;
+    this.runpod = getProvider('runpod');
+
+    // Images are generated through runpod-proxy's allow-listed image endpoint
+    this.proxy = {
+      name: 'runpod-image',
+      endpoint: options.proxyUrl || process.env.RUNPOD_PROXY_URL || 'http://runpod-proxy:3005',
+      endpointName: options.endpointName || process.env.RUNPOD_IMAGE_ENDPOINT || 'image',
+      proxyApiKey: options.proxyApiKey || process.env.RUNPOD_PROXY_API_KEY
+    };
+    this.timeout = options.timeout || parseInt(process.env.IMAGE_GENERATION_TIMEOUT) || 5 * 60 * 1000;
+    this.watermarkText = options.watermarkText || process.env.IMAGE_WATERMARK_TEXT || null;
+
+    logger.info('ImagePipeline initialized', { endpoint: this.proxy.endpointName });
+  }
+
+  getPresets() {
+    return PLATFORM_PRESETS;
+  }
+
+  // Check post-processing options; throws a 400 AppError listing every problem
+  validateOptions({ presets = [], format = 'webp', quality, watermark } = {}) {
+    const errors = [];
+
+    if (!Array.isArray(presets)) {
+      errors.push('presets must be an array');
+    } else {
+      const unknown = presets.filter(preset => !PLATFORM_PRESETS[preset]);
+      if (unknown.length > 0) {
+        errors.push(`Unknown presets: ${unknown.join(', ')}. Available: ${Object.keys(PLATFORM_PRESETS).join(', ')}`);
+      }
+    }
+    if (!FORMATS[format]) {
+      errors.push(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    if (quality !== undefined && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+      errors.push('quality must be an integer between 1 and 100');
+    }
+    if (watermark !== undefined && typeof watermark !== 'boolean' && typeof watermark !== 'string') {
+      errors.push('watermark must be true, false or the watermark text');
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid image options: ${errors.join('; ')}`, 400);
+    }
+  }
+
+  // Check a character's visual profile, including that its reference images still exist
+  async validateVisualProfile(visual) {
+    const errors = validateVisualProfile(visual);
+    if (errors.length > 0) {
+      throw new AppError(`Invalid visual profile: ${errors.join('; ')}`, 400);
+    }
+
+    for (const id of visual?.referenceImageIds || []) {
+      const file = await this.fileStore.get(id);
+      if (!file || file.metadata.kind !== 'image') {
+        throw new AppError(`Reference image ${id} not found`, 400);
+      }
+    }
+  }
+
+  // Reference images as base64, for workers that condition on them
+  async loadReferenceImages(ids) {
+    return Promise.all(ids.map(async (id) => {
+      const buffer = await this.fileStore.read(id);
+      if (!buffer) {
+        throw new AppError(`Reference image ${id} no longer exists; update the character's visual profile`, 409);
+      }
+      return buffer.toString('base64');
+    }));
+  }
+
+  // Generate images from a prompt and store each with its variants. For a character, its visual
+  // profile is applied unless useVisualProfile is false
+  async generate(params, { character = null, userId = null } = {}) {
+    const {
+      prompt,
+      negativePrompt,
+      width = 1024,
+      height = 1024,
+      steps = 30,
+      seed,
+      count = 1,
+      useVisualProfile = true,
+      ...options
+    } = params;
+
+    try {
+      if (typeof prompt !== 'string' || prompt.trim() === '') {
+        throw new AppError('prompt is required', 400);
+      }
+      for (const [name, value] of Object.entries({ width, height })) {
+        if (!Number.isInteger(value) || value < 64 || value > MAX_DIMENSION || value % 8 !== 0) {
+          throw new AppError(`${name} must be a multiple of 8 between 64 and ${MAX_DIMENSION}`, 400);
+        }
+      }
+      if (!Number.isInteger(count) || count < 1 || count > MAX_OUTPUTS) {
+        throw new AppError(`count must be between 1 and ${MAX_OUTPUTS}`, 400);
+      }
+      this.validateOptions(options);
+
+      const startTime = Date.now();
+      const profile = useVisualProfile !== false ? character?.visual : null;
+      const request = applyVisualProfile({ prompt, negativePrompt, seed }, profile);
+
+      const input = { prompt: request.prompt, width, height, num_inference_steps: steps, num_outputs: count };
+      if (request.negativePrompt) input.negative_prompt = request.negativePrompt;
+      if (request.seed != null) input.seed = request.seed;
+      if (request.lora) input.lora = request.lora;
+      if (request.referenceImageIds.length > 0) {
+        input.reference_images = await this.loadReferenceImages(request.referenceImageIds);
+      }
+
+      const job = await this.runpod.runJob(this.proxy, input, { timeout: this.timeout, type: 'image' });
+      if (job.status !== 'COMPLETED') {
+        throw new AppError(`Image generation ${job.status.toLowerCase()}${job.error ? `: ${job.error}` : ''}`, 502);
+      }
+
+      const buffers = await this.extractImages(job.output);
+      if (buffers.length === 0) {
+        throw new AppError('Image generation returned no images', 502);
+      }
+
+      const images = [];
+      for (const buffer of buffers) {
+        images.push(await this.processAndStore(buffer, options, {
+          character,
+          userId,
+          source: 'generated',
+          generation: {
+            prompt: request.prompt,
+            negativePrompt: request.negativePrompt,
+            width,
+            height,
+            steps,
+            seed: request.seed,
+            lora: request.lora,
+            referenceImageIds: request.referenceImageIds,
+            visualProfile: !!profile,
+            jobId: job.id
+          }
+        }));
+      }
+
+      logger.info('Images generated', {
+        characterId: character?.id,
+        count: images.length,
+        duration: Date.now() - startTime
+      });
+
+      return images;
+
+    } catch (error) {
+      logger.error('Image generation failed', { characterId: character?.id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Post-process and store an image supplied as base64 or a data URI
+  async process(image, options = {}, { character = null, userId = null } = {}) {
+    try {
+      this.validateOptions(options);
+      const buffer = this.decodeBase64(image);
+      return await this.processAndStore(buffer, options, { character, userId, source: 'upload' });
+
+    } catch (error) {
+      logger.error('Image processing failed', { characterId: character?.id, error: error.message });
+      throw error;
+    }
+  }
+
+  decodeBase64(value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new AppError('image must be a base64 string or data URI', 400);
+    }
+
+    const buffer = Buffer.from(value.replace(/^data:[^;]+;base64,/, ''), 'base64');
+    if (buffer.length === 0) {
+      throw new AppError('image is not valid base64', 400);
+    }
+    if (buffer.length > MAX_IMAGE_BYTES) {
+      throw new AppError(`image is larger than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`, 413);
+    }
+    return buffer;
+  }
+
+  // RunPod image workers answer in several shapes: base64 strings or data URIs, URLs,
+  // and objects or arrays wrapping either under images / image / image_url / url / b64_json
+  async extractImages(output) {
+    if (output == null) return [];
+
+    if (Array.isArray(output)) {
+      const nested = await Promise.all(output.map(item => this.extractImages(item)));
+      return nested.flat();
+    }
+
+    if (typeof output === 'string') {
+      if (/^https?:\/\//.test(output)) {
+        const response = await axios.get(output, {
+          responseType: 'arraybuffer',
+          timeout: 30000,
+          maxContentLength: MAX_IMAGE_BYTES
+        });
+        return [Buffer.from(response.data)];
+      }
+      return [this.decodeBase64(output)];
+    }
+
+    const value = output.images ?? output.image ?? output.image_url ?? output.url ?? output.b64_json ?? output.output;
+    return value === undefined ? [] : this.extractImages(value);
+  }
+
+  // Render one image in the requested format with an optional watermark, resized to a preset if given
+  async render(buffer, { preset, format = 'webp', quality = 85, watermarkText }) {
+    let image = sharp(buffer, { failOn: 'error' }).rotate();
+    const metadata = await image.metadata();
+    // metadata() describes the stored pixels; EXIF orientations 5-8 turn them a quarter turn
+    let { width, height } = metadata.orientation >= 5
+      ? { width: metadata.height, height: metadata.width }
+      : metadata;
+
+    if (preset) {
+      ({ width, height } = PLATFORM_PRESETS[preset]);
+      image = image.resize(width, height, { fit: 'cover', position: sharp.strategy.attention });
+    }
+
+    if (watermarkText) {
+      image = image.composite([{ input: watermarkSvg(width, height, watermarkText), top: 0, left: 0 }]);
+    }
+
+    return image.toFormat(format, { quality }).toBuffer({ resolveWithObject: true });
+  }
+
+  // watermark: true uses the configured text or the character's name; a string is used as is
+  resolveWatermark(watermark, character) {
+    return watermark === true
+      ? this.watermarkText || character?.displayName || character?.name
+      : watermark || null;
+  }
+
+  // The watermark alone as a transparent PNG, for overlaying on video
+  async renderWatermark(width, height, text) {
+    return sharp(watermarkSvg(width, height, text)).png().toBuffer();
+  }
+
+  // Store the full-size image, a thumbnail and one file per preset; variants point back with metadata.parentId
+  async processAndStore(buffer, options, { character, userId, source, generation }) {
+    const { presets = [], format = 'webp', quality } = options;
+    const watermarkText = this.resolveWatermark(options.watermark, character);
+
+    let main;
+    try {
+      main = await this.render(buffer, { format, quality, watermarkText });
+    } catch (error) {
+      throw new AppError(`Unsupported or corrupt image: ${error.message}`, 422);
+    }
+
+    const common = {
+      folder: 'images',
+      characterId: character?.id || null,
+      userId
+    };
+
+    const file = await this.fileStore.save(main.data, {
+      ...common,
+      extension: format,
+      mimeType: FORMATS[format],
+      metadata: {
+        kind: 'image',
+        source,
+        width: main.info.width,
+        height: main.info.height,
+        format,
+        watermark: watermarkText,
+        generation
+      }
+    });
+
+    const thumbnail = await sharp(main.data)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
+      .webp({ quality: 70 })
+      .toBuffer({ resolveWithObject: true });
+
+    const derived = [await this.fileStore.save(thumbnail.data, {
+      ...common,
+      extension: 'webp',
+      mimeType: FORMATS.webp,
+      metadata: { kind: 'image-variant', parentId: file.id, variant: 'thumbnail', width: thumbnail.info.width, height: thumbnail.info.height }
+    })];
+
+    for (const preset of presets) {
+      const variant = await this.render(buffer, { preset, format, quality, watermarkText });
+      derived.push(await this.fileStore.save(variant.data, {
+        ...common,
+        extension: format,
+        mimeType: FORMATS[format],
+        metadata: { kind: 'image-variant', parentId: file.id, variant: preset, width: variant.info.width, height: variant.info.height }
+      }));
+    }
+
+    return this.toImage(file, derived);
+  }
+
+  // An image file with its thumbnail and preset variants
+  toImage(file, derived) {
+    const thumbnail = derived.find(item => item.metadata.variant === 'thumbnail');
+    return {
+      id: file.id,
+      characterId: file.characterId,
+      url: file.url,
+      mimeType: file.mimeType,
+      size: file.size,
+      width: file.metadata.width,
+      height: file.metadata.height,
+      source: file.metadata.source,
+      generation: file.metadata.generation,
+      thumbnailUrl: thumbnail?.url || null,
+      variants: derived
+        .filter(item => item.metadata.variant !== 'thumbnail')
+        .map(item => ({
+          id: item.id,
+          preset: item.metadata.variant,
+          url: item.url,
+          width: item.metadata.width,
+          height: item.metadata.height,
+          size: item.size
+        })),
+      createdAt: file.createdAt
+    };
+  }
+
+  async getImage(id) {
+    const file = await this.fileStore.get(id);
+    if (!file || file.metadata.kind !== 'image') {
+      return null;
+    }
+    return this.toImage(file, await this.fileStore.listDerived(id));
+  }
+
+  async listImages(characterId, { limit } = {}) {
+    const files = await this.fileStore.list({ characterId, kind: 'image', limit });
+    return Promise.all(files.map(async file => this.toImage(file, await this.fileStore.listDerived(file.id))));
+  }
+
+  async deleteImage(id) {
+    const image = await this.getImage(id);
+    if (!image) {
+      throw new AppError('Image not found', 404);
+    }
+    return this.fileStore.remove(id);
+  }
+}
+
+ImagePipeline.PLATFORM_PRESETS = PLATFORM_PRESETS;
+
+module.exports = ImagePipeline;
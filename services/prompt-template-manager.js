@@ -0,0 +1,349 @@
+// Prompt Template Manager - Versioned prompt templates per content type, rendered from the character profile
+const logger = require('../utils/logger');
+const { query } = require('../utils/database');
+const { setCache, getCache, deleteCache } = require('../utils/redis');
+const { AppError } = require('../middleware/error-handler');
+
+const CONTENT_TYPES = ['character-interaction', 'content-generation', 'analysis', 'code'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/;
+const MAX_TEMPLATE_LENGTH = 20000;
+const CACHE_TTL = 300;
+
+// Built-in templates, used for a name until a version of it is saved (version 0, read-only).
+// A template named after a content type is the default for that type.
+const BUILT_IN_TEMPLATES = [
+  {
+    name: 'character-interaction',
+    contentType: 'character-interaction',
+    description: 'Default persona prompt for chat replies',
+    system: [
+      'You are {{character.displayName}}.',
+      '{{character.bio}}',
+      'Background: {{character.lore}}',
+      'Personality: {{character.adjectives}}.',
+      'Favourite topics: {{character.topics}}.',
+      'Style: {{character.style.all}}',
+      'Chat style: {{character.style.chat}}',
+      'Stay in character and reply conversationally.'
+    ].join('\n'),
+    template: '{{message}}'
+  },
+  {
+    name: 'content-generation',
+    contentType: 'content-generation',
+    description: 'Default social post prompt',
+    system: [
+      'You are {{character.displayName}}, writing your own social media posts.',
+      '{{character.bio}}',
+      'Personality: {{character.adjectives}}.',
+      'Style: {{character.style.all}}',
+      'Post style: {{character.style.post}}'
+    ].join('\n'),
+    template: 'Write one {{platform}} post about {{topic}}. Stay within the platform length limit and reply with the post text only.'
+  },
+  {
+    name: 'analysis',
+    contentType: 'analysis',
+    description: 'Default analysis prompt',
+    system: 'You are an analyst helping {{character.displayName}}, a creator focused on {{character.topics}}.',
+    template: 'Analyse the following and give concise, actionable insights:\n\n{{input}}'
+  },
+  {
+    name: 'code',
+    contentType: 'code',
+    description: 'Default code generation prompt',
+    system: 'You are a senior software engineer. Reply with code and brief comments only.',
+    template: '{{input}}'
+  }
+];
+
+function getPath(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+// Fill {{path}} placeholders; arrays join with ", " (or newlines with {{path|lines}}).
+// Lines whose placeholders are all empty are dropped so optional profile fields leave no stubs
+function renderTemplate(text, context) {
+  const missing = new Set();
+
+  const lines = String(text || '').split('\n').map((line) => {
+    let placeholders = 0;
+    let empty = 0;
+
+    const rendered = line.replace(/\{\{\s*([a-zA-Z0-9_.]+)(?:\s*\|\s*(lines))?\s*\}\}/g, (match, path, filter) => {
+      placeholders += 1;
+      const value = getPath(context, path);
+      const output = Array.isArray(value)
+        ? value.join(filter === 'lines' ? '\n' : ', ')
+        : value == null ? '' : String(value);
+
+      if (output.trim() === '') {
+        empty += 1;
+        if (value === undefined) missing.add(path);
+      }
+      return output;
+    });
+
+    return placeholders > 0 && placeholders === empty ? null : rendered.trimEnd();
+  });
+
+  return {
+    text: lines.filter(line => line !== null).join('\n').trim(),
+    missing: Array.from(missing)
+  };
+}
+
+// Character profile fields exposed to templates as {{character.*}}
+function buildCharacterContext(character = {}) {
+  const personality = character.personality || {};
+  const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+  return {
+    id: character.id,
+    name: character.name,
+    displayName: character.displayName || character.name,
+    bio: toList(personality.bio).join(' '),
+    lore: toList(personality.lore).join(' '),
+    adjectives: toList(personality.adjectives),
+    topics: toList(personality.topics),
+    style: {
+      all: toList(personality.style?.all).join(' '),
+      chat: toList(personality.style?.chat).join(' '),
+      post: toList(personality.style?.post).join(' ')
+    }
+  };
+}
+
+function fromRow(row) {
+  return {
+    name: row.name,
+    version: row.version,
+    contentType: row.content_type,
+    description: row.description,
+    system: row.system_template,
+    template: row.user_template,
+    builtIn: false,
+    createdAt: row.created_at
+  };
+}
+
+class PromptTemplateManager {
+  constructor() {
+    this.builtIns = new Map(BUILT_IN_TEMPLATES.map(template => [template.name, { ...template, version: 0, builtIn: true }]));
+    logger.info('PromptTemplateManager initialized', { builtIn: Array.from(this.builtIns.keys()) });
+  }
+
+  // Check template fields before a version is saved
+  validateTemplate(data, { requireContentType = true } = {}) {
+    const errors = [];
+
+    if (requireContentType && !CONTENT_TYPES.includes(data.contentType)) {
+      errors.push(`contentType must be one of: ${CONTENT_TYPES.join(', ')}`);
+    }
+    if (typeof data.template !== 'string' || data.template.trim() === '') {
+      errors.push('template is required');
+    }
+    for (const field of ['system', 'template']) {
+      if (data[field] != null && (typeof data[field] !== 'string' || data[field].length > MAX_TEMPLATE_LENGTH)) {
+        errors.push(`${field} must be a string of at most ${MAX_TEMPLATE_LENGTH} characters`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid prompt template: ${errors.join('; ')}`, 400);
+    }
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new AppError('name must be 1-100 lowercase letters, digits, _ or -, starting with a letter or digit', 400);
+    }
+  }
+
+  // Latest version of every template, saved ones shadowing built-ins of the same name
+  async listTemplates() {
+    try {
+      const result = await query(
+        `SELECT DISTINCT ON (name) *, COUNT(*) OVER (PARTITION BY name)::int AS versions
+         FROM prompt_templates
+         ORDER BY name, version DESC`
+      );
+
+      const templates = new Map();
+      for (const template of this.builtIns.values()) {
+        templates.set(template.name, { ...template, versions: 0 });
+      }
+      for (const row of result.rows) {
+        templates.set(row.name, { ...fromRow(row), versions: row.versions });
+      }
+
+      return Array.from(templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+
+    } catch (error) {
+      logger.error('Failed to list prompt templates', { error: error.message });
+      throw error;
+    }
+  }
+
+  // A template version; without a version, the latest saved one (or the built-in)
+  async getTemplate(name, version = null) {
+    try {
+      if (version === 0) {
+        return this.builtIns.get(name) || null;
+      }
+
+      const cacheKey = `prompt-template:${name}:${version || 'latest'}`;
+      const cached = await getCache(cacheKey);
+      if (cached) return cached;
+
+      const result = version
+        ? await query('SELECT * FROM prompt_templates WHERE name = $1 AND version = $2', [name, version])
+        : await query('SELECT * FROM prompt_templates WHERE name = $1 ORDER BY version DESC LIMIT 1', [name]);
+
+      if (result.rows.length === 0) {
+        return version ? null : this.builtIns.get(name) || null;
+      }
+
+      const template = fromRow(result.rows[0]);
+      await setCache(cacheKey, template, CACHE_TTL);
+      return template;
+
+    } catch (error) {
+      logger.error('Failed to get prompt template', { name, version, error: error.message });
+      throw error;
+    }
+  }
+
+  async listVersions(name) {
+    const result = await query(
+      'SELECT version, description, created_at FROM prompt_templates WHERE name = $1 ORDER BY version DESC',
+      [name]
+    );
+    return result.rows.map(row => ({ version: row.version, description: row.description, createdAt: row.created_at }));
+  }
+
+  // Save a new version. Versions are immutable: every update creates the next version number
+  async saveVersion(name, data, { create = false } = {}) {
+    try {
+      this.validateName(name);
+
+      const latest = await this.getTemplate(name);
+      if (create && latest && !latest.builtIn) {
+        throw new AppError(`Prompt template ${name} already exists; update it to add a version`, 409);
+      }
+      if (!create && !latest) {
+        throw new AppError(`Prompt template ${name} not found`, 404);
+      }
+
+      const merged = {
+        contentType: data.contentType || latest?.contentType,
+        description: data.description ?? latest?.description ?? null,
+        system: data.system ?? latest?.system ?? null,
+        template: data.template ?? latest?.template
+      };
+      this.validateTemplate(merged);
+
+      const result = await query(
+        `INSERT INTO prompt_templates (name, version, content_type, description, system_template, user_template)
+         VALUES ($1, COALESCE((SELECT MAX(version) FROM prompt_templates WHERE name = $1), 0) + 1, $2, $3, $4, $5)
+         RETURNING *`,
+        [name, merged.contentType, merged.description, merged.system, merged.template]
+      );
+
+      await deleteCache(`prompt-template:${name}:latest`);
+
+      const template = fromRow(result.rows[0]);
+      logger.info(`Prompt template saved: ${name} v${template.version}`);
+      return template;
+
+    } catch (error) {
+      logger.error('Failed to save prompt template', { name, error: error.message });
+      throw error;
+    }
+  }
+
+  // Delete every saved version; a built-in of the same name becomes active again
+  async deleteTemplate(name) {
+    try {
+      const result = await query('DELETE FROM prompt_templates WHERE name = $1 RETURNING version', [name]);
+      if (result.rowCount === 0) {
+        throw new AppError(`Prompt template ${name} has no saved versions`, 404);
+      }
+
+      await deleteCache(`prompt-template:${name}:latest`);
+      for (const row of result.rows) {
+        await deleteCache(`prompt-template:${name}:${row.version}`);
+      }
+
+      logger.info(`Prompt template deleted: ${name}`);
+      return { name, deletedVersions: result.rowCount };
+
+    } catch (error) {
+      logger.error('Failed to delete prompt template', { name, error: error.message });
+      throw error;
+    }
+  }
+
+  // Render a template against a character and request variables; returns { system, prompt, missing }
+  render(template, { character, variables = {} } = {}) {
+    const context = { ...variables, character: buildCharacterContext(character) };
+    const system = renderTemplate(template.system, context);
+    const prompt = renderTemplate(template.template, context);
+
+    return {
+      name: template.name,
+      version: template.version,
+      contentType: template.contentType,
+      system: system.text,
+      prompt: prompt.text,
+      missing: Array.from(new Set([...system.missing, ...prompt.missing]))
+    };
+  }
+
+  // The template a character uses for a content type: its pinned version, else the type's default
+  async resolveForCharacter(character, contentType) {
+    const pin = character.settings?.promptTemplates?.[contentType];
+    const template = pin
+      ? await this.getTemplate(pin.name, pin.version)
+      : await this.getTemplate(contentType);
+
+    if (!template) {
+      throw new AppError(`Pinned prompt template ${pin.name} v${pin.version} for ${contentType} no longer exists`, 409);
+    }
+    return template;
+  }
+
+  async renderForCharacter(character, contentType, variables = {}) {
+    const template = await this.resolveForCharacter(character, contentType);
+    return this.render(template, { character, variables });
+  }
+
+  // Check settings.promptTemplates pins ({ contentType: { name, version } }) before they are stored
+  async validatePins(pins) {
+    if (pins == null) return;
+    if (typeof pins !== 'object' || Array.isArray(pins)) {
+      throw new AppError('settings.promptTemplates must map content types to { name, version }', 400);
+    }
+
+    for (const [contentType, pin] of Object.entries(pins)) {
+      if (!CONTENT_TYPES.includes(contentType)) {
+        throw new AppError(`Unknown content type in settings.promptTemplates: ${contentType}`, 400);
+      }
+      if (!pin?.name || !Number.isInteger(pin.version) || pin.version < 0) {
+        throw new AppError(`settings.promptTemplates.${contentType} needs a name and an integer version`, 400);
+      }
+
+      const template = await this.getTemplate(pin.name, pin.version);
+      if (!template) {
+        throw new AppError(`Prompt template ${pin.name} v${pin.version} not found`, 400);
+      }
+      if (template.contentType !== contentType) {
+        throw new AppError(`Prompt template ${pin.name} is for ${template.contentType}, not ${contentType}`, 400);
+      }
+    }
+  }
+}
+
+PromptTemplateManager.CONTENT_TYPES = CONTENT_TYPES;
+
+module.exports = PromptTemplateManager;
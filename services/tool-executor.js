@@ -0,0 +1,220 @@
+// Tool Executor - Server-side tools characters can call during interactions
+const logger = require('../utils/logger');
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/error-handler');
+const { validateSchema } = require('../model-router/json-schema');
+
+// Results are sent back to the model, so large ones are cut down
+const MAX_RESULT_LENGTH = 4000;
+
+// Built-in tools: { name, description, parameters (JSON schema), handler(args, context) }
+const BUILT_IN_TOOLS = [
+  {
+    name: 'get_scheduled_posts',
+    description: "List the character's upcoming scheduled posts",
+    parameters: {
+      type: 'object',
+      properties: {
+        platform: { type: 'string', description: 'Only posts for this platform, e.g. twitter' },
+        limit: { type: 'integer', minimum: 1, maximum: 20 }
+      },
+      additionalProperties: false
+    },
+    async handler({ platform, limit = 5 }, { character }) {
+      const params = [character.id, limit];
+      let platformClause = '';
+      if (platform) {
+        params.push(platform);
+        platformClause = 'AND platform = $3';
+      }
+
+      const result = await query(
+        `SELECT id, type, title, content, platform, scheduled_for
+         FROM generated_content
+         WHERE character_id = $1 AND posted_at IS NULL AND scheduled_for >= NOW() ${platformClause}
+         ORDER BY scheduled_for
+         LIMIT $2`,
+        params
+      );
+      return { posts: result.rows };
+    }
+  },
+  {
+    name: 'check_affiliate_links',
+    description: "Look up the character owner's affiliate links with their clicks, conversions and commission",
+    parameters: {
+      type: 'object',
+      properties: {
+        affiliate: { type: 'string', description: 'Only links for this affiliate program' }
+      },
+      additionalProperties: false
+    },
+    async handler({ affiliate }, { character }) {
+      const params = [character.id];
+      let affiliateClause = '';
+      if (affiliate) {
+        params.push(affiliate);
+        affiliateClause = 'AND al.affiliate = $2';
+      }
+
+      const result = await query(
+        `SELECT al.affiliate, al.product_id, al.link, al.clicks, al.conversions, al.commission
+         FROM affiliate_links al
+         JOIN characters c ON c.user_id = al.user_id
+         WHERE c.id = $1 ${affiliateClause}
+         ORDER BY al.commission DESC
+         LIMIT 20`,
+        params
+      );
+      return { links: result.rows };
+    }
+  },
+  {
+    name: 'get_analytics',
+    description: "Summarise the character's performance metrics over recent days",
+    parameters: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', minimum: 1, maximum: 90 }
+      },
+      additionalProperties: false
+    },
+    async handler({ days = 7 }, { character }) {
+      const result = await query(
+        `SELECT metric_type, AVG(metric_value)::float AS average, MAX(metric_value)::float AS peak, MAX(metric_unit) AS unit
+         FROM performance_analytics
+         WHERE character_id = $1 AND date >= CURRENT_DATE - $2::int
+         GROUP BY metric_type`,
+        [character.id, days]
+      );
+      return {
+        days,
+        interactions: character.metadata?.interactions || 0,
+        engagementRate: character.metadata?.engagementRate || 0,
+        metrics: result.rows
+      };
+    }
+  }
+];
+
+class ToolExecutor {
+  constructor(options = {}) {
+    this.tools = new Map();
+    this.timeout = options.timeout || parseInt(process.env.TOOL_TIMEOUT) || 5000;
+    BUILT_IN_TOOLS.forEach(tool => this.register(tool));
+    logger.info('ToolExecutor initialized', { tools: Array.from(this.tools.keys()) });
+  }
+
+  // Add a tool; handler(args, { character, step }) resolves to a JSON-serialisable result
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler function');
+    }
+    this.tools.set(tool.name, tool);
+  }
+
+  listTools() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  // Reject unknown tool names before they are stored in character settings
+  validateToolNames(names) {
+    if (names == null) return;
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+      throw new AppError('settings.tools must be an array of tool names', 400);
+    }
+
+    const unknown = names.filter(name => !this.tools.has(name));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown tools: ${unknown.join(', ')}. Available: ${Array.from(this.tools.keys()).join(', ')}`, 400);
+    }
+  }
+
+  // OpenAI-style definitions for the named tools
+  getDefinitions(names = []) {
+    return names
+      .filter(name => this.tools.has(name))
+      .map((name) => {
+        const tool = this.tools.get(name);
+        return {
+          type: 'function',
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters || { type: 'object', properties: {} }
+          }
+        };
+      });
+  }
+
+  // Run one tool call with a timeout; failures are returned to the model rather than thrown
+  async execute(call, context) {
+    const startTime = Date.now();
+    const tool = this.tools.get(call.name);
+    let result = null;
+    let error = null;
+
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool: ${call.name}`);
+      }
+
+      const argumentErrors = call.arguments?._raw !== undefined
+        ? ['arguments are not valid JSON']
+        : validateSchema(call.arguments || {}, tool.parameters);
+      if (argumentErrors.length > 0) {
+        throw new Error(`Invalid arguments: ${argumentErrors.join('; ')}`);
+      }
+
+      result = await this.withTimeout(tool.handler(call.arguments || {}, context), call.name);
+
+    } catch (err) {
+      error = err.message;
+      logger.warn('Tool call failed', { tool: call.name, characterId: context.character.id, error });
+    }
+
+    const executionTime = Date.now() - startTime;
+    await this.logCall(call, context, { result, error, executionTime });
+
+    const content = JSON.stringify(error ? { error } : result);
+    return {
+      id: call.id,
+      name: call.name,
+      success: !error,
+      executionTime,
+      content: content.length > MAX_RESULT_LENGTH ? `${content.substring(0, MAX_RESULT_LENGTH)}...(truncated)` : content
+    };
+  }
+
+  withTimeout(promise, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tool ${name} timed out after ${this.timeout}ms`)), this.timeout);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Record the call in autonomous_operations; logging failures never break the interaction
+  async logCall(call, context, { result, error, executionTime }) {
+    try {
+      await query(
+        `INSERT INTO autonomous_operations (character_id, operation_type, operation_data, trigger_type, trigger_data,
+                                            success, error_message, execution_time)
+         VALUES ($1, 'tool_call', $2, $3, $4, $5, $6, $7)`,
+        [
+          context.character.id,
+          JSON.stringify({ tool: call.name, callId: call.id, arguments: call.arguments, result }),
+          context.trigger || 'interaction',
+          JSON.stringify({ step: context.step, message: context.message?.substring(0, 200) }),
+          !error,
+          error,
+          executionTime
+        ]
+      );
+    } catch (err) {
+      logger.warn('Failed to log tool call', { tool: call.name, error: err.message });
+    }
+  }
+}
+
+module.exports = ToolExecutor;
@@ -0,0 +1,244 @@
+// Vector Store - Stores embeddings by namespace and finds the nearest ones by cosine similarity
+const logger = require('../utils/logger');
+const { query, getClient } = require('../utils/database');
+const { AppError } = require('../middleware/error-handler');
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// In-process index for development and single-instance deployments; contents are lost on restart
+class MemoryVectorStore {
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.namespaces = new Map();
+    this.maxEntries = options.maxEntries || parseInt(process.env.VECTOR_MEMORY_MAX_ENTRIES) || 10000;
+  }
+
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  // Insert or replace entries: [{ id, text, vector, metadata }]
+  async upsert(namespace, model, entries) {
+    const items = this.getNamespace(namespace);
+
+    for (const entry of entries) {
+      // Re-inserting moves the entry to the end so eviction stays oldest-first
+      items.delete(entry.id);
+      items.set(entry.id, { ...entry, model, updatedAt: new Date().toISOString() });
+    }
+
+    while (items.size > this.maxEntries) {
+      items.delete(items.keys().next().value);
+    }
+
+    return entries.length;
+  }
+
+  async search(namespace, model, vector, { limit = 5, minScore = 0 } = {}) {
+    const items = this.namespaces.get(namespace);
+    if (!items) return [];
+
+    const matches = [];
+    for (const item of items.values()) {
+      // Vectors from different models live in different spaces and can't be compared
+      if (item.model !== model) continue;
+
+      const score = cosineSimilarity(vector, item.vector);
+      if (score >= minScore) {
+        matches.push({ id: item.id, text: item.text, metadata: item.metadata, score });
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  async remove(namespace, id) {
+    return this.namespaces.get(namespace)?.delete(id) || false;
+  }
+
+  async count(namespace) {
+    return this.namespaces.get(namespace)?.size || 0;
+  }
+}
+
+// PostgreSQL + pgvector store backed by the embeddings table, which it creates on first use so that
+// plain Postgres (without the extension) works as long as this store isn't selected
+class PgVectorStore {
+  constructor(options = {}) {
+    this.type = 'pgvector';
+    this.dimensions = parseInt(process.env.VECTOR_DIMENSIONS) || options.dimensions || null;
+    this.ready = null;
+  }
+
+  // Size the column from the embeddings model config (VECTOR_DIMENSIONS overrides it) and create the schema
+  async initialize({ dimensions } = {}) {
+    this.dimensions = parseInt(process.env.VECTOR_DIMENSIONS) || dimensions || this.dimensions;
+    await this.ensureSchema();
+  }
+
+  ensureSchema() {
+    if (!this.ready) {
+      // Retried on the next call if the database wasn't ready
+      this.ready = this.createSchema().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async createSchema() {
+    if (!this.dimensions) {
+      throw new Error('pgvector needs the embedding size: set dimensions on the embeddings model or VECTOR_DIMENSIONS');
+    }
+
+    await query('CREATE EXTENSION IF NOT EXISTS vector');
+    // A fixed size lets the column carry an HNSW index; searches also filter by model
+    await query(
+      `CREATE TABLE IF NOT EXISTS embeddings (
+         id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+         namespace VARCHAR(100) NOT NULL,
+         item_id VARCHAR(255) NOT NULL,
+         model VARCHAR(100) NOT NULL,
+         content TEXT NOT NULL,
+         embedding vector(${this.dimensions}) NOT NULL,
+         metadata JSONB DEFAULT '{}',
+         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+         updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+         UNIQUE(namespace, item_id)
+       )`
+    );
+
+    // Tables from earlier releases have an unsized column, and an existing table keeps its size
+    const column = await query(
+      `SELECT atttypmod FROM pg_attribute WHERE attrelid = 'embeddings'::regclass AND attname = 'embedding'`
+    );
+    const size = column.rows[0]?.atttypmod;
+    if (size === -1) {
+      await query(`ALTER TABLE embeddings ALTER COLUMN embedding TYPE vector(${this.dimensions})`);
+    } else if (size > 0 && size !== this.dimensions) {
+      logger.warn('embeddings table has a different vector size than configured; keeping the table\'s', {
+        table: size,
+        configured: this.dimensions
+      });
+      this.dimensions = size;
+    }
+
+    await query('CREATE INDEX IF NOT EXISTS idx_embeddings_namespace_model ON embeddings(namespace, model)');
+    await query('CREATE INDEX IF NOT EXISTS idx_embeddings_embedding ON embeddings USING hnsw (embedding vector_cosine_ops)');
+    logger.info('pgvector embeddings table ready', { dimensions: this.dimensions });
+  }
+
+  checkDimensions(vector) {
+    if (vector.length !== this.dimensions) {
+      throw new AppError(`Embeddings have ${vector.length} dimensions but the vector store holds ${this.dimensions}`, 400);
+    }
+  }
+
+  // pgvector parses vectors from their '[1,2,3]' text form
+  toVectorLiteral(vector) {
+    return `[${vector.join(',')}]`;
+  }
+
+  // The whole batch is stored in one transaction, so a failure leaves none of it indexed
+  async upsert(namespace, model, entries) {
+    await this.ensureSchema();
+    entries.forEach(entry => this.checkDimensions(entry.vector));
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      for (const entry of entries) {
+        await client.query(
+          `INSERT INTO embeddings (namespace, item_id, model, content, embedding, metadata)
+           VALUES ($1, $2, $3, $4, $5::vector, $6)
+           ON CONFLICT (namespace, item_id)
+           DO UPDATE SET model = EXCLUDED.model, content = EXCLUDED.content,
+                         embedding = EXCLUDED.embedding, metadata = EXCLUDED.metadata, updated_at = NOW()`,
+          [namespace, entry.id, model, entry.text, this.toVectorLiteral(entry.vector), JSON.stringify(entry.metadata || {})]
+        );
+      }
+      await client.query('COMMIT');
+      return entries.length;
+
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async search(namespace, model, vector, { limit = 5, minScore = 0 } = {}) {
+    await this.ensureSchema();
+    this.checkDimensions(vector);
+
+    // <=> is cosine distance, so similarity is 1 - distance
+    const result = await query(
+      `SELECT item_id, content, metadata, 1 - (embedding <=> $3::vector) AS score
+       FROM embeddings
+       WHERE namespace = $1 AND model = $2
+       ORDER BY embedding <=> $3::vector
+       LIMIT $4`,
+      [namespace, model, this.toVectorLiteral(vector), limit]
+    );
+
+    return result.rows
+      .map(row => ({ id: row.item_id, text: row.content, metadata: row.metadata, score: Number(row.score) }))
+      .filter(match => match.score >= minScore);
+  }
+
+  async remove(namespace, id) {
+    await this.ensureSchema();
+    const result = await query(
+      'DELETE FROM embeddings WHERE namespace = $1 AND item_id = $2',
+      [namespace, id]
+    );
+    return result.rowCount > 0;
+  }
+
+  async count(namespace) {
+    await this.ensureSchema();
+    const result = await query(
+      'SELECT COUNT(*)::int AS count FROM embeddings WHERE namespace = $1',
+      [namespace]
+    );
+    return result.rows[0].count;
+  }
+}
+
+// Pick the store from VECTOR_STORE (memory | pgvector)
+function createVectorStore(type = process.env.VECTOR_STORE || 'memory') {
+  switch (type) {
+    case 'pgvector':
+      return new PgVectorStore();
+    case 'memory':
+      return new MemoryVectorStore();
+    default:
+      logger.warn(`Unknown VECTOR_STORE "${type}", using in-memory store`);
+      return new MemoryVectorStore();
+  }
+}
+
+module.exports = {
+  MemoryVectorStore,
+  PgVectorStore,
+  createVectorStore,
+  cosineSimilarity
+};
@@ -0,0 +1,479 @@
+// Video Assembler - Vertical short-form videos from stored images and clips, rendered with ffmpeg as background jobs
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/error-handler');
+
+// 9:16 at 1080p, the size TikTok, Reels and Shorts expect
+const WIDTH = 1080;
+const HEIGHT = 1920;
+const FPS = 30;
+
+const MAX_CLIPS = 20;
+const MAX_DURATION = 180;
+const DEFAULT_IMAGE_DURATION = 3;
+const MAX_CAPTION_LENGTH = 5000;
+
+// ffmpeg xfade transitions offered to callers
+const TRANSITIONS = ['none', 'fade', 'fadeblack', 'dissolve', 'wipeleft', 'slideleft', 'slideup', 'circleopen'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// libass scales these against a 288px-high canvas, so FontSize 11 is roughly 75px on a 1920px frame
+const SUBTITLE_STYLE = [
+  'FontName=DejaVu Sans',
+  'FontSize=11',
+  'Bold=1',
+  'PrimaryColour=&H00FFFFFF',
+  'OutlineColour=&H90000000',
+  'BorderStyle=1',
+  'Outline=2',
+  'Shadow=0',
+  'Alignment=2',
+  'MarginV=45'
+].join(',');
+
+function srtTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+}
+
+// Split a caption script into sentences and time them by length across the whole video
+function timeScript(script, duration) {
+  const lines = script
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map(line => line.trim())
+    .filter(Boolean);
+  const totalLength = lines.reduce((sum, line) => sum + line.length, 0);
+
+  let start = 0;
+  return lines.map((text) => {
+    const end = start + duration * (text.length / totalLength);
+    const cue = { text, start, end };
+    start = end;
+    return cue;
+  });
+}
+
+// Filter graph: every clip scaled and cropped to fill 9:16, joined with xfade (or concat), then subtitles,
+// the watermark overlay and the audio trimmed to the video's length
+function buildFilterGraph({ clips, transition, transitionDuration, duration, subtitlesPath, watermarkInput, audioInput }) {
+  const filters = clips.map((clip, index) =>
+    `[${index}:v]scale=${WIDTH}:${HEIGHT}:force_original_aspect_ratio=increase,crop=${WIDTH}:${HEIGHT},` +
+    `setsar=1,fps=${FPS},format=yuv420p,trim=duration=${clip.duration},setpts=PTS-STARTPTS,settb=AVTB[v${index}]`
+  );
+
+  let video = 'v0';
+  if (clips.length > 1 && transition === 'none') {
+    filters.push(`${clips.map((clip, index) => `[v${index}]`).join('')}concat=n=${clips.length}:v=1:a=0[joined]`);
+    video = 'joined';
+  } else if (clips.length > 1) {
+    let offset = 0;
+    for (let index = 1; index < clips.length; index++) {
+      offset += clips[index - 1].duration - transitionDuration;
+      filters.push(
+        `[${video}][v${index}]xfade=transition=${transition}:duration=${transitionDuration}:offset=${offset.toFixed(3)}[x${index}]`
+      );
+      video = `x${index}`;
+    }
+  }
+
+  if (subtitlesPath) {
+    filters.push(`[${video}]subtitles=filename=${subtitlesPath.replace(/[\\:']/g, '\\$&')}:force_style='${SUBTITLE_STYLE}'[captioned]`);
+    video = 'captioned';
+  }
+  if (watermarkInput != null) {
+    filters.push(`[${video}][${watermarkInput}:v]overlay=0:0[marked]`);
+    video = 'marked';
+  }
+  filters.push(`[${video}]format=yuv420p[vout]`);
+
+  if (audioInput != null) {
+    const fadeStart = Math.max(0, duration - 0.5).toFixed(3);
+    filters.push(`[${audioInput}:a]atrim=0:${duration.toFixed(3)},asetpts=PTS-STARTPTS,afade=t=out:st=${fadeStart}:d=0.5[aout]`);
+  }
+
+  return filters;
+}
+
+class VideoAssembler extends EventEmitter {
+  constructor(fileStore, imagePipeline = null, options = {}) {
+    super();
+    this.fileStore = fileStore;
+    this.imagePipeline = imagePipeline;
+    this.maxConcurrent = options.maxConcurrent || parseInt(process.env.VIDEO_MAX_CONCURRENT) || 1;
+    this.retention = options.retention || 60 * 60 * 1000;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.commands = new Map();
+    this.running = 0;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+
+    logger.info('VideoAssembler initialized', { maxConcurrent: this.maxConcurrent });
+  }
+
+  getTransitions() {
+    return TRANSITIONS;
+  }
+
+  // Check a job request; throws a 400 AppError listing every problem
+  validateRequest({ clips, audioId, captions, transition = 'fade', transitionDuration = 0.5, watermark } = {}) {
+    const errors = [];
+
+    if (!Array.isArray(clips) || clips.length === 0 || clips.length > MAX_CLIPS) {
+      errors.push(`clips must be an array of 1 to ${MAX_CLIPS} items`);
+    } else {
+      clips.forEach((clip, index) => {
+        if (!clip || !isUuid(clip.fileId)) {
+          errors.push(`clips[${index}].fileId must be a file ID`);
+        }
+        if (clip?.duration != null && !(typeof clip.duration === 'number' && clip.duration >= 0.5 && clip.duration <= 60)) {
+          errors.push(`clips[${index}].duration must be between 0.5 and 60 seconds`);
+        }
+      });
+    }
+
+    if (audioId != null && !isUuid(audioId)) {
+      errors.push('audioId must be a file ID');
+    }
+
+    if (typeof captions === 'string') {
+      if (captions.length > MAX_CAPTION_LENGTH) {
+        errors.push(`captions must be at most ${MAX_CAPTION_LENGTH} characters`);
+      }
+    } else if (Array.isArray(captions)) {
+      const invalid = captions.some(cue =>
+        typeof cue?.text !== 'string' || !(cue.start >= 0) || !(cue.end > cue.start)
+      );
+      if (invalid) {
+        errors.push('captions entries need text, start and end (seconds, end after start)');
+      }
+    } else if (captions != null) {
+      errors.push('captions must be a script string or an array of { text, start, end }');
+    }
+
+    if (!TRANSITIONS.includes(transition)) {
+      errors.push(`Unknown transition: ${transition}. Available: ${TRANSITIONS.join(', ')}`);
+    }
+    if (!(typeof transitionDuration === 'number' && transitionDuration >= 0.1 && transitionDuration <= 2)) {
+      errors.push('transitionDuration must be between 0.1 and 2 seconds');
+    }
+    if (watermark != null && typeof watermark !== 'boolean' && (typeof watermark !== 'string' || watermark.length > 100)) {
+      errors.push('watermark must be true or a string of at most 100 characters');
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid video request: ${errors.join('; ')}`, 400);
+    }
+  }
+
+  // Look up the clip and audio files so bad IDs fail the request instead of the job
+  async resolveSources({ clips, audioId }) {
+    const sources = [];
+    for (const clip of clips) {
+      const file = await this.fileStore.locate(clip.fileId);
+      const kind = file?.mimeType.split('/')[0];
+      if (kind !== 'image' && kind !== 'video') {
+        throw new AppError(`Clip ${clip.fileId} is not a stored image or video`, 400);
+      }
+      sources.push({ fileId: file.id, path: file.path, kind, duration: clip.duration });
+    }
+
+    let audio = null;
+    if (audioId) {
+      const file = await this.fileStore.locate(audioId);
+      if (!file || !file.mimeType.startsWith('audio/')) {
+        throw new AppError(`Audio ${audioId} is not a stored audio file`, 400);
+      }
+      // Fans' voice messages are private; only generated speech or public audio can go into a video
+      if (file.metadata.kind !== 'speech' && !file.isPublic) {
+        throw new AppError(`Audio ${audioId} is not generated speech or a public audio file`, 403);
+      }
+      audio = { fileId: file.id, path: file.path };
+    }
+
+    return { sources, audio };
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  // Job fields returned to clients; file paths stay on the server
+  toJSON(job) {
+    const { sources, audio, ...data } = job;
+    return data;
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit('job', this.toJSON(job));
+  }
+
+  // Queue a video job; it renders in the background and reports progress through 'job' events
+  async createJob(params, { character = null, userId = null } = {}) {
+    const {
+      clips,
+      audioId = null,
+      captions = null,
+      transition = 'fade',
+      transitionDuration = 0.5,
+      watermark = null
+    } = params;
+
+    try {
+      this.validateRequest({ clips, audioId, captions, transition, transitionDuration, watermark });
+      const { sources, audio } = await this.resolveSources({ clips, audioId });
+
+      const now = new Date().toISOString();
+      const job = {
+        id: uuidv4(),
+        characterId: character?.id || null,
+        userId,
+        status: 'queued',
+        progress: 0,
+        request: {
+          clips: clips.map(clip => ({ fileId: clip.fileId, duration: clip.duration })),
+          audioId,
+          captions,
+          transition,
+          transitionDuration,
+          watermark: this.imagePipeline?.resolveWatermark(watermark, character) || null
+        },
+        file: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null,
+        sources,
+        audio
+      };
+
+      this.jobs.set(job.id, job);
+      this.queue.push(job.id);
+      logger.info('Video job queued', { jobId: job.id, characterId: job.characterId, clips: sources.length });
+
+      this.emit('job', this.toJSON(job));
+      this.drain();
+      return this.toJSON(job);
+
+    } catch (error) {
+      logger.error('Failed to queue video job', { characterId: character?.id, error: error.message });
+      throw error;
+    }
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.toJSON(job) : null;
+  }
+
+  listJobs({ characterId, status } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!characterId || job.characterId === characterId) && (!status || job.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.toJSON(job));
+  }
+
+  // Start queued jobs while there is capacity; ffmpeg renders are CPU-bound, so this defaults to one at a time
+  drain() {
+    while (this.running < this.maxConcurrent && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (!job || job.status !== 'queued') continue;
+
+      this.running++;
+      this.update(job, { status: 'preparing', startedAt: new Date().toISOString() });
+      this.run(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xcreator-video-'));
+    try {
+      const plan = await this.prepare(job, workDir);
+
+      if (job.status === 'cancelled') return;
+      this.update(job, { status: 'rendering' });
+      const outputPath = path.join(workDir, 'output.mp4');
+      await this.render(job, plan, outputPath);
+
+      if (job.status === 'cancelled') return;
+      this.update(job, { status: 'storing' });
+      const file = await this.fileStore.save(await fs.readFile(outputPath), {
+        folder: 'videos',
+        extension: 'mp4',
+        mimeType: 'video/mp4',
+        characterId: job.characterId,
+        userId: job.userId,
+        metadata: {
+          kind: 'video',
+          jobId: job.id,
+          width: WIDTH,
+          height: HEIGHT,
+          duration: Math.round(plan.duration * 100) / 100,
+          clips: job.request.clips.map(clip => clip.fileId),
+          audioId: job.request.audioId,
+          transition: job.request.transition,
+          captions: plan.cues.length
+        }
+      });
+
+      this.update(job, { status: 'completed', progress: 100, file, completedAt: new Date().toISOString() });
+      logger.info('Video job completed', { jobId: job.id, fileId: file.id, duration: plan.duration });
+
+    } catch (error) {
+      if (job.status === 'cancelled') return;
+      logger.error('Video job failed', { jobId: job.id, error: error.message });
+      this.update(job, { status: 'failed', error: error.message, completedAt: new Date().toISOString() });
+    } finally {
+      this.commands.delete(job.id);
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  probeDuration(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (error, data) => {
+        if (error) return reject(new Error(`Could not read clip: ${error.message}`));
+        resolve(parseFloat(data.format.duration) || 0);
+      });
+    });
+  }
+
+  // Work out clip durations and the total length, and write the subtitle and watermark files the render needs
+  async prepare(job, workDir) {
+    const { captions, transition, watermark } = job.request;
+
+    const clips = [];
+    for (const source of job.sources) {
+      let duration = source.duration || DEFAULT_IMAGE_DURATION;
+      if (source.kind === 'video') {
+        const length = await this.probeDuration(source.path);
+        duration = source.duration ? Math.min(source.duration, length) : length;
+      }
+      clips.push({ ...source, duration });
+    }
+
+    // A transition can't be longer than half of the shortest clip
+    const transitionDuration = transition === 'none' || clips.length === 1
+      ? 0
+      : Math.min(job.request.transitionDuration, ...clips.map(clip => clip.duration / 2));
+    const duration = clips.reduce((sum, clip) => sum + clip.duration, 0) - transitionDuration * (clips.length - 1);
+    if (duration > MAX_DURATION) {
+      throw new AppError(`Video would be ${Math.round(duration)}s long; the limit is ${MAX_DURATION}s`, 400);
+    }
+
+    const cues = (typeof captions === 'string' ? timeScript(captions, duration) : captions || [])
+      .filter(cue => cue.start < duration)
+      .map(cue => ({ ...cue, end: Math.min(cue.end, duration) }));
+
+    let subtitlesPath = null;
+    if (cues.length > 0) {
+      subtitlesPath = path.join(workDir, 'captions.srt');
+      const srt = cues.map((cue, index) => `${index + 1}\n${srtTime(cue.start)} --> ${srtTime(cue.end)}\n${cue.text.trim()}\n`);
+      await fs.writeFile(subtitlesPath, srt.join('\n'));
+    }
+
+    let watermarkPath = null;
+    if (watermark && this.imagePipeline) {
+      watermarkPath = path.join(workDir, 'watermark.png');
+      await fs.writeFile(watermarkPath, await this.imagePipeline.renderWatermark(WIDTH, HEIGHT, watermark));
+    }
+
+    return { clips, transition, transitionDuration, duration, cues, subtitlesPath, watermarkPath, audio: job.audio };
+  }
+
+  render(job, plan, outputPath) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg();
+      for (const clip of plan.clips) {
+        // Stills are looped for their duration; video clips are cut to theirs
+        command.input(clip.path).inputOptions(clip.kind === 'image' ? ['-loop 1', `-t ${clip.duration}`] : [`-t ${clip.duration}`]);
+      }
+
+      let nextInput = plan.clips.length;
+      const audioInput = plan.audio ? nextInput++ : null;
+      if (plan.audio) command.input(plan.audio.path);
+      const watermarkInput = plan.watermarkPath ? nextInput++ : null;
+      if (plan.watermarkPath) command.input(plan.watermarkPath);
+
+      const filters = buildFilterGraph({ ...plan, audioInput, watermarkInput });
+      // ffmpeg explains a failure in its last few stderr lines
+      const stderr = [];
+
+      command
+        .complexFilter(filters, audioInput != null ? ['vout', 'aout'] : ['vout'])
+        .outputOptions([
+          '-c:v libx264',
+          '-preset veryfast',
+          '-crf 23',
+          '-pix_fmt yuv420p',
+          `-r ${FPS}`,
+          '-c:a aac',
+          '-b:a 128k',
+          '-movflags +faststart',
+          `-t ${plan.duration.toFixed(3)}`
+        ])
+        .on('start', commandLine => logger.debug('ffmpeg started', { jobId: job.id, commandLine }))
+        .on('stderr', (line) => {
+          stderr.push(line);
+          if (stderr.length > 3) stderr.shift();
+        })
+        .on('progress', (progress) => {
+          const [hours, minutes, seconds] = String(progress.timemark || '0:0:0').split(':').map(parseFloat);
+          const elapsed = hours * 3600 + minutes * 60 + seconds;
+          const percent = Math.min(99, Math.max(0, Math.round((elapsed / plan.duration) * 100)));
+          if (percent > job.progress) this.update(job, { progress: percent });
+        })
+        .on('error', error => reject(new Error(`ffmpeg failed: ${stderr.join(' ').trim() || error.message}`)))
+        .on('end', resolve)
+        .save(outputPath);
+
+      this.commands.set(job.id, command);
+    });
+  }
+
+  // Cancel a queued or rendering job; a running ffmpeg process is killed
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new AppError('Video job not found', 404);
+    }
+    if (this.isTerminal(job.status)) {
+      throw new AppError(`Video job is already ${job.status}`, 409);
+    }
+
+    this.update(job, { status: 'cancelled', completedAt: new Date().toISOString() });
+    this.commands.get(job.id)?.kill('SIGKILL');
+    logger.info('Video job cancelled', { jobId });
+    return this.toJSON(job);
+  }
+
+  // A character's rendered videos, newest first
+  async listVideos(characterId, { limit } = {}) {
+    return this.fileStore.list({ characterId, kind: 'video', limit });
+  }
+
+  // Forget finished jobs after the retention period; their videos stay in files
+  cleanup() {
+    const cutoff = Date.now() - this.retention;
+    for (const [id, job] of this.jobs) {
+      if (this.isTerminal(job.status) && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = VideoAssembler;
@@ -0,0 +1,70 @@
+// Visual Profile - A character's look (visual_config), applied to every image generated for that character
+const { validate: isUuid } = require('uuid');
+
+const MAX_PROMPT_LENGTH = 2000;
+const MAX_REFERENCE_IMAGES = 4;
+const LORA_PATTERN = /^[a-zA-Z0-9_.-]{1,100}$/;
+
+// Profile fields:
+//   basePrompt        prepended to every prompt (appearance, wardrobe, art style)
+//   negativePrompt    merged into every negative prompt
+//   seed              default seed, so the same prompt renders the same face
+//   lora, loraScale   style LoRA the image worker loads, and its strength (default 1)
+//   referenceImageIds image files sent to the worker as identity references
+//   avatarPrompt      prompt used when the avatar is regenerated
+// Other keys (e.g. avatar, set on regeneration) are kept as they are
+
+// Check the profile's shape; returns a list of problems
+function validateVisualProfile(visual) {
+  if (visual == null) return [];
+  if (typeof visual !== 'object' || Array.isArray(visual)) {
+    return ['visual must be an object'];
+  }
+
+  const errors = [];
+  for (const field of ['basePrompt', 'negativePrompt', 'avatarPrompt']) {
+    if (visual[field] != null && (typeof visual[field] !== 'string' || visual[field].length > MAX_PROMPT_LENGTH)) {
+      errors.push(`visual.${field} must be a string of at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+  }
+  if (visual.seed != null && !(Number.isInteger(visual.seed) && visual.seed >= 0 && visual.seed <= 0xffffffff)) {
+    errors.push('visual.seed must be an integer between 0 and 4294967295');
+  }
+  if (visual.lora != null && (typeof visual.lora !== 'string' || !LORA_PATTERN.test(visual.lora))) {
+    errors.push('visual.lora must be 1-100 letters, digits, _ . or -');
+  }
+  if (visual.loraScale != null && !(typeof visual.loraScale === 'number' && visual.loraScale >= 0 && visual.loraScale <= 2)) {
+    errors.push('visual.loraScale must be a number between 0 and 2');
+  }
+  if (visual.referenceImageIds != null) {
+    const ids = visual.referenceImageIds;
+    if (!Array.isArray(ids) || ids.length > MAX_REFERENCE_IMAGES || ids.some(id => !isUuid(id))) {
+      errors.push(`visual.referenceImageIds must be an array of at most ${MAX_REFERENCE_IMAGES} image IDs`);
+    }
+  }
+  return errors;
+}
+
+function joinPrompt(...parts) {
+  return parts.filter(part => typeof part === 'string' && part.trim() !== '').map(part => part.trim()).join(', ');
+}
+
+// Merge the profile into a request's prompt, negative prompt and seed; the request's own seed wins
+function applyVisualProfile({ prompt, negativePrompt, seed }, visual) {
+  if (!visual) {
+    return { prompt, negativePrompt, seed, lora: null, referenceImageIds: [] };
+  }
+
+  return {
+    prompt: joinPrompt(visual.basePrompt, prompt),
+    negativePrompt: joinPrompt(visual.negativePrompt, negativePrompt) || undefined,
+    seed: seed ?? visual.seed,
+    lora: visual.lora ? { name: visual.lora, scale: visual.loraScale ?? 1 } : null,
+    referenceImageIds: visual.referenceImageIds || []
+  };
+}
+
+module.exports = {
+  validateVisualProfile,
+  applyVisualProfile
+};
@@ -0,0 +1,285 @@
+// Voice Pipeline - Character speech from the ModelRouter's tts capability, pitched and loudness-normalized with ffmpeg,
+// and voice messages transcoded with ffmpeg and transcribed through the stt capability
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const mime = require('mime-types');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/error-handler');
+
+const OUTPUT_FORMATS = {
+  mp3: { mimeType: 'audio/mpeg', codec: 'libmp3lame', options: ['-b:a 128k'] },
+  wav: { mimeType: 'audio/wav', codec: 'pcm_s16le', options: [] },
+  ogg: { mimeType: 'audio/ogg', codec: 'libopus', options: ['-b:a 96k'] },
+  m4a: { mimeType: 'audio/mp4', codec: 'aac', options: ['-b:a 128k', '-movflags +faststart'] }
+};
+
+const SAMPLE_RATE = 44100;
+// EBU R128 speech target most social platforms and podcast apps normalize to
+const LOUDNESS_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+const VOICE_FIELDS = ['model', 'speaker', 'speed', 'pitch'];
+// Whisper-family models work on 16 kHz mono
+const TRANSCRIPTION_SAMPLE_RATE = 16000;
+
+// voice_config fields:
+//   model    ModelRouter tts model (default: any healthy tts model)
+//   speaker  voice name the TTS server knows (default: the model's voice)
+//   speed    0.25-4, sent to the TTS server
+//   pitch    semitones, -12 to 12, applied with ffmpeg
+// Other keys (e.g. Eliza's own voice settings) are kept as they are
+function validateVoiceProfile(voice) {
+  if (voice == null) return [];
+  if (typeof voice !== 'object' || Array.isArray(voice)) {
+    return ['voice must be an object'];
+  }
+
+  const errors = [];
+  for (const field of ['model', 'speaker']) {
+    if (voice[field] != null && (typeof voice[field] !== 'string' || voice[field].length > 100)) {
+      errors.push(`voice.${field} must be a string of at most 100 characters`);
+    }
+  }
+  if (voice.speed != null && !(typeof voice.speed === 'number' && voice.speed >= 0.25 && voice.speed <= 4)) {
+    errors.push('voice.speed must be a number between 0.25 and 4');
+  }
+  if (voice.pitch != null && !(typeof voice.pitch === 'number' && voice.pitch >= -12 && voice.pitch <= 12)) {
+    errors.push('voice.pitch must be a number of semitones between -12 and 12');
+  }
+  return errors;
+}
+
+class VoicePipeline {
+  constructor(modelRouter, fileStore, options = {}) {
+    this.modelRouter = modelRouter;
+    this.fileStore = fileStore;
+    this.maxMessageSeconds = options.maxMessageSeconds || parseInt(process.env.VOICE_MESSAGE_MAX_SECONDS) || 300;
+    logger.info('VoicePipeline initialized');
+  }
+
+  getFormats() {
+    return Object.keys(OUTPUT_FORMATS);
+  }
+
+  // Check a character's voice profile; voice.model must be a registered tts model
+  validateVoiceProfile(voice) {
+    const errors = validateVoiceProfile(voice);
+
+    if (typeof voice?.model === 'string') {
+      const model = this.modelRouter.models.get(voice.model);
+      if (!model || !this.modelRouter.supportsCapability(model, 'tts')) {
+        errors.push(`voice.model ${voice.model} is not a registered tts model`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid voice profile: ${errors.join('; ')}`, 400);
+    }
+  }
+
+  // The character's voice_config with per-request overrides
+  resolveVoice(character, overrides = {}) {
+    const voice = { ...character.voice };
+    for (const field of VOICE_FIELDS) {
+      if (overrides[field] !== undefined) voice[field] = overrides[field];
+    }
+    return voice;
+  }
+
+  // Speak text in the character's voice; with store: true the audio is also saved to files
+  async speak(character, text, { format = 'mp3', normalize = true, store = false, voice: overrides, userId = null, apiKeyId = null } = {}) {
+    try {
+      if (!OUTPUT_FORMATS[format]) {
+        throw new AppError(`format must be one of: ${this.getFormats().join(', ')}`, 400);
+      }
+
+      const voice = this.resolveVoice(character, overrides);
+      this.validateVoiceProfile(voice);
+
+      // WAV from the server, so the only lossy encode is the final one
+      const speech = await this.modelRouter.synthesize(text, {
+        model: voice.model || 'auto',
+        voice: voice.speaker,
+        speed: voice.speed,
+        format: 'wav',
+        priority: 'interactive',
+        characterId: character.id,
+        apiKeyId,
+        userId
+      });
+
+      const { buffer, duration } = await this.process(speech.audio, { format, pitch: voice.pitch || 0, normalize });
+      const result = {
+        audio: buffer,
+        format,
+        mimeType: OUTPUT_FORMATS[format].mimeType,
+        duration,
+        model: speech.model,
+        voice: {
+          model: voice.model || null,
+          speaker: speech.metadata?.voice || voice.speaker || null,
+          speed: voice.speed ?? null,
+          pitch: voice.pitch ?? null
+        },
+        file: null
+      };
+
+      if (store) {
+        result.file = await this.fileStore.save(buffer, {
+          folder: 'audio',
+          extension: format,
+          mimeType: result.mimeType,
+          characterId: character.id,
+          userId,
+          metadata: {
+            kind: 'speech',
+            text: text.slice(0, 500),
+            duration,
+            model: speech.model,
+            voice: result.voice,
+            normalized: normalize
+          }
+        });
+      }
+
+      logger.info('Speech generated', { characterId: character.id, model: speech.model, duration, stored: store });
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to generate speech', { characterId: character?.id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Convert to the output format at 44.1 kHz mono, shifting pitch and normalizing loudness on the way
+  async process(input, { format, pitch = 0, normalize = true }) {
+    const filters = [`aresample=${SAMPLE_RATE}`];
+    if (pitch) {
+      // Play faster or slower to move the pitch, then stretch back to the original length
+      const factor = Math.pow(2, pitch / 12);
+      filters.push(`asetrate=${Math.round(SAMPLE_RATE * factor)}`, `aresample=${SAMPLE_RATE}`, `atempo=${(1 / factor).toFixed(5)}`);
+    }
+    if (normalize) {
+      // loudnorm resamples to 192 kHz internally, so bring it back down
+      filters.push(LOUDNESS_FILTER, `aresample=${SAMPLE_RATE}`);
+    }
+
+    const { codec, options } = OUTPUT_FORMATS[format];
+    return this.transcode(input, format, command => command
+      .audioFilters(filters)
+      .audioChannels(1)
+      .audioCodec(codec)
+      .outputOptions(options));
+  }
+
+  // Run ffmpeg over a buffer in a scratch directory; resolves to the output and its duration in seconds
+  async transcode(input, extension, configure) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xcreator-voice-'));
+    const inputPath = path.join(workDir, 'input');
+    const outputPath = path.join(workDir, `output.${extension}`);
+
+    try {
+      await fs.writeFile(inputPath, input);
+
+      await new Promise((resolve, reject) => {
+        const stderr = [];
+        configure(ffmpeg(inputPath))
+          .on('stderr', (line) => {
+            stderr.push(line);
+            if (stderr.length > 3) stderr.shift();
+          })
+          .on('error', error => reject(new Error(`ffmpeg failed: ${stderr.join(' ').trim() || error.message}`)))
+          .on('end', resolve)
+          .save(outputPath);
+      });
+
+      const duration = await new Promise((resolve) => {
+        ffmpeg.ffprobe(outputPath, (error, data) => resolve(error ? null : Math.round(parseFloat(data.format.duration) * 100) / 100));
+      });
+
+      return { buffer: await fs.readFile(outputPath), duration };
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // Transcribe an uploaded voice message (a multer file) and keep the original in files, private to the platform
+  async transcribe(character, upload, { language, conversationId = null, userId = null, apiKeyId = null } = {}) {
+    try {
+      if (!upload?.buffer?.length) {
+        throw new AppError('An audio file is required', 400);
+      }
+
+      let wav;
+      try {
+        wav = await this.transcode(upload.buffer, 'wav', command => command
+          .noVideo()
+          .audioChannels(1)
+          .audioFrequency(TRANSCRIPTION_SAMPLE_RATE)
+          .audioCodec('pcm_s16le'));
+      } catch (error) {
+        throw new AppError(`Unsupported or corrupt audio: ${error.message}`, 422);
+      }
+
+      if (wav.duration > this.maxMessageSeconds) {
+        throw new AppError(`Voice messages can be at most ${this.maxMessageSeconds} seconds long`, 400);
+      }
+
+      const transcript = await this.modelRouter.transcribe(wav.buffer, {
+        filename: 'voice-message.wav',
+        mimeType: 'audio/wav',
+        language,
+        priority: 'interactive',
+        characterId: character.id,
+        apiKeyId,
+        userId
+      });
+
+      if (!transcript.text) {
+        throw new AppError('No speech was recognized in the voice message', 422);
+      }
+
+      const file = await this.fileStore.save(upload.buffer, {
+        folder: 'voice-messages',
+        extension: mime.extension(upload.mimetype) || path.extname(upload.originalname || '').slice(1) || 'bin',
+        mimeType: upload.mimetype,
+        originalName: upload.originalname,
+        characterId: character.id,
+        userId,
+        isPublic: false,
+        metadata: {
+          kind: 'voice-message',
+          conversationId,
+          duration: wav.duration,
+          language: transcript.language,
+          model: transcript.model
+        }
+      });
+
+      logger.info('Voice message transcribed', { characterId: character.id, duration: wav.duration, model: transcript.model });
+      return {
+        text: transcript.text,
+        language: transcript.language,
+        duration: wav.duration,
+        model: transcript.model,
+        file
+      };
+
+    } catch (error) {
+      logger.error('Failed to transcribe voice message', { characterId: character?.id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Delete a stored voice message whose conversation was never saved
+  async removeVoiceMessage(fileId) {
+    try {
+      await this.fileStore.remove(fileId);
+    } catch (error) {
+      logger.warn('Failed to remove voice message', { fileId, error: error.message });
+    }
+  }
+}
+
+module.exports = VoicePipeline;